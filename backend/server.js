@@ -1,3 +1,4 @@
+const path = require('path');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -8,11 +9,26 @@ const morgan = require('morgan');
 require('dotenv').config();
 
 // Import routes
+const authRoutes = require('./routes/auth');
 const userPreferencesRoutes = require('./routes/userPreferences');
+const prayerTimesRoutes = require('./routes/prayerTimes');
+const liveRoutes = require('./routes/live');
+const displayRoutes = require('./routes/display');
+const timetableRoutes = require('./routes/timetable');
+const eventRoutes = require('./routes/events');
+const calendarRoutes = require('./routes/calendar');
+const donationRoutes = require('./routes/donations');
+const hijriRoutes = require('./routes/hijri');
+const ramadanRoutes = require('./routes/ramadan');
+const qiblaRoutes = require('./routes/qibla');
+const adminRoutes = require('./routes/admin');
+const devRoutes = require('./routes/dev');
 
 // Import services for initialization
 const NotificationService = require('./services/NotificationService');
 const PrayerTimesService = require('./services/PrayerTimesService');
+const PrayerAlertScheduler = require('./services/PrayerAlertScheduler');
+const LiveService = require('./services/LiveService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,6 +41,8 @@ app.use(helmet({
       styleSrc: ["'self'", "'unsafe-inline'"],
       scriptSrc: ["'self'"],
       imgSrc: ["'self'", "data:", "https:"],
+      // Hall screens load /display over plain http on the LAN
+      upgradeInsecureRequests: null,
     },
   },
 }));
@@ -43,6 +61,18 @@ const limiter = rateLimit({
 
 app.use(limiter);
 
+// Stricter limit for login and registration
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // limit each IP to 20 auth requests per windowMs
+  message: {
+    error: 'Too many authentication attempts from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // CORS configuration
 const corsOptions = {
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : ['http://localhost:3000'],
@@ -98,6 +128,9 @@ const connectDB = async () => {
   }
 };
 
+// Full-screen display page for the prayer hall TVs
+app.use('/display', express.static(path.join(__dirname, 'public', 'display')));
+
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
@@ -107,8 +140,11 @@ app.get('/health', async (req, res) => {
     // Check services
     const services = {
       database: dbStatus,
-      notificationService: 'active',
-      prayerTimesService: 'active'
+      notificationService: `active (${NotificationService.transportMode} transport)`,
+      prayerTimesService: 'active',
+      prayerTimesProvider: PrayerTimesService.getProviderStatus(),
+      prayerAlertScheduler: PrayerAlertScheduler.tasks.length ? 'active' : 'stopped',
+      liveStream: LiveService.getStatus()
     };
 
     res.status(200).json({
@@ -128,7 +164,26 @@ app.get('/health', async (req, res) => {
 });
 
 // API routes
+app.use('/api/auth', authLimiter, authRoutes);
 app.use('/api/user-preferences', userPreferencesRoutes);
+app.use('/api/prayer-times', prayerTimesRoutes);
+app.use('/api/live', liveRoutes);
+app.use('/api/display', displayRoutes);
+app.use('/api/timetable', timetableRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/donations', donationRoutes);
+app.use('/api/hijri', hijriRoutes);
+app.use('/api/ramadan', ramadanRoutes);
+app.use('/api/qibla', qiblaRoutes);
+app.use('/api/admin', adminRoutes);
+
+// Development-only helpers, e.g. captured push notifications. Only while
+// nothing is really being pushed, so a deployment that forgets NODE_ENV
+// doesn't expose device tokens or sends to real phones.
+if (process.env.NODE_ENV !== 'production' && NotificationService.transportMode === 'capture') {
+  app.use('/api/dev', devRoutes);
+}
 
 // API info endpoint
 app.get('/api', (req, res) => {
@@ -138,7 +193,19 @@ app.get('/api', (req, res) => {
     description: 'Backend API for Central Mosque Rochdale mobile application',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       userPreferences: '/api/user-preferences',
+      prayerTimes: '/api/prayer-times',
+      live: '/api/live',
+      display: '/api/display',
+      timetable: '/api/timetable',
+      events: '/api/events',
+      calendar: '/api/calendar',
+      donations: '/api/donations',
+      hijri: '/api/hijri',
+      ramadan: '/api/ramadan',
+      qibla: '/api/qibla',
+      admin: '/api/admin',
       documentation: '/api/docs'
     },
     timestamp: new Date().toISOString()
@@ -155,14 +222,95 @@ app.get('/api/docs', (req, res) => {
       'GET /health': 'Check API health status',
       'GET /api': 'Get API information',
       'GET /api/docs': 'Get API documentation',
+      'POST /api/auth/register': 'Register a device and receive a device secret and tokens',
+      'POST /api/auth/login': 'Log in with a user ID and device secret',
+      'POST /api/auth/refresh': 'Exchange a refresh token for new tokens',
+      'POST /api/auth/logout': 'Revoke a refresh token',
       'GET /api/user-preferences/:userId': 'Get user preferences',
       'POST /api/user-preferences': 'Create user preferences',
       'PUT /api/user-preferences/:userId': 'Update user preferences',
       'DELETE /api/user-preferences/:userId': 'Delete user preferences',
       'POST /api/user-preferences/:userId/device-token': 'Update device token',
-      'POST /api/user-preferences/:userId/test-notification': 'Send test notification'
+      'POST /api/user-preferences/:userId/test-notification': 'Send test notification',
+      'PUT /api/user-preferences/:userId/quiet-hours': 'Update quiet hours',
+      'GET /api/user-preferences/:userId/devices': 'List devices registered to a user',
+      'PUT /api/user-preferences/:userId/devices/:deviceId': 'Register or update a device',
+      'DELETE /api/user-preferences/:userId/devices/:deviceId': 'Unregister a device',
+      'POST /api/user-preferences/:userId/calendar-token': 'Issue calendar feed URLs for a user',
+      'GET /api/user-preferences/:userId/next-prayer': "The next prayer and the one in progress in the user's timezone",
+      'GET /api/user-preferences/:userId/hijri-date': "Today's Hijri date with the user's adjustment",
+      'GET /api/user-preferences/:userId/qibla': "Qibla bearing, distance and declination for the user's location",
+      'GET /api/prayer-times': "Today's prayer times for a location or the mosque (lat, lng, method, timezone, adjustment, jamaah, congregation)",
+      'GET /api/prayer-times/:date': 'Prayer times for a date (lat, lng, method, timezone, adjustment, jamaah, congregation)',
+      'GET /api/prayer-times/month': 'Prayer times for every day of a month (year, month, lat, lng, method, timezone)',
+      'GET /api/prayer-times/next': 'The next prayer, the one in progress and whether a prayer is starting (lat, lng, method, timezone, window)',
+      'GET /api/prayer-times/methods': 'Supported calculation methods',
+      'GET /api/prayer-times/jumuah': "The mosque's Jumu'ah congregations on the coming Friday (date, congregation)",
+      'GET /api/live': "The mosque's current and next prayer, countdowns and Hijri date",
+      'GET /api/live/stream': 'The same as Server-Sent Events, resuming from Last-Event-ID',
+      'GET /display': 'Full-screen prayer hall display (profile, layout, language, panels, rotate, eventDays)',
+      'GET /api/display/config': 'Settings for a display screen from a saved profile and query parameters',
+      'GET /api/display/content': "Jumu'ah, announcements and upcoming events for the display screens",
+      'GET /api/timetable?date=|from=&to=|year=': 'Get the mosque timetable in PrayerTimes JSON shape',
+      'GET /api/timetable/export': 'Printable month of adhan, jamaah, Jumu\'ah and Hijri dates as PDF or CSV (year, month, format, method, language)',
+      'GET /api/timetable/:date': 'Get the mosque timetable for a single day',
+      'POST /api/timetable': 'Bulk upload the mosque timetable',
+      'PUT /api/timetable/:date': 'Override a single day of the mosque timetable',
+      'DELETE /api/timetable/:date': 'Remove a day from the mosque timetable',
+      'GET /api/events': 'List events (category, from, to, important, page, limit)',
+      'GET /api/events/occurrences': 'Expand recurring events into dated occurrences for a range',
+      'GET /api/events/:id': 'Get an event by id or slug',
+      'POST /api/events': 'Create an event',
+      'POST /api/events/import': 'Import events in MosqueEvents JSON shape',
+      'PUT /api/events/:id': 'Update an event',
+      'DELETE /api/events/:id': 'Delete an event',
+      'GET /api/calendar/prayer-times.ics': 'Subscribable prayer times feed (lat, lng, method, prayers, source, months)',
+      'GET /api/calendar/events.ics': 'Subscribable events feed (category)',
+      'GET /api/calendar/users/:userId/prayer-times.ics': 'Prayer times feed filtered by user notification settings',
+      'GET /api/calendar/users/:userId/events.ics': 'Events feed filtered by user event categories',
+      'GET /api/donations/projects': 'List donation projects with live totals',
+      'GET /api/donations/summary': 'Totals across all active projects',
+      'GET /api/donations/projects/:id': 'Get a donation project',
+      'POST /api/donations/projects': 'Create a donation project',
+      'POST /api/donations/projects/import': 'Import projects in DonationProjects JSON shape',
+      'PUT /api/donations/projects/:id': 'Update a donation project',
+      'PUT /api/donations/projects/priorities': 'Reorder donation projects',
+      'POST /api/donations/projects/:id/archive': 'Archive a donation project',
+      'POST /api/donations/projects/:id/restore': 'Restore an archived donation project',
+      'GET /api/donations/projects/:id/donations': 'List recorded donations for a project',
+      'POST /api/donations/projects/:id/donations': 'Record a donation',
+      'POST /api/donations/:donationId/refund': 'Refund a donation',
+      'POST /api/donations/recalculate': 'Rebuild all project totals from the ledger',
+      'GET /api/hijri/today': "Today's Hijri date at the mosque (adjustment, timezone)",
+      'GET /api/hijri/from-gregorian?date=': 'Convert a Gregorian date to Hijri (adjustment)',
+      'GET /api/hijri/to-gregorian?year=&month=&day=': 'Convert a Hijri date to Gregorian (adjustment)',
+      'GET /api/hijri/months/:year/:month': 'Every day of a Hijri month with its Gregorian date (adjustment)',
+      'GET /api/ramadan': 'Start, end and current day of this or next Ramadan (year)',
+      'GET /api/ramadan/timetable': 'Suhoor, Iftar, prayer and Taraweeh times for Ramadan (year, lat, lng, method, timezone)',
+      'GET /api/ramadan/timetable.html': 'Printable Ramadan timetable',
+      'GET /api/qibla?lat=&lng=': 'Qibla bearing (true and magnetic), distance to the Kaaba and magnetic declination (altitude)',
+      'GET /api/admin/broadcasts': 'List sent broadcasts',
+      'GET /api/admin/broadcasts/:id': 'Get a broadcast and its delivery totals',
+      'POST /api/admin/broadcasts/audience': 'Count the users a broadcast target would reach',
+      'POST /api/admin/broadcasts': 'Start sending a broadcast to users by city, language and category',
+      'GET /api/admin/users/:userId/deliveries': 'Recent push deliveries for a user',
+      'GET /api/admin/hijri-months': "List the mosque's moon-sighting decisions",
+      'PUT /api/admin/hijri-months/:year/:month': 'Set the date a Hijri month began',
+      'DELETE /api/admin/hijri-months/:year/:month': 'Return a Hijri month to its calculated start',
+      'GET /api/admin/display-profiles': 'Saved display screen profiles',
+      'PUT /api/admin/display-profiles/:name': 'Create or update a display screen profile',
+      'DELETE /api/admin/display-profiles/:name': 'Delete a display screen profile',
+      'GET /api/admin/jumuah-slots': "List the mosque's Jumu'ah congregations and their seasonal times (from)",
+      'POST /api/admin/jumuah-slots': "Add a Jumu'ah slot: congregation, khutbah and salah times, language, imam and dates",
+      'PUT /api/admin/jumuah-slots/:id': "Update a Jumu'ah slot",
+      'DELETE /api/admin/jumuah-slots/:id': "Delete a Jumu'ah slot",
+      'GET /api/admin/prayer-times-cache': 'Prayer times cache sizes and hit/miss rates',
+      'DELETE /api/admin/prayer-times-cache': 'Empty the prayer times cache',
+      'GET /api/dev/notifications': 'Notifications recorded by the capture transport',
+      'DELETE /api/dev/notifications': 'Clear captured notifications (capture transport only)',
+      'POST /api/dev/notifications/send': 'Send a prayer, event or test notification to a user (capture transport only)'
     },
-    authentication: 'None required for current version',
+    authentication: 'Bearer access token from /api/auth for /api/user-preferences/:userId routes; admin token for /api/admin and timetable, events and donations changes; ?token= calendar token for /api/calendar/users/:userId feeds',
     rateLimit: '100 requests per 15 minutes per IP',
     supportedFormats: ['application/json']
   });
@@ -177,7 +325,20 @@ app.use('*', (req, res) => {
       '/health',
       '/api',
       '/api/docs',
-      '/api/user-preferences'
+      '/api/auth',
+      '/api/user-preferences',
+      '/api/prayer-times',
+      '/api/live',
+      '/api/display',
+      '/display',
+      '/api/timetable',
+      '/api/events',
+      '/api/calendar',
+      '/api/donations',
+      '/api/hijri',
+      '/api/ramadan',
+      '/api/qibla',
+      '/api/admin'
     ]
   });
 });
@@ -243,6 +404,12 @@ app.use((error, req, res, next) => {
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
   
+  PrayerAlertScheduler.stop();
+  LiveService.stop();
+  NotificationService.shutdown().catch(error => {
+    console.error('❌ Failed to close push transports:', error.message);
+  });
+
   const server = app.listen(PORT);
   
   server.close(() => {
@@ -283,6 +450,11 @@ const startServer = async () => {
   try {
     // Connect to database first
     await connectDB();
+
+    // Start server-side prayer alerts once the database is available
+    if (process.env.PRAYER_ALERTS_ENABLED !== 'false') {
+      PrayerAlertScheduler.start();
+    }
     
     // Start HTTP server
     const server = app.listen(PORT, () => {
@@ -0,0 +1,30 @@
+// A whole number of minutes from the environment. Unset (or empty) means
+// the default; 0 is a valid setting, anything else that isn't a number is
+// a configuration mistake.
+const minutesFromEnv = (name, fallback) => {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value.trim())) {
+    throw new Error(`${name} must be a whole number of minutes, not "${value}"`);
+  }
+  return Number(value);
+};
+
+// Central Mosque Rochdale details, used wherever the API needs a default
+// location or has to label data as coming from the mosque
+module.exports = {
+  name: process.env.MOSQUE_NAME || 'Central Mosque Rochdale',
+  latitude: Number(process.env.MOSQUE_LATITUDE) || 53.6097,
+  longitude: Number(process.env.MOSQUE_LONGITUDE) || -2.1561,
+  city: process.env.DEFAULT_CITY || 'Rochdale',
+  country: process.env.DEFAULT_COUNTRY || 'UK',
+  timezone: process.env.MOSQUE_TIMEZONE || 'Europe/London',
+
+  // Ramadan: Suhoor ends this many minutes before Fajr, and Taraweeh is
+  // taken to start this long after the Isha jamaah unless the timetable
+  // gives its own time
+  suhoorMarginMinutes: minutesFromEnv('SUHOOR_MARGIN_MINUTES', 10),
+  taraweehAfterIshaMinutes: minutesFromEnv('TARAWEEH_AFTER_ISHA_MINUTES', 20)
+};
@@ -0,0 +1,64 @@
+const AuthService = require('../services/AuthService');
+
+// Require a valid Bearer access token and expose its claims as req.user.
+// Bad or expired tokens go to the global error handler, which answers 401.
+const authenticate = (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  try {
+    req.user = AuthService.verifyAccessToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Only let a user reach their own /:userId routes
+const authorizeUser = (req, res, next) => {
+  if (!req.user || req.user.sub !== req.params.userId) {
+    return res.status(403).json({
+      success: false,
+      message: 'You do not have access to this user'
+    });
+  }
+  next();
+};
+
+// Only let admins through. Use after authenticate.
+const requireAdmin = (req, res, next) => {
+  if (!req.user || req.user.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required'
+    });
+  }
+  next();
+};
+
+// Calendar feeds take a calendar-scoped token in the query string
+const authenticateCalendarFeed = (req, res, next) => {
+  const { token } = req.query;
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Calendar token required'
+    });
+  }
+
+  try {
+    req.user = AuthService.verifyCalendarToken(token);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticate, authorizeUser, requireAdmin, authenticateCalendarFeed };
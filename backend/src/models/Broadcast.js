@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// The user-facing event notification categories a broadcast can go out under
+const BROADCAST_CATEGORIES = ['religious', 'community', 'educational', 'fundraising', 'announcements'];
+
+const platformStatsSchema = new mongoose.Schema({
+  sent: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 }
+}, { _id: false });
+
+// Broadcast Schema
+// An announcement sent by an admin to every user matching `target`.
+// Only aggregate delivery figures are kept, not per-user results.
+const broadcastSchema = new mongoose.Schema({
+  title: { type: String, required: true, trim: true, maxlength: 100 },
+  body: { type: String, required: true, trim: true, maxlength: 500 },
+
+  // Optional Arabic and Urdu versions; other users get the English text
+  translations: {
+    ar: {
+      title: { type: String, trim: true, maxlength: 100 },
+      body: { type: String, trim: true, maxlength: 500 }
+    },
+    ur: {
+      title: { type: String, trim: true, maxlength: 100 },
+      body: { type: String, trim: true, maxlength: 500 }
+    }
+  },
+
+  target: {
+    city: { type: String, trim: true },
+    country: { type: String, trim: true },
+    languages: [{ type: String, enum: ['en', 'ar', 'ur'] }],
+    category: { type: String, enum: BROADCAST_CATEGORIES, default: 'announcements' }
+  },
+
+  // Urgent broadcasts are also pushed to the live stream for hall screens
+  urgent: { type: Boolean, default: false },
+
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'failed'],
+    default: 'sending',
+    index: true
+  },
+  sentBy: { type: String, required: true },
+  sentAt: { type: Date, default: Date.now },
+  completedAt: { type: Date },
+  error: { type: String },
+
+  stats: {
+    targeted: { type: Number, default: 0 },
+    delivered: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    noDevices: { type: Number, default: 0 },
+    deferred: { type: Number, default: 0 },
+    suppressed: { type: Number, default: 0 },
+    android: { type: platformStatsSchema, default: () => ({}) },
+    ios: { type: platformStatsSchema, default: () => ({}) }
+  }
+}, {
+  timestamps: true,
+  collection: 'broadcasts'
+});
+
+broadcastSchema.index({ sentAt: -1 });
+
+// Instance methods
+broadcastSchema.methods.toBroadcastJSON = function() {
+  return {
+    id: this._id,
+    title: this.title,
+    body: this.body,
+    translations: this.translations,
+    target: this.target,
+    urgent: this.urgent,
+    status: this.status,
+    sentBy: this.sentBy,
+    sentAt: this.sentAt,
+    completedAt: this.completedAt,
+    error: this.error,
+    stats: this.stats
+  };
+};
+
+// Hall screens only show broadcasts meant for everyone
+broadcastSchema.methods.isForEveryone = function() {
+  const { city, country, languages } = this.target || {};
+  return !city && !country && !(languages && languages.length);
+};
+
+// Static methods
+broadcastSchema.statics.getRecent = function(limit = 20, skip = 0) {
+  return this.find().sort({ sentAt: -1 }).skip(skip).limit(limit);
+};
+
+// Sent, untargeted broadcasts since a date, urgent ones first
+broadcastSchema.statics.findForDisplay = function(since, limit) {
+  return this.find({
+    status: 'sent',
+    sentAt: { $gte: since },
+    'target.city': { $in: [null, ''] },
+    'target.country': { $in: [null, ''] },
+    'target.languages.0': { $exists: false }
+  })
+    .sort({ urgent: -1, sentAt: -1 })
+    .limit(limit);
+};
+
+broadcastSchema.statics.BROADCAST_CATEGORIES = BROADCAST_CATEGORIES;
+
+// Export the model
+module.exports = mongoose.model('Broadcast', broadcastSchema);
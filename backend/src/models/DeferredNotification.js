@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Deferred Notification Schema
+// A notification held back by the user's quiet hours. The prayer alert
+// scheduler sends it once `deliverAt` passes, unless it has expired.
+const deferredNotificationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  category: { type: String, required: true },
+
+  // The message exactly as NotificationService built it
+  message: { type: mongoose.Schema.Types.Mixed, required: true },
+
+  deliverAt: { type: Date, required: true },
+  expiresAt: { type: Date },
+
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'sending', 'sent', 'failed', 'expired', 'cancelled']
+  },
+  claimedAt: { type: Date },
+  sentAt: { type: Date },
+  result: { type: mongoose.Schema.Types.Mixed }
+}, {
+  timestamps: true,
+  collection: 'deferred_notifications'
+});
+
+deferredNotificationSchema.index({ status: 1, deliverAt: 1 });
+
+// Remove old entries automatically after 30 days
+deferredNotificationSchema.index({ deliverAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static methods
+deferredNotificationSchema.statics.claimNextDue = function(now = new Date()) {
+  // Atomically move the oldest due notification to "sending" so only one worker sends it
+  return this.findOneAndUpdate(
+    { status: 'pending', deliverAt: { $lte: now } },
+    { $set: { status: 'sending', claimedAt: now } },
+    { sort: { deliverAt: 1 }, new: true }
+  );
+};
+
+deferredNotificationSchema.statics.markExpired = function(now = new Date()) {
+  return this.updateMany(
+    { status: 'pending', expiresAt: { $lte: now } },
+    { $set: { status: 'expired' } }
+  );
+};
+
+deferredNotificationSchema.methods.markSent = function(result) {
+  this.status = result && result.success ? 'sent' : 'failed';
+  this.sentAt = new Date();
+  this.result = result;
+  return this.save();
+};
+
+// Export the model
+module.exports = mongoose.model('DeferredNotification', deferredNotificationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Device Schema
+// One document per app install. `deviceId` is generated by the app and
+// stays the same across launches; the push token may change.
+const deviceSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  deviceId: { type: String, required: true, trim: true },
+  platform: { type: String, required: true, enum: ['ios', 'android'] },
+  token: { type: String, required: true },
+  name: { type: String, trim: true, maxlength: 100 },
+  appVersion: { type: String, trim: true },
+  locale: { type: String, trim: true },
+  lastSeenAt: { type: Date, default: Date.now },
+  isActive: { type: Boolean, default: true },
+  deactivatedAt: { type: Date },
+  deactivationReason: { type: String }
+}, {
+  timestamps: true,
+  collection: 'devices'
+});
+
+deviceSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+deviceSchema.index({ token: 1 });
+deviceSchema.index({ userId: 1, isActive: 1 });
+
+// Instance methods
+deviceSchema.methods.toDeviceJSON = function() {
+  return {
+    deviceId: this.deviceId,
+    platform: this.platform,
+    name: this.name,
+    appVersion: this.appVersion,
+    locale: this.locale,
+    lastSeenAt: this.lastSeenAt,
+    isActive: this.isActive,
+    deactivationReason: this.deactivationReason,
+    registeredAt: this.createdAt
+  };
+};
+
+// Static methods
+deviceSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ userId, isActive: true }).sort({ lastSeenAt: -1 });
+};
+
+// Create or update a device. A push token belongs to a single install, so
+// any other device still holding it (e.g. after signing in as a new user)
+// is deactivated.
+deviceSchema.statics.register = async function(userId, deviceId, { platform, token, name, appVersion, locale }) {
+  await this.updateMany(
+    { token, isActive: true, $or: [{ userId: { $ne: userId } }, { deviceId: { $ne: deviceId } }] },
+    { $set: { isActive: false, deactivatedAt: new Date(), deactivationReason: 'token_reassigned' } }
+  );
+
+  return this.findOneAndUpdate(
+    { userId, deviceId },
+    {
+      $set: {
+        platform,
+        token,
+        ...(name !== undefined && { name }),
+        ...(appVersion !== undefined && { appVersion }),
+        ...(locale !== undefined && { locale }),
+        lastSeenAt: new Date(),
+        isActive: true
+      },
+      $unset: { deactivatedAt: '', deactivationReason: '' }
+    },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Stop sending to a device whose token the push service rejected, unless
+// it has registered a new token since
+deviceSchema.statics.deactivateToken = async function(userId, deviceId, token, reason) {
+  const result = await this.updateOne(
+    { userId, deviceId, token, isActive: true },
+    { $set: { isActive: false, deactivatedAt: new Date(), deactivationReason: reason } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Export the model
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const LAYOUTS = ['landscape', 'portrait'];
+const PANELS = ['clock', 'hijri', 'countdown', 'times', 'jumuah', 'announcements', 'events'];
+
+// Display Profile Schema
+// Saved settings for one of the prayer hall screens, so a TV only needs
+// to be pointed at /display?profile=<name>
+const displayProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Name may only contain lowercase letters, numbers and dashes']
+  },
+  title: { type: String, trim: true, maxlength: 100 },
+  layout: { type: String, enum: LAYOUTS, default: 'landscape' },
+  language: { type: String, enum: ['en', 'ar', 'ur'], default: 'en' },
+  panels: {
+    type: [{ type: String, enum: PANELS }],
+    default: () => [...PANELS]
+  },
+  rotateSeconds: { type: Number, min: 5, max: 120, default: 12 },
+  eventDays: { type: Number, min: 1, max: 60, default: 14 },
+  updatedBy: { type: String }
+}, {
+  timestamps: true,
+  collection: 'display_profiles'
+});
+
+// Instance methods
+displayProfileSchema.methods.toProfileJSON = function() {
+  return {
+    name: this.name,
+    title: this.title,
+    layout: this.layout,
+    language: this.language,
+    panels: this.panels,
+    rotateSeconds: this.rotateSeconds,
+    eventDays: this.eventDays,
+    updatedBy: this.updatedBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+displayProfileSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).toLowerCase() });
+};
+
+displayProfileSchema.statics.LAYOUTS = LAYOUTS;
+displayProfileSchema.statics.PANELS = PANELS;
+
+// Export the model
+module.exports = mongoose.model('DisplayProfile', displayProfileSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Donation Schema
+// The ledger every project's `raised` total is derived from. Donations are
+// never deleted: a refund flips the status so the history stays intact.
+const donationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DonationProject',
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be at least 0.01'],
+    set: (value) => Math.round(value * 100) / 100
+  },
+  currency: { type: String, default: 'GBP', uppercase: true },
+  method: {
+    type: String,
+    default: 'other',
+    enum: ['cash', 'card', 'bank_transfer', 'online', 'cheque', 'opening_balance', 'other']
+  },
+  reference: { type: String, trim: true },
+
+  // Donor details are optional; many donations are anonymous
+  donorName: { type: String, trim: true },
+  isAnonymous: { type: Boolean, default: false },
+  giftAid: { type: Boolean, default: false },
+  notes: { type: String, trim: true },
+
+  status: { type: String, default: 'completed', enum: ['completed', 'refunded'] },
+  refundedAt: { type: Date },
+  receivedAt: { type: Date, default: Date.now }
+}, {
+  timestamps: true,
+  collection: 'donations'
+});
+
+// Indexes for better query performance
+donationSchema.index({ project: 1, receivedAt: -1 });
+donationSchema.index({ reference: 1 }, { sparse: true });
+
+// Keep the project's totals in step with the ledger
+donationSchema.post('save', async function() {
+  await mongoose.model('DonationProject').recalculateTotals(this.project);
+});
+
+// Instance methods
+donationSchema.methods.refund = function() {
+  this.status = 'refunded';
+  this.refundedAt = new Date();
+  return this.save();
+};
+
+donationSchema.methods.toLedgerJSON = function() {
+  return {
+    id: this._id,
+    amount: this.amount,
+    currency: this.currency,
+    method: this.method,
+    reference: this.reference,
+    donorName: this.isAnonymous ? null : this.donorName,
+    isAnonymous: this.isAnonymous,
+    giftAid: this.giftAid,
+    notes: this.notes,
+    status: this.status,
+    receivedAt: this.receivedAt,
+    refundedAt: this.refundedAt
+  };
+};
+
+// Export the model
+module.exports = mongoose.model('Donation', donationSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Donation Project Schema
+// Mirrors an entry of `projects` in the apps' DonationProjects.json. `raised`
+// is never edited directly: it is derived from the donations ledger.
+const donationProjectSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, default: '', trim: true },
+  icon: { type: String, default: 'heart' },
+  color: { type: String, default: 'green' },
+  goal: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'GBP', uppercase: true },
+
+  // Derived from the donations ledger by recalculateTotals()
+  raised: { type: Number, default: 0 },
+  donationCount: { type: Number, default: 0 },
+  lastDonationAt: { type: Date },
+
+  priority: { type: Number, default: 100, index: true },
+  isActive: { type: Boolean, default: true },
+  archivedAt: { type: Date }
+}, {
+  timestamps: true,
+  collection: 'donation_projects'
+});
+
+// Instance methods
+
+// Same fields as an entry of DonationProjects.json, plus progress
+donationProjectSchema.methods.toProjectJSON = function() {
+  return {
+    id: this.slug,
+    title: this.title,
+    description: this.description,
+    icon: this.icon,
+    goal: this.goal,
+    raised: this.raised,
+    color: this.color,
+    isActive: this.isActive,
+    priority: this.priority,
+    currency: this.currency,
+    donationCount: this.donationCount,
+    progress: this.goal > 0 ? Math.min(100, Math.round((this.raised / this.goal) * 1000) / 10) : 0,
+    archivedAt: this.archivedAt
+  };
+};
+
+donationProjectSchema.methods.archive = function() {
+  this.isActive = false;
+  this.archivedAt = new Date();
+  return this.save();
+};
+
+donationProjectSchema.methods.restore = function() {
+  this.isActive = true;
+  this.archivedAt = undefined;
+  return this.save();
+};
+
+// Static methods
+donationProjectSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug });
+};
+
+donationProjectSchema.statics.getActiveProjects = function() {
+  return this.find({ isActive: true }).sort({ priority: 1, title: 1 });
+};
+
+// Recompute `raised` from completed donations in the ledger
+donationProjectSchema.statics.recalculateTotals = async function(projectId) {
+  const Donation = mongoose.model('Donation');
+  const [totals] = await Donation.aggregate([
+    { $match: { project: new mongoose.Types.ObjectId(String(projectId)), status: 'completed' } },
+    {
+      $group: {
+        _id: '$project',
+        raised: { $sum: '$amount' },
+        donationCount: { $sum: 1 },
+        lastDonationAt: { $max: '$receivedAt' }
+      }
+    }
+  ]);
+
+  return this.findByIdAndUpdate(projectId, {
+    $set: {
+      raised: totals ? Math.round(totals.raised * 100) / 100 : 0,
+      donationCount: totals ? totals.donationCount : 0,
+      lastDonationAt: totals ? totals.lastDonationAt : null
+    }
+  }, { new: true });
+};
+
+// Export the model
+module.exports = mongoose.model('DonationProject', donationProjectSchema);
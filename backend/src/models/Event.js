@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const RECURRENCE_INTERVAL_DAYS = { weekly: 7, biweekly: 14 };
+
+// Event categories used by the apps, mapped to the category flags in
+// UserPreferences.eventNotifications.categories
+const NOTIFICATION_CATEGORIES = {
+  religious: 'religious',
+  lecture: 'educational',
+  education: 'educational',
+  community: 'community',
+  fundraising: 'fundraising',
+  announcement: 'announcements'
+};
+
+// Event Schema
+// Mirrors an entry of `events` in the apps' MosqueEvents<year>.json
+const eventSchema = new mongoose.Schema({
+  // Human readable id from the bundled JSON, e.g. "hadith-circle"
+  slug: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    unique: true,
+    sparse: true,
+    match: [/^[a-z0-9-]+$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  title: { type: String, required: true, trim: true },
+  description: { type: String, default: '', trim: true },
+
+  // Title and description in the other app languages. English is the
+  // default above; missing translations fall back to it.
+  translations: {
+    ar: {
+      title: { type: String, trim: true },
+      description: { type: String, trim: true }
+    },
+    ur: {
+      title: { type: String, trim: true },
+      description: { type: String, trim: true }
+    }
+  },
+
+  category: {
+    type: String,
+    required: true,
+    enum: Object.keys(NOTIFICATION_CATEGORIES)
+  },
+
+  // Scheduling
+  dayOfWeek: { type: String, enum: DAYS_OF_WEEK },
+  time: { type: String, trim: true }, // Free text, e.g. "After Esha"
+  startTime: { type: String, match: [TIME_PATTERN, 'Start time must be in HH:mm format'] },
+  durationMinutes: { type: Number, default: 60, min: 0 },
+  recurrence: { type: String, default: 'none', enum: ['none', 'weekly', 'biweekly'] },
+  startDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  endDate: { type: String, match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format'] },
+
+  location: { type: String, trim: true },
+  organizer: { type: String, trim: true },
+  isImportant: { type: Boolean, default: false },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true,
+  collection: 'events',
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for better query performance
+eventSchema.index({ isActive: 1, startDate: 1, endDate: 1 });
+eventSchema.index({ category: 1 });
+
+// Pre-validate middleware to fill in the weekday of recurring events
+eventSchema.pre('validate', function(next) {
+  if (this.recurrence !== 'none' && !this.dayOfWeek && this.startDate) {
+    this.dayOfWeek = DAYS_OF_WEEK[moment.utc(this.startDate, 'YYYY-MM-DD').day()];
+  }
+  if (this.endDate && this.startDate && this.endDate < this.startDate) {
+    this.invalidate('endDate', 'End date must not be before start date');
+  }
+  next();
+});
+
+eventSchema.virtual('notificationCategory').get(function() {
+  return NOTIFICATION_CATEGORIES[this.category];
+});
+
+// Instance methods
+
+// Expand the event into concrete dated occurrences between two
+// YYYY-MM-DD dates (inclusive)
+eventSchema.methods.getOccurrences = function(from, to) {
+  const rangeStart = from > this.startDate ? from : this.startDate;
+  const rangeEnd = this.endDate && this.endDate < to ? this.endDate : to;
+
+  if (rangeStart > rangeEnd) {
+    return [];
+  }
+
+  if (this.recurrence === 'none') {
+    return this.startDate >= from && this.startDate <= to ? [this.toOccurrence(this.startDate)] : [];
+  }
+
+  // Anchor on the first occurrence, so biweekly events stay on the same
+  // fortnightly cycle whatever the range
+  const interval = RECURRENCE_INTERVAL_DAYS[this.recurrence];
+  const first = moment.utc(this.getFirstOccurrenceDate(), 'YYYY-MM-DD');
+
+  const startOffset = Math.max(0, moment.utc(rangeStart, 'YYYY-MM-DD').diff(first, 'days'));
+  const current = first.clone().add(Math.ceil(startOffset / interval) * interval, 'days');
+  const occurrences = [];
+
+  while (current.format('YYYY-MM-DD') <= rangeEnd) {
+    occurrences.push(this.toOccurrence(current.format('YYYY-MM-DD')));
+    current.add(interval, 'days');
+  }
+
+  return occurrences;
+};
+
+// First matching weekday on or after the start date
+eventSchema.methods.getFirstOccurrenceDate = function() {
+  const first = moment.utc(this.startDate, 'YYYY-MM-DD');
+  const weekday = DAYS_OF_WEEK.indexOf(this.dayOfWeek);
+  if (this.recurrence !== 'none' && weekday >= 0) {
+    first.add((weekday - first.day() + 7) % 7, 'days');
+  }
+  return first.format('YYYY-MM-DD');
+};
+
+eventSchema.methods.getIntervalDays = function() {
+  return RECURRENCE_INTERVAL_DAYS[this.recurrence] || null;
+};
+
+eventSchema.methods.toOccurrence = function(date) {
+  return {
+    _id: this._id,
+    occurrenceId: `${this.slug || this._id}:${date}`,
+    date,
+    ...this.toEventJSON(),
+    notificationCategory: this.notificationCategory
+  };
+};
+
+// Same fields as an entry of MosqueEvents<year>.json
+// Translations that have at least a title or a description
+eventSchema.methods.getTranslations = function() {
+  const translations = {};
+  ['ar', 'ur'].forEach(language => {
+    const { title, description } = this.translations?.[language] || {};
+    if (title || description) {
+      translations[language] = { title, description };
+    }
+  });
+  return translations;
+};
+
+eventSchema.methods.toEventJSON = function() {
+  return {
+    id: this.slug || String(this._id),
+    title: this.title,
+    description: this.description,
+    translations: this.getTranslations(),
+    category: this.category,
+    dayOfWeek: this.dayOfWeek,
+    time: this.time,
+    startTime: this.startTime,
+    durationMinutes: this.durationMinutes,
+    recurrence: this.recurrence,
+    location: this.location,
+    organizer: this.organizer,
+    isImportant: this.isImportant,
+    startDate: this.startDate,
+    endDate: this.endDate
+  };
+};
+
+// Static methods
+eventSchema.statics.findByIdOrSlug = function(id) {
+  const query = mongoose.isValidObjectId(id) ? { $or: [{ _id: id }, { slug: id }] } : { slug: id };
+  return this.findOne({ ...query, isActive: true });
+};
+
+// Active events that have at least one day inside the range
+eventSchema.statics.findActiveInRange = function(from, to, filters = {}) {
+  return this.find({
+    ...filters,
+    isActive: true,
+    startDate: { $lte: to },
+    $or: [{ endDate: null }, { endDate: { $gte: from } }]
+  });
+};
+
+eventSchema.statics.DAYS_OF_WEEK = DAYS_OF_WEEK;
+eventSchema.statics.DATE_PATTERN = DATE_PATTERN;
+eventSchema.statics.TIME_PATTERN = TIME_PATTERN;
+eventSchema.statics.NOTIFICATION_CATEGORIES = NOTIFICATION_CATEGORIES;
+
+// Export the model
+module.exports = mongoose.model('Event', eventSchema);
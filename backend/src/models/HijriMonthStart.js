@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Hijri Month Start Schema
+// The mosque's moon-sighting decision for one Hijri month: the Gregorian
+// date the month began. Months without one follow the calculated calendar,
+// shifted by the most recent decision before them.
+const hijriMonthStartSchema = new mongoose.Schema({
+  year: { type: Number, required: true, min: 1 },
+  month: { type: Number, required: true, min: 1, max: 12 },
+  startDate: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  note: { type: String, trim: true, maxlength: 200 },
+  setBy: { type: String, required: true }
+}, {
+  timestamps: true,
+  collection: 'hijri_month_starts'
+});
+
+hijriMonthStartSchema.index({ year: 1, month: 1 }, { unique: true });
+
+// Instance methods
+hijriMonthStartSchema.methods.toMonthStartJSON = function() {
+  return {
+    year: this.year,
+    month: this.month,
+    startDate: this.startDate,
+    note: this.note,
+    setBy: this.setBy,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static methods
+hijriMonthStartSchema.statics.getAll = function() {
+  return this.find().sort({ year: 1, month: 1 });
+};
+
+hijriMonthStartSchema.statics.DATE_PATTERN = DATE_PATTERN;
+
+// Export the model
+module.exports = mongoose.model('HijriMonthStart', hijriMonthStartSchema);
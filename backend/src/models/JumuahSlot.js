@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const CONGREGATION_PATTERN = /^[a-z0-9-]+$/;
+
+// Jumu'ah Slot Schema
+// One of the mosque's Friday congregations for a range of dates. Summer
+// and winter times are separate slots for the same `congregation`, which
+// is what users choose, e.g. "first" or "second".
+const jumuahSlotSchema = new mongoose.Schema({
+  congregation: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [CONGREGATION_PATTERN, 'Congregation may only contain lowercase letters, numbers and dashes']
+  },
+  label: { type: String, trim: true, maxlength: 100 },
+  khutbahStart: { type: String, required: true, match: [TIME_PATTERN, 'Khutbah start must be in HH:mm format'] },
+  salahTime: { type: String, required: true, match: [TIME_PATTERN, 'Salah time must be in HH:mm format'] },
+  // Language of the khutbah, e.g. "English" or "Urdu"
+  language: { type: String, required: true, trim: true, maxlength: 50 },
+  imam: { type: String, trim: true, maxlength: 100 },
+
+  // Inclusive YYYY-MM-DD dates; no end date means until further notice
+  effectiveFrom: {
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Effective from must be in YYYY-MM-DD format']
+  },
+  effectiveTo: {
+    type: String,
+    default: null,
+    match: [DATE_PATTERN, 'Effective to must be in YYYY-MM-DD format']
+  },
+  isActive: { type: Boolean, default: true },
+  updatedBy: { type: String }
+}, {
+  timestamps: true,
+  collection: 'jumuah_slots'
+});
+
+jumuahSlotSchema.index({ congregation: 1, effectiveFrom: 1 });
+
+// Pre-validate middleware to keep the khutbah before the salah and the
+// date range in order
+jumuahSlotSchema.pre('validate', function(next) {
+  if (this.khutbahStart && this.salahTime && this.khutbahStart >= this.salahTime) {
+    this.invalidate('salahTime', 'Salah time must be after the khutbah starts');
+  }
+  if (this.effectiveFrom && this.effectiveTo && this.effectiveTo < this.effectiveFrom) {
+    this.invalidate('effectiveTo', 'Effective to must not be before effective from');
+  }
+  next();
+});
+
+// Instance methods
+jumuahSlotSchema.methods.toSlotJSON = function() {
+  return {
+    id: this._id,
+    congregation: this.congregation,
+    label: this.label,
+    khutbahStart: this.khutbahStart,
+    salahTime: this.salahTime,
+    language: this.language,
+    imam: this.imam,
+    effectiveFrom: this.effectiveFrom,
+    effectiveTo: this.effectiveTo,
+    isActive: this.isActive
+  };
+};
+
+// Static methods
+
+// Active slots in effect on a YYYY-MM-DD date, earliest salah first
+jumuahSlotSchema.statics.findForDate = function(date) {
+  return this.find({
+    isActive: true,
+    effectiveFrom: { $lte: date },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: date } }]
+  }).sort({ salahTime: 1 });
+};
+
+// Active slots for a congregation whose dates overlap the range
+jumuahSlotSchema.statics.findOverlapping = function(congregation, from, to, excludeId = null) {
+  return this.find({
+    congregation,
+    isActive: true,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+    ...(to && { effectiveFrom: { $lte: to } }),
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: from } }]
+  });
+};
+
+jumuahSlotSchema.statics.TIME_PATTERN = TIME_PATTERN;
+jumuahSlotSchema.statics.DATE_PATTERN = DATE_PATTERN;
+jumuahSlotSchema.statics.CONGREGATION_PATTERN = CONGREGATION_PATTERN;
+
+// Export the model
+module.exports = mongoose.model('JumuahSlot', jumuahSlotSchema);
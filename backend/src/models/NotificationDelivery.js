@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Notification Delivery Schema
+// One document per push sent to a device, kept for support cases.
+// Only the last characters of the device token are stored.
+const notificationDeliverySchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  deviceId: { type: String },
+  platform: { type: String, required: true, enum: ['ios', 'android'] },
+  type: { type: String, required: true },
+  prayer: { type: String },
+  eventId: { type: String },
+  tokenSuffix: { type: String },
+  success: { type: Boolean, required: true },
+  messageId: { type: String },
+  errorCode: { type: String },
+  errorMessage: { type: String },
+  tokenRemoved: { type: Boolean, default: false }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  collection: 'notification_deliveries'
+});
+
+notificationDeliverySchema.index({ userId: 1, createdAt: -1 });
+
+// Keep the log for 90 days
+notificationDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// Instance methods
+notificationDeliverySchema.methods.toDeliveryJSON = function() {
+  return {
+    id: this._id,
+    deviceId: this.deviceId,
+    platform: this.platform,
+    type: this.type,
+    prayer: this.prayer,
+    eventId: this.eventId,
+    token: this.tokenSuffix ? `...${this.tokenSuffix}` : null,
+    success: this.success,
+    messageId: this.messageId,
+    errorCode: this.errorCode,
+    errorMessage: this.errorMessage,
+    tokenRemoved: this.tokenRemoved,
+    sentAt: this.createdAt
+  };
+};
+
+// Static methods
+notificationDeliverySchema.statics.findRecentForUser = function(userId, { limit = 50, platform, type, since } = {}) {
+  const query = { userId };
+  if (platform) {
+    query.platform = platform;
+  }
+  if (type) {
+    query.type = type;
+  }
+  if (since) {
+    query.createdAt = { $gte: since };
+  }
+  return this.find(query).sort({ createdAt: -1 }).limit(limit);
+};
+
+// Export the model
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
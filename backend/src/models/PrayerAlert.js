@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Prayer Alert Schema
+// One document per user, prayer and local date. The unique index is what
+// stops an alert being sent twice when the scheduler restarts or runs on
+// more than one instance.
+const prayerAlertSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  prayer: {
+    type: String,
+    required: true,
+    enum: ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'jumma', 'suhoor', 'iftar', 'taraweeh']
+  },
+
+  // Local calendar date (YYYY-MM-DD) in the user's timezone
+  date: { type: String, required: true },
+  timezone: { type: String, default: 'Europe/London' },
+  // prayerTime is the adhan in the user's timezone, or the jamaah in the
+  // mosque's timezone when reference is 'jamaah'
+  prayerTime: { type: String, required: true },
+  reference: { type: String, default: 'adhan', enum: ['adhan', 'jamaah'] },
+  alertMinutes: { type: Number, default: 0 },
+  fireAt: { type: Date, required: true },
+
+  // Delivery state
+  status: {
+    type: String,
+    default: 'pending',
+    enum: ['pending', 'sending', 'sent', 'failed', 'missed', 'cancelled', 'suppressed', 'deferred']
+  },
+  claimedAt: { type: Date },
+  sentAt: { type: Date },
+  result: { type: mongoose.Schema.Types.Mixed }
+}, {
+  timestamps: true,
+  collection: 'prayer_alerts'
+});
+
+// Indexes for better query performance
+prayerAlertSchema.index({ userId: 1, date: 1, prayer: 1 }, { unique: true });
+prayerAlertSchema.index({ status: 1, fireAt: 1 });
+
+// Remove old alerts automatically after 30 days
+prayerAlertSchema.index({ fireAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// Static methods
+prayerAlertSchema.statics.claimNextDue = function(now = new Date()) {
+  // Atomically move the oldest due alert to "sending" so only one worker sends it
+  return this.findOneAndUpdate(
+    { status: 'pending', fireAt: { $lte: now } },
+    { $set: { status: 'sending', claimedAt: now } },
+    { sort: { fireAt: 1 }, new: true }
+  );
+};
+
+prayerAlertSchema.statics.markMissed = function(before) {
+  return this.updateMany(
+    { status: 'pending', fireAt: { $lt: before } },
+    { $set: { status: 'missed' } }
+  );
+};
+
+prayerAlertSchema.statics.cancelPendingForUser = function(userId) {
+  return this.deleteMany({ userId, status: 'pending' });
+};
+
+prayerAlertSchema.statics.cancelPending = function(userIds, match = {}) {
+  return this.deleteMany({ ...match, userId: { $in: userIds }, status: 'pending' });
+};
+
+prayerAlertSchema.methods.markSent = function(result) {
+  if (result?.suppressed) {
+    this.status = 'suppressed';
+  } else if (result?.deferred) {
+    this.status = 'deferred';
+  } else {
+    this.status = result && result.success ? 'sent' : 'failed';
+  }
+  this.sentAt = new Date();
+  this.result = result;
+  return this.save();
+};
+
+// Export the model
+module.exports = mongoose.model('PrayerAlert', prayerAlertSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Prayer Times Cache Entry Schema
+// The persistent tier of the prayer times cache, so a restart doesn't
+// start cold. Entries past `expiresAt` are only served while the provider
+// is failing, and MongoDB removes them once past `staleUntil`.
+const prayerTimesCacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  kind: { type: String, required: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  storedAt: { type: Date, required: true },
+  expiresAt: { type: Date, required: true },
+  staleUntil: { type: Date, required: true }
+}, {
+  timestamps: false,
+  collection: 'prayer_times_cache'
+});
+
+prayerTimesCacheEntrySchema.index({ staleUntil: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+prayerTimesCacheEntrySchema.statics.findUnexpired = function(key) {
+  return this.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+};
+
+prayerTimesCacheEntrySchema.statics.findStale = function(key) {
+  return this.findOne({ key, staleUntil: { $gt: new Date() } }).lean();
+};
+
+prayerTimesCacheEntrySchema.statics.store = function(key, kind, data, { storedAt, expiresAt, staleUntil }) {
+  return this.updateOne(
+    { key },
+    { $set: { kind, data, storedAt, expiresAt, staleUntil } },
+    { upsert: true }
+  );
+};
+
+// Export the model
+module.exports = mongoose.model('PrayerTimesCacheEntry', prayerTimesCacheEntrySchema);
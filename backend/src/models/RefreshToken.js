@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Refresh Token Schema
+// Refresh tokens are opaque random strings; only their SHA-256 hash is
+// stored. Each refresh rotates the token, and reusing a rotated token
+// revokes the whole family.
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  replacedByHash: { type: String },
+  createdByIp: { type: String },
+  userAgent: { type: String }
+}, {
+  timestamps: true,
+  collection: 'refresh_tokens'
+});
+
+// Remove expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static methods
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Export the model
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
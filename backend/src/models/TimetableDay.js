@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMETABLE_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+
+const timeField = (required = false) => ({
+  type: String,
+  required,
+  match: [TIME_PATTERN, 'Times must be in HH:mm format']
+});
+
+const prayerSlotSchema = new mongoose.Schema({
+  adhan: timeField(true),
+  jamaah: timeField(true)
+}, { _id: false });
+
+// Timetable Day Schema
+// One document per day of the mosque's published timetable. Fields mirror
+// an entry of `prayerTimes` in the apps' PrayerTimes<year>.json.
+const timetableDaySchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [DATE_PATTERN, 'Date must be in YYYY-MM-DD format']
+  },
+  year: { type: Number, required: true, index: true },
+
+  fajr: { type: prayerSlotSchema, required: true },
+  sunrise: timeField(true),
+  dhuhr: { type: prayerSlotSchema, required: true },
+  asr: { type: prayerSlotSchema, required: true },
+  maghrib: { type: prayerSlotSchema, required: true },
+  isha: { type: prayerSlotSchema, required: true },
+  jummah: timeField(),
+  // Start of Taraweeh on Ramadan nights, when the mosque publishes one
+  taraweeh: timeField(),
+
+  // Single-day overrides survive a later bulk upload of the yearly timetable
+  isOverride: { type: Boolean, default: false },
+  note: { type: String, trim: true }
+}, {
+  timestamps: true,
+  collection: 'mosque_timetable'
+});
+
+// Pre-validate middleware to keep the year in step with the date
+timetableDaySchema.pre('validate', function(next) {
+  if (this.date) {
+    this.year = Number(this.date.slice(0, 4));
+  }
+  next();
+});
+
+// Instance methods
+timetableDaySchema.methods.toTimetableJSON = function() {
+  const entry = { date: this.date };
+
+  TIMETABLE_PRAYERS.forEach(prayer => {
+    entry[prayer] = { adhan: this[prayer].adhan, jamaah: this[prayer].jamaah };
+    if (prayer === 'fajr') {
+      entry.sunrise = this.sunrise;
+    }
+  });
+
+  if (this.jummah) {
+    entry.jummah = this.jummah;
+  }
+  if (this.taraweeh) {
+    entry.taraweeh = this.taraweeh;
+  }
+
+  return entry;
+};
+
+timetableDaySchema.methods.getJamaahTimes = function() {
+  const jamaah = {};
+  TIMETABLE_PRAYERS.forEach(prayer => {
+    jamaah[prayer] = this[prayer].jamaah;
+  });
+  jamaah.jummah = this.jummah || null;
+  jamaah.taraweeh = this.taraweeh || null;
+  return jamaah;
+};
+
+// Static methods
+timetableDaySchema.statics.findByDate = function(date) {
+  return this.findOne({ date });
+};
+
+timetableDaySchema.statics.findInRange = function(from, to) {
+  return this.find({ date: { $gte: from, $lte: to } }).sort({ date: 1 });
+};
+
+timetableDaySchema.statics.bulkUpsert = async function(entries, { replaceOverrides = false } = {}) {
+  const dates = entries.map(entry => entry.date);
+  const overrides = replaceOverrides
+    ? []
+    : (await this.find({ date: { $in: dates }, isOverride: true }, 'date').lean()).map(day => day.date);
+
+  const operations = entries
+    .filter(entry => !overrides.includes(entry.date))
+    .map(entry => ({
+      updateOne: {
+        filter: { date: entry.date },
+        update: {
+          $set: {
+            ...entry,
+            year: Number(entry.date.slice(0, 4)),
+            isOverride: false
+          }
+        },
+        upsert: true,
+        runValidators: true
+      }
+    }));
+
+  const result = operations.length
+    ? await this.bulkWrite(operations, { ordered: false })
+    : { upsertedCount: 0, modifiedCount: 0, matchedCount: 0 };
+
+  return {
+    received: entries.length,
+    created: result.upsertedCount,
+    updated: result.modifiedCount,
+    unchanged: result.matchedCount - result.modifiedCount,
+    skippedOverrides: overrides
+  };
+};
+
+timetableDaySchema.statics.TIMETABLE_PRAYERS = TIMETABLE_PRAYERS;
+timetableDaySchema.statics.TIME_PATTERN = TIME_PATTERN;
+timetableDaySchema.statics.DATE_PATTERN = DATE_PATTERN;
+
+// Export the model
+module.exports = mongoose.model('TimetableDay', timetableDaySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// User Credential Schema
+// The apps have no user accounts: a device registers once and is given a
+// userId and a random device secret. Only a bcrypt hash of the secret is stored.
+// Committee members log in the same way; their credential has the admin role.
+const userCredentialSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  secretHash: { type: String, required: true },
+  role: { type: String, default: 'user', enum: ['user', 'admin'] },
+  isActive: { type: Boolean, default: true },
+  lastLoginAt: { type: Date }
+}, {
+  timestamps: true,
+  collection: 'user_credentials'
+});
+
+// Static methods
+userCredentialSchema.statics.findActiveByUserId = function(userId) {
+  return this.findOne({ userId, isActive: true });
+};
+
+// Export the model
+module.exports = mongoose.model('UserCredential', userCredentialSchema);
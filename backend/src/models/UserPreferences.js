@@ -9,31 +9,53 @@ const userPreferencesSchema = new mongoose.Schema({
     index: true
   },
   
-  // Prayer notification settings
+  // Prayer notification settings. `reference` chooses whether alertMinutes
+  // counts back from the adhan or from the mosque's jamaah time.
   notifications: {
     fajr: {
       enabled: { type: Boolean, default: true },
-      alertMinutes: { type: Number, default: 10, min: 0, max: 60 }
+      alertMinutes: { type: Number, default: 10, min: 0, max: 60 },
+      reference: { type: String, default: 'adhan', enum: ['adhan', 'jamaah'] }
     },
     dhuhr: {
       enabled: { type: Boolean, default: true },
-      alertMinutes: { type: Number, default: 15, min: 0, max: 60 }
+      alertMinutes: { type: Number, default: 15, min: 0, max: 60 },
+      reference: { type: String, default: 'adhan', enum: ['adhan', 'jamaah'] }
     },
     asr: {
       enabled: { type: Boolean, default: false },
-      alertMinutes: { type: Number, default: 5, min: 0, max: 60 }
+      alertMinutes: { type: Number, default: 5, min: 0, max: 60 },
+      reference: { type: String, default: 'adhan', enum: ['adhan', 'jamaah'] }
     },
     maghrib: {
       enabled: { type: Boolean, default: true },
-      alertMinutes: { type: Number, default: 10, min: 0, max: 60 }
+      alertMinutes: { type: Number, default: 10, min: 0, max: 60 },
+      reference: { type: String, default: 'adhan', enum: ['adhan', 'jamaah'] }
     },
     isha: {
       enabled: { type: Boolean, default: true },
-      alertMinutes: { type: Number, default: 15, min: 0, max: 60 }
+      alertMinutes: { type: Number, default: 15, min: 0, max: 60 },
+      reference: { type: String, default: 'adhan', enum: ['adhan', 'jamaah'] }
     },
     jumma: {
       enabled: { type: Boolean, default: true },
+      alertMinutes: { type: Number, default: 30, min: 0, max: 120 },
+      reference: { type: String, default: 'adhan', enum: ['adhan', 'jamaah'] }
+    },
+
+    // Ramadan only, and opt-in. Suhoor counts back from the end of Suhoor,
+    // Taraweeh fires on the nights before each fast.
+    suhoor: {
+      enabled: { type: Boolean, default: false },
       alertMinutes: { type: Number, default: 30, min: 0, max: 120 }
+    },
+    iftar: {
+      enabled: { type: Boolean, default: false },
+      alertMinutes: { type: Number, default: 10, min: 0, max: 60 }
+    },
+    taraweeh: {
+      enabled: { type: Boolean, default: false },
+      alertMinutes: { type: Number, default: 15, min: 0, max: 60 }
     }
   },
   
@@ -49,6 +71,30 @@ const userPreferencesSchema = new mongoose.Schema({
     }
   },
   
+  // Quiet hours. Each window starts on one of `days` (0 = Sunday) in the
+  // user's timezone and may run past midnight, e.g. 22:00-07:00.
+  // `exemptions` lists prayers or event categories that still come through.
+  quietHours: {
+    enabled: { type: Boolean, default: false },
+    mode: { type: String, default: 'suppress', enum: ['suppress', 'defer'] },
+    windows: [{
+      _id: false,
+      days: {
+        type: [{ type: Number, min: 0, max: 6 }],
+        default: () => [0, 1, 2, 3, 4, 5, 6]
+      },
+      start: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start must be HH:mm'] },
+      end: { type: String, required: true, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'End must be HH:mm'] }
+    }],
+    exemptions: [{
+      type: String,
+      enum: [
+        'fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'jumma', 'suhoor', 'iftar', 'taraweeh',
+        'religious', 'community', 'educational', 'fundraising', 'announcements'
+      ]
+    }]
+  },
+  
   // User location for prayer times
   location: {
     latitude: { type: Number, required: true },
@@ -59,7 +105,8 @@ const userPreferencesSchema = new mongoose.Schema({
     lastUpdated: { type: Date, default: Date.now }
   },
   
-  // Device tokens for push notifications
+  // Device tokens for push notifications. Superseded by the devices
+  // collection; tokens here are still used until the app re-registers.
   deviceTokens: {
     ios: { type: String },
     android: { type: String }
@@ -72,7 +119,15 @@ const userPreferencesSchema = new mongoose.Schema({
     soundEnabled: { type: Boolean, default: true },
     vibrationEnabled: { type: Boolean, default: true },
     prayerTimeCalculationMethod: { type: Number, default: 2, min: 1, max: 12 },
-    hijriDateAdjustment: { type: Number, default: 0, min: -2, max: 2 }
+    hijriDateAdjustment: { type: Number, default: 0, min: -2, max: 2 },
+    // Which of the mosque's Jumu'ah congregations the user goes to, e.g.
+    // "first". Null means the earliest one.
+    jumuahCongregation: {
+      type: String,
+      default: null,
+      lowercase: true,
+      match: [/^[a-z0-9-]+$/, 'Jumu\'ah congregation may only contain lowercase letters, numbers and dashes']
+    }
   },
   
   // Privacy settings
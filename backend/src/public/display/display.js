@@ -0,0 +1,313 @@
+// Prayer hall display. Settings come from /api/display/config (a saved
+// profile and/or this page's query string), prayer times and countdowns
+// from the /api/live stream, and announcements and events from
+// /api/display/content. Everything is served by the backend, so the
+// screen only needs the LAN.
+(() => {
+  const PRAYERS = ['fajr', 'sunrise', 'dhuhr', 'asr', 'maghrib', 'isha'];
+  const CONFIG_PARAMS = ['profile', 'layout', 'language', 'panels', 'rotate', 'eventDays'];
+  const CONTENT_REFRESH = 5 * 60 * 1000;
+  const URGENT_DURATION = 10 * 60 * 1000;
+  const JAMAAH_NOW_DURATION = 5 * 60 * 1000;
+  const FRIDAY = 5;
+
+  let config = null;
+  let state = null;
+  let content = { announcements: [], events: [] };
+  let clockOffset = 0; // Server time minus this screen's time
+  let rotationIndex = -1;
+  let urgentTimer = null;
+
+  const byId = id => document.getElementById(id);
+
+  const setText = (id, text) => {
+    byId(id).textContent = text === null || text === undefined ? '' : text;
+  };
+
+  const api = async path => {
+    const response = await fetch(path, { cache: 'no-store' });
+    const body = await response.json();
+    if (!body.success) {
+      throw new Error(body.message || `Request failed: ${path}`);
+    }
+    return body.data;
+  };
+
+  const now = () => Date.now() + clockOffset;
+
+  // Numbers in the screen's own digits
+  const digits = text => String(text).replace(/[0-9]/g, digit => config.labels.digits[Number(digit)]);
+
+  const pad = value => String(value).padStart(2, '0');
+
+  const formatDuration = milliseconds => {
+    const seconds = Math.max(0, Math.floor(milliseconds / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const rest = `${pad(Math.floor((seconds % 3600) / 60))}:${pad(seconds % 60)}`;
+    return digits(hours ? `${hours}:${rest}` : rest);
+  };
+
+  // Dates in the screen's language, with its digits whatever the browser's
+  const formatDate = (date, options) => digits(
+    new Intl.DateTimeFormat(config.language, { timeZone: config.timezone, numberingSystem: 'latn', ...options }).format(date)
+  );
+
+  const showStatus = message => {
+    byId('status').hidden = !message;
+    setText('status', message);
+  };
+
+  // Settings
+
+  const loadConfig = async () => {
+    const params = new URLSearchParams(window.location.search);
+    const query = new URLSearchParams();
+    CONFIG_PARAMS.forEach(name => {
+      if (params.has(name)) {
+        query.set(name, params.get(name));
+      }
+    });
+    config = await api(`/api/display/config?${query}`);
+  };
+
+  const applyConfig = () => {
+    document.documentElement.lang = config.language;
+    document.documentElement.dir = config.direction;
+    document.body.classList.add(`layout-${config.layout}`);
+    document.title = config.title;
+
+    document.querySelectorAll('[data-panel]').forEach(element => {
+      element.hidden = !config.panels.includes(element.dataset.panel);
+    });
+    byId('rotating').hidden = !config.panels.includes('announcements') && !config.panels.includes('events');
+
+    const { labels } = config;
+    setText('title', config.title);
+    setText('next-label', labels.next);
+    setText('adhan-label', labels.adhanIn);
+    setText('prayer-heading', labels.prayer);
+    setText('adhan-heading', labels.adhan);
+    setText('jamaah-heading', labels.jamaah);
+    setText('jumuah-label', labels.jumuah);
+  };
+
+  // Prayer times
+
+  const isFriday = () => new Date(`${state.date.gregorian}T12:00:00Z`).getUTCDay() === FRIDAY;
+
+  const prayerName = prayer => (prayer === 'dhuhr' && isFriday() ? config.labels.jumuah : config.labels.prayers[prayer]);
+
+  const renderCountdown = () => {
+    if (!state) {
+      return;
+    }
+
+    const { adhan, jamaah } = state.countdown;
+    setText('adhan-countdown', formatDuration(Date.parse(adhan.at) - now()));
+
+    // After the current prayer's jamaah has started, say so for a few minutes
+    const started = state.current && state.current.jamaah
+      && now() >= Date.parse(state.current.jamaah.at)
+      && now() - Date.parse(state.current.jamaah.at) < JAMAAH_NOW_DURATION;
+
+    byId('jamaah-timer').hidden = !jamaah && !started;
+    if (started) {
+      setText('jamaah-label', `${prayerName(state.current.prayer)} · ${config.labels.jamaahNow}`);
+      setText('jamaah-countdown', '');
+    } else if (jamaah) {
+      setText('jamaah-label', `${prayerName(jamaah.prayer)} · ${config.labels.jamaahIn}`);
+      setText('jamaah-countdown', formatDuration(Date.parse(jamaah.at) - now()));
+    }
+  };
+
+  const renderClock = () => {
+    const date = new Date(now());
+    setText('clock', formatDate(date, { hour: '2-digit', minute: '2-digit', hour12: false }));
+    setText('gregorian', formatDate(date, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }));
+  };
+
+  const tick = () => {
+    if (config.panels.includes('clock')) {
+      renderClock();
+    }
+    renderCountdown();
+  };
+
+  const renderState = () => {
+    const { hijri } = state.date;
+    setText('hijri', digits(`${Number(hijri.day)} ${config.labels.hijriMonths[hijri.month.number - 1]} ${hijri.year}`));
+
+    const rows = PRAYERS.map(prayer => {
+      const row = document.createElement('tr');
+      if (prayer === 'sunrise') {
+        row.className = 'sunrise';
+      } else if (!state.next.isTomorrow && state.next.prayer === prayer) {
+        row.className = 'next';
+      } else if (state.current && state.current.prayer === prayer && state.current.start.startsWith(state.date.gregorian)) {
+        row.className = 'current';
+      }
+
+      const jamaah = prayer === 'sunrise' ? '' : (state.jamaah && state.jamaah[prayer]) || '–';
+      [prayerName(prayer), digits(state.prayers[prayer] || '–'), digits(jamaah)].forEach(text => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        row.appendChild(cell);
+      });
+      return row;
+    });
+    const body = byId('times-body');
+    body.textContent = '';
+    rows.forEach(row => body.appendChild(row));
+
+    const { prayer } = state.next;
+    setText('next-prayer', state.next.isTomorrow
+      ? `${config.labels.prayers[prayer]} · ${config.labels.tomorrow}`
+      : prayerName(prayer));
+    tick();
+  };
+
+  // Announcements and events
+
+  // One entry per congregation: its salah time and khutbah language
+  const renderJumuah = () => {
+    const { jumuah } = content;
+    const date = new Date(`${jumuah.date}T12:00:00Z`);
+    setText('jumuah-date', formatDate(date, { timeZone: 'UTC', day: 'numeric', month: 'long' }));
+
+    const list = byId('jumuah-slots');
+    list.textContent = jumuah.slots.length ? '' : '–';
+    jumuah.slots.forEach(slot => {
+      const item = document.createElement('span');
+      item.className = 'jumuah-slot';
+      const time = document.createElement('span');
+      time.className = 'jumuah-time';
+      time.textContent = digits(slot.salahTime);
+      item.appendChild(time);
+      if (slot.language) {
+        const language = document.createElement('span');
+        language.className = 'jumuah-language';
+        language.textContent = slot.language;
+        item.appendChild(language);
+      }
+      list.appendChild(item);
+    });
+  };
+
+  const loadContent = async () => {
+    try {
+      const query = new URLSearchParams({ language: config.language, eventDays: config.eventDays });
+      content = await api(`/api/display/content?${query}`);
+      clockOffset = Date.parse(content.generatedAt) - Date.now();
+      renderJumuah();
+    } catch (error) {
+      // Keep showing what we have
+    }
+  };
+
+  const rotatingItems = () => [
+    ...(config.panels.includes('announcements') ? content.announcements.map(item => ({ type: 'announcements', ...item })) : []),
+    ...(config.panels.includes('events') ? content.events.map(item => ({ type: 'events', ...item })) : [])
+  ];
+
+  const rotate = () => {
+    const items = rotatingItems();
+    byId('rotating').style.visibility = items.length ? 'visible' : 'hidden';
+    if (!items.length) {
+      return;
+    }
+
+    rotationIndex = (rotationIndex + 1) % items.length;
+    const item = items[rotationIndex];
+    setText('rotating-heading', config.labels[item.type]);
+    setText('rotating-title', item.title);
+
+    if (item.type === 'events') {
+      const date = new Date(`${item.date}T12:00:00Z`);
+      const when = [
+        formatDate(date, { timeZone: 'UTC', weekday: 'long', day: 'numeric', month: 'long' }),
+        item.startTime ? digits(item.startTime) : item.time,
+        item.location
+      ]
+        .filter(Boolean)
+        .join(' · ');
+      setText('rotating-when', when);
+      setText('rotating-body', item.description);
+    } else {
+      setText('rotating-when', '');
+      setText('rotating-body', item.body);
+    }
+  };
+
+  const showUrgent = announcement => {
+    setText('urgent-title', announcement.title);
+    setText('urgent-body', announcement.body);
+    byId('urgent').hidden = false;
+
+    clearTimeout(urgentTimer);
+    urgentTimer = setTimeout(() => {
+      byId('urgent').hidden = true;
+    }, URGENT_DURATION);
+  };
+
+  // The server pushes a new state at every boundary; this only catches a
+  // missed one
+  const checkOverdue = async () => {
+    if (state && Date.parse(state.refreshAt) < now() - 60 * 1000) {
+      try {
+        state = await api('/api/live');
+        renderState();
+      } catch (error) {
+        showStatus(config.labels.unavailable);
+      }
+    }
+  };
+
+  const connect = () => {
+    const source = new EventSource('/api/live/stream');
+    let day = null;
+
+    source.addEventListener('state', event => {
+      state = JSON.parse(event.data);
+      showStatus(null);
+      renderState();
+
+      // Start each day afresh, picking up any change to the settings
+      if (day && day !== state.date.gregorian) {
+        window.location.reload();
+      }
+      day = state.date.gregorian;
+    });
+    source.addEventListener('announcement', event => {
+      showUrgent(JSON.parse(event.data));
+      loadContent();
+    });
+    source.addEventListener('timetable', () => loadContent());
+    source.addEventListener('unavailable', () => showStatus(config.labels.unavailable));
+
+    // EventSource reconnects by itself, sending Last-Event-ID
+    source.addEventListener('error', () => showStatus(config.labels.offline));
+    source.addEventListener('open', () => showStatus(null));
+  };
+
+  const start = async () => {
+    try {
+      await loadConfig();
+    } catch (error) {
+      showStatus(error.message);
+      setTimeout(start, 30 * 1000);
+      return;
+    }
+
+    applyConfig();
+    await loadContent();
+    rotate();
+    connect();
+
+    setInterval(tick, 1000);
+    setInterval(checkOverdue, 60 * 1000);
+    setInterval(loadContent, CONTENT_REFRESH);
+    setInterval(rotate, config.rotateSeconds * 1000);
+  };
+
+  start();
+})();
@@ -0,0 +1,486 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query } = require('express-validator');
+const Broadcast = require('../models/Broadcast');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const HijriMonthStart = require('../models/HijriMonthStart');
+const DisplayProfile = require('../models/DisplayProfile');
+const JumuahSlot = require('../models/JumuahSlot');
+const BroadcastService = require('../services/BroadcastService');
+const HijriCalendarService = require('../services/HijriCalendarService');
+const PrayerTimesService = require('../services/PrayerTimesService');
+const JumuahService = require('../services/JumuahService');
+const LiveService = require('../services/LiveService');
+const PrayerAlertScheduler = require('../services/PrayerAlertScheduler');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Every admin route needs an admin access token
+router.use(authenticate, requireAdmin);
+
+const targetValidators = [
+  body('target').optional().isObject().withMessage('Target must be an object'),
+  body('target.city').optional().isString().trim().notEmpty().withMessage('City must be a non-empty string'),
+  body('target.country').optional().isString().trim().notEmpty().withMessage('Country must be a non-empty string'),
+  body('target.languages').optional().isArray().withMessage('Languages must be an array'),
+  body('target.languages.*').isIn(['en', 'ar', 'ur']).withMessage('Language must be en, ar or ur'),
+  body('target.category').optional().isIn(Broadcast.BROADCAST_CATEGORIES)
+    .withMessage(`Category must be one of ${Broadcast.BROADCAST_CATEGORIES.join(', ')}`)
+];
+
+// Only the target fields BroadcastService understands
+const pickTarget = ({ city, country, languages, category } = {}) => ({
+  ...(city && { city }),
+  ...(country && { country }),
+  ...(languages && { languages }),
+  ...(category && { category })
+});
+
+// List sent broadcasts, newest first
+router.get('/broadcasts', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+
+    const [broadcasts, total] = await Promise.all([
+      Broadcast.getRecent(limit, (page - 1) * limit),
+      Broadcast.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        broadcasts: broadcasts.map(broadcast => broadcast.toBroadcastJSON())
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch broadcasts',
+      error: error.message
+    });
+  }
+});
+
+// Count how many users a target would reach, without sending anything
+router.post('/broadcasts/audience', targetValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const target = pickTarget(req.body.target);
+    const count = await BroadcastService.countAudience(target);
+
+    res.json({
+      success: true,
+      data: { target, count }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to count broadcast audience',
+      error: error.message
+    });
+  }
+});
+
+// Get a single broadcast
+router.get('/broadcasts/:id', [
+  param('id').custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid broadcast ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findById(req.params.id);
+    if (!broadcast) {
+      return res.status(404).json({
+        success: false,
+        message: 'Broadcast not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: broadcast.toBroadcastJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch broadcast',
+      error: error.message
+    });
+  }
+});
+
+// Compose a broadcast and start sending it. Poll GET /broadcasts/:id for
+// the delivery totals.
+router.post('/broadcasts', [
+  body('title').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Title must be 1-100 characters'),
+  body('body').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Body must be 1-500 characters'),
+  body('translations').optional().isObject()
+    .custom(value => Object.keys(value).every(language => ['ar', 'ur'].includes(language)))
+    .withMessage('Translations may only contain ar and ur'),
+  body('translations.*.title').optional().isString().isLength({ max: 100 }).withMessage('Translated title must be at most 100 characters'),
+  body('translations.*.body').optional().isString().isLength({ max: 500 }).withMessage('Translated body must be at most 500 characters'),
+  body('urgent').optional().isBoolean().withMessage('Urgent must be true or false'),
+  ...targetValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const broadcast = await BroadcastService.send({
+      title: req.body.title,
+      body: req.body.body,
+      translations: req.body.translations,
+      target: pickTarget(req.body.target),
+      urgent: String(req.body.urgent) === 'true'
+    }, req.user.sub);
+
+    res.status(202).json({
+      success: true,
+      message: 'Broadcast is being sent',
+      data: broadcast.toBroadcastJSON()
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid broadcast',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send broadcast',
+      error: error.message
+    });
+  }
+});
+
+// A user's recent push deliveries, for support cases
+router.get('/users/:userId/deliveries', [
+  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  query('platform').optional().isIn(['ios', 'android']).withMessage('Platform must be ios or android'),
+  query('type').optional().isString().notEmpty().withMessage('Type must be a non-empty string'),
+  query('since').optional().isISO8601().withMessage('Since must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { platform, type, since, limit = 50 } = req.query;
+
+    const deliveries = await NotificationDelivery.findRecentForUser(req.params.userId, {
+      platform,
+      type,
+      since: since ? new Date(since) : null,
+      limit: Number(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        userId: req.params.userId,
+        deliveries: deliveries.map(delivery => delivery.toDeliveryJSON())
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch deliveries',
+      error: error.message
+    });
+  }
+});
+
+const hijriMonthValidators = [
+  param('year').isInt({ min: 1, max: 2000 }).withMessage('Year must be a Hijri year'),
+  param('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
+];
+
+// The mosque's moon-sighting decisions
+router.get('/hijri-months', async (req, res) => {
+  try {
+    const monthStarts = await HijriMonthStart.getAll();
+
+    res.json({
+      success: true,
+      data: monthStarts.map(monthStart => monthStart.toMonthStartJSON())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch Hijri month starts',
+      error: error.message
+    });
+  }
+});
+
+// Set the Gregorian date a Hijri month began, once the moon is sighted
+router.put('/hijri-months/:year/:month', [
+  ...hijriMonthValidators,
+  body('startDate').matches(HijriMonthStart.DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+  body('note').optional().isString().isLength({ max: 200 }).withMessage('Note must be at most 200 characters')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const monthStart = await HijriCalendarService.setMonthStart({
+      year: Number(req.params.year),
+      month: Number(req.params.month),
+      startDate: req.body.startDate,
+      note: req.body.note
+    }, req.user.sub);
+
+    res.json({
+      success: true,
+      message: 'Hijri month start saved',
+      data: monthStart.toMonthStartJSON()
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 500 ? 'Failed to save Hijri month start' : error.message,
+      error: error.message
+    });
+  }
+});
+
+// Go back to the calculated start for a month
+router.delete('/hijri-months/:year/:month', hijriMonthValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const monthStart = await HijriCalendarService.removeMonthStart(Number(req.params.year), Number(req.params.month));
+    if (!monthStart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hijri month start not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Hijri month start removed'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove Hijri month start',
+      error: error.message
+    });
+  }
+});
+
+// Saved settings for the prayer hall screens
+router.get('/display-profiles', async (req, res) => {
+  try {
+    const profiles = await DisplayProfile.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: profiles.map(profile => profile.toProfileJSON())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch display profiles',
+      error: error.message
+    });
+  }
+});
+
+// Create a screen's profile, or change the fields given
+router.put('/display-profiles/:name', [
+  param('name').matches(/^[a-z0-9-]+$/).withMessage('Name may only contain lowercase letters, numbers and dashes'),
+  body('title').optional().isString().isLength({ max: 100 }).withMessage('Title must be at most 100 characters'),
+  body('layout').optional().isIn(DisplayProfile.LAYOUTS).withMessage(`Layout must be one of ${DisplayProfile.LAYOUTS.join(', ')}`),
+  body('language').optional().isIn(['en', 'ar', 'ur']).withMessage('Language must be en, ar or ur'),
+  body('panels').optional().isArray({ min: 1 }).withMessage('Panels must be a non-empty array'),
+  body('panels.*').isIn(DisplayProfile.PANELS).withMessage(`Panels must be from ${DisplayProfile.PANELS.join(', ')}`),
+  body('rotateSeconds').optional().isInt({ min: 5, max: 120 }).withMessage('Rotate seconds must be between 5 and 120'),
+  body('eventDays').optional().isInt({ min: 1, max: 60 }).withMessage('Event days must be between 1 and 60')
+], handleValidationErrors, async (req, res) => {
+  try {
+    let profile = await DisplayProfile.findByName(req.params.name);
+    if (!profile) {
+      profile = new DisplayProfile({ name: req.params.name });
+    }
+
+    ['title', 'layout', 'language', 'panels', 'rotateSeconds', 'eventDays'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        profile[field] = req.body[field];
+      }
+    });
+    profile.updatedBy = req.user.sub;
+
+    await profile.save();
+
+    res.json({
+      success: true,
+      message: 'Display profile saved',
+      data: profile.toProfileJSON()
+    });
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: 'Failed to save display profile',
+      error: error.message
+    });
+  }
+});
+
+// Remove a screen's profile
+router.delete('/display-profiles/:name', [
+  param('name').isString().notEmpty().withMessage('Name is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await DisplayProfile.deleteOne({ name: req.params.name });
+    if (!result.deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Display profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Display profile deleted'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete display profile',
+      error: error.message
+    });
+  }
+});
+
+// Fields of a Jumu'ah slot, all required when creating one
+const jumuahSlotValidators = (isUpdate = false) => {
+  const field = name => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('congregation').matches(JumuahSlot.CONGREGATION_PATTERN)
+      .withMessage('Congregation may only contain lowercase letters, numbers and dashes'),
+    body('label').optional().isString().isLength({ max: 100 }).withMessage('Label must be at most 100 characters'),
+    field('khutbahStart').matches(JumuahSlot.TIME_PATTERN).withMessage('Khutbah start must be in HH:mm format'),
+    field('salahTime').matches(JumuahSlot.TIME_PATTERN).withMessage('Salah time must be in HH:mm format'),
+    field('language').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Language must be 1-50 characters'),
+    body('imam').optional().isString().isLength({ max: 100 }).withMessage('Imam must be at most 100 characters'),
+    field('effectiveFrom').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Effective from must be a valid YYYY-MM-DD date'),
+    body('effectiveTo').optional({ nullable: true }).isDate({ format: 'YYYY-MM-DD', strictMode: true })
+      .withMessage('Effective to must be a valid YYYY-MM-DD date'),
+    body('isActive').optional().isBoolean().withMessage('Is active must be true or false')
+  ];
+};
+
+const jumuahSlotIdValidator = param('id').custom(value => mongoose.Types.ObjectId.isValid(value)).withMessage('Invalid Jumu\'ah slot ID');
+
+// Send a Jumu'ah slot failure, with its own status for bad or clashing slots
+const sendJumuahError = (res, message, error) => {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    error: error.message
+  });
+};
+
+// Screens pick up the new times straight away, and pending Jumu'ah alerts
+// are planned again from them
+const jumuahChanged = (...slots) => {
+  LiveService.timetableChanged(slots.flatMap(slot => [slot.effectiveFrom, slot.effectiveTo]).filter(Boolean));
+  PrayerAlertScheduler.jumuahChanged(slots);
+};
+
+// The mosque's Jumu'ah congregations, optionally only those still in effect
+// on or after `from`
+router.get('/jumuah-slots', [
+  query('from').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From must be a valid YYYY-MM-DD date')
+], handleValidationErrors, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await JumuahService.listSlots({ from: req.query.from })
+    });
+  } catch (error) {
+    sendJumuahError(res, 'Failed to fetch Jumu\'ah slots', error);
+  }
+});
+
+// Add a congregation, or its times for another season
+router.post('/jumuah-slots', jumuahSlotValidators(), handleValidationErrors, async (req, res) => {
+  try {
+    const slot = await JumuahService.createSlot(req.body, req.user.sub);
+    jumuahChanged(slot);
+
+    res.status(201).json({
+      success: true,
+      message: 'Jumu\'ah slot created',
+      data: slot
+    });
+  } catch (error) {
+    sendJumuahError(res, 'Failed to create Jumu\'ah slot', error);
+  }
+});
+
+// Change the fields given
+router.put('/jumuah-slots/:id', [
+  jumuahSlotIdValidator,
+  ...jumuahSlotValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { slot, previous } = await JumuahService.updateSlot(req.params.id, req.body, req.user.sub);
+    jumuahChanged(slot, previous);
+
+    res.json({
+      success: true,
+      message: 'Jumu\'ah slot saved',
+      data: slot
+    });
+  } catch (error) {
+    sendJumuahError(res, 'Failed to save Jumu\'ah slot', error);
+  }
+});
+
+// Remove a slot. Setting isActive to false keeps it on record instead.
+router.delete('/jumuah-slots/:id', [jumuahSlotIdValidator], handleValidationErrors, async (req, res) => {
+  try {
+    const slot = await JumuahService.removeSlot(req.params.id);
+    jumuahChanged(slot);
+
+    res.json({
+      success: true,
+      message: 'Jumu\'ah slot deleted'
+    });
+  } catch (error) {
+    sendJumuahError(res, 'Failed to delete Jumu\'ah slot', error);
+  }
+});
+
+// Prayer times cache sizes and hit/miss rates
+router.get('/prayer-times-cache', (req, res) => {
+  res.json({
+    success: true,
+    data: PrayerTimesService.getCacheStats()
+  });
+});
+
+// Empty the prayer times cache, e.g. after changing the calculation settings
+router.delete('/prayer-times-cache', async (req, res) => {
+  try {
+    await PrayerTimesService.clearCache();
+
+    res.json({
+      success: true,
+      message: 'Prayer times cache cleared'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear prayer times cache',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require('express');
+const { body } = require('express-validator');
+const AuthService = require('../services/AuthService');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Send an error thrown by AuthService with its status code
+const sendAuthError = (res, error, message) => {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    ...(statusCode === 500 && { error: error.message })
+  });
+};
+
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Register a device and get its credentials
+router.post('/register', [
+  body('userId').optional().isString().trim().isLength({ min: 1, max: 128 }).withMessage('User ID must be 1-128 characters'),
+  body('pushToken').if(body('userId').exists()).isString().notEmpty()
+    .withMessage('Push token is required to claim an existing user ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await AuthService.register({
+      userId: req.body.userId,
+      pushToken: req.body.pushToken,
+      ...requestContext(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered. Store the device secret securely; it cannot be retrieved again.',
+      data: result
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to register device');
+  }
+});
+
+// Log in with a userId and device secret
+router.post('/login', [
+  body('userId').isString().notEmpty().withMessage('User ID is required'),
+  body('deviceSecret').isString().notEmpty().withMessage('Device secret is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const tokens = await AuthService.login({
+      userId: req.body.userId,
+      deviceSecret: req.body.deviceSecret,
+      ...requestContext(req)
+    });
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to log in');
+  }
+});
+
+// Exchange a refresh token for a new token pair
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const tokens = await AuthService.refresh(req.body.refreshToken, requestContext(req));
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to refresh token');
+  }
+});
+
+// Revoke a refresh token
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    await AuthService.revoke(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    sendAuthError(res, error, 'Failed to log out');
+  }
+});
+
+module.exports = router;
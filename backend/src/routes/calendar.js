@@ -0,0 +1,183 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { param, query } = require('express-validator');
+const Event = require('../models/Event');
+const UserPreferences = require('../models/UserPreferences');
+const PrayerTimesService = require('../services/PrayerTimesService');
+const CalendarFeedService = require('../services/CalendarFeedService');
+const mosque = require('../config/mosque');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticateCalendarFeed, authorizeUser } = require('../middleware/auth');
+
+const router = express.Router();
+
+const PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'jumma'];
+const EVENT_CATEGORIES = Object.keys(Event.NOTIFICATION_CATEGORIES);
+
+const prayerFeedValidators = [
+  query('prayers').optional().custom(value => value.split(',').every(prayer => PRAYERS.includes(prayer)))
+    .withMessage(`Prayers must be a comma separated list of ${PRAYERS.join(', ')}`),
+  query('source').optional().isIn(['calculated', 'timetable']).withMessage('Source must be calculated or timetable'),
+  query('months').optional().isInt({ min: 1, max: 12 }).withMessage('Months must be between 1 and 12')
+];
+
+// Send an iCalendar body. Per-user feeds are built from the user's saved
+// location and preferences, so only the mosque-wide ones may sit in
+// shared caches.
+const sendCalendar = (res, filename, calendar, { isPrivate = false } = {}) => {
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': `${isPrivate ? 'private' : 'public'}, max-age=3600`
+  });
+  res.send(calendar);
+};
+
+// Per-user feeds need a calendar token for that user
+router.get('/users/:userId/*', authenticateCalendarFeed, authorizeUser);
+
+// Today in the mosque's timezone
+const today = () => moment.tz(mosque.timezone).format('YYYY-MM-DD');
+
+// Prayer times feed for any location, or the mosque by default
+router.get('/prayer-times.ics', [
+  ...prayerFeedValidators,
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('method').optional().isIn(Object.keys(PrayerTimesService.getCalculationMethods())).withMessage('Invalid calculation method'),
+  query('timezone').optional().custom(value => Boolean(moment.tz.zone(value))).withMessage('Unknown timezone'),
+  query('congregation').optional().matches(/^[a-z0-9-]+$/).withMessage('Congregation must be a Jumu\'ah congregation')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { lat, lng, method, prayers, source = 'calculated', months = 1, congregation = null } = req.query;
+    const timezone = req.query.timezone || mosque.timezone;
+
+    const days = await CalendarFeedService.getPrayerDays({
+      source,
+      latitude: lat !== undefined ? Number(lat) : mosque.latitude,
+      longitude: lng !== undefined ? Number(lng) : mosque.longitude,
+      method: method ? Number(method) : null,
+      timezone: source === 'timetable' ? mosque.timezone : timezone,
+      months: Number(months),
+      // The mosque's congregations only apply to times at the mosque
+      jumuah: source === 'timetable' || lat === undefined,
+      congregation
+    });
+
+    const calendar = CalendarFeedService.buildPrayerTimesCalendar(days, {
+      prayers: prayers ? prayers.split(',') : PRAYERS,
+      timezone: source === 'timetable' ? mosque.timezone : timezone,
+      reference: source === 'timetable' ? 'jamaah' : 'adhan',
+      label: source === 'timetable' ? 'Jamaah Times' : 'Prayer Times'
+    });
+
+    sendCalendar(res, 'prayer-times.ics', calendar);
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build prayer times calendar',
+      error: error.message
+    });
+  }
+});
+
+// Events feed, optionally filtered by category
+router.get('/events.ics', [
+  query('category').optional().custom(value => value.split(',').every(category => EVENT_CATEGORIES.includes(category)))
+    .withMessage(`Category must be a comma separated list of ${EVENT_CATEGORIES.join(', ')}`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const filters = req.query.category ? { category: { $in: req.query.category.split(',') } } : {};
+    const events = await Event.findActiveInRange(today(), '9999-12-31', filters);
+
+    sendCalendar(res, 'events.ics', CalendarFeedService.buildEventsCalendar(events));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build events calendar',
+      error: error.message
+    });
+  }
+});
+
+// A user's prayer times feed, limited to the prayers they have alerts for.
+// Subscribe with the URL from POST /api/user-preferences/:userId/calendar-token.
+router.get('/users/:userId/prayer-times.ics', [
+  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  ...prayerFeedValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { source = 'calculated', months = 1 } = req.query;
+
+    const preferences = await UserPreferences.findByUserId(req.params.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    const enabledPrayers = PRAYERS.filter(prayer => preferences.notifications[prayer]?.enabled);
+    const requested = req.query.prayers ? req.query.prayers.split(',') : PRAYERS;
+    const timezone = source === 'timetable' ? mosque.timezone : preferences.location.timezone;
+
+    const days = await CalendarFeedService.getPrayerDays({
+      source,
+      latitude: preferences.location.latitude,
+      longitude: preferences.location.longitude,
+      method: preferences.preferences.prayerTimeCalculationMethod,
+      timezone,
+      months: Number(months),
+      congregation: preferences.preferences.jumuahCongregation
+    });
+
+    const calendar = CalendarFeedService.buildPrayerTimesCalendar(days, {
+      prayers: requested.filter(prayer => enabledPrayers.includes(prayer)),
+      timezone,
+      reference: source === 'timetable' ? 'jamaah' : 'adhan',
+      label: source === 'timetable' ? 'Jamaah Times' : 'Prayer Times'
+    });
+
+    sendCalendar(res, 'prayer-times.ics', calendar, { isPrivate: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build prayer times calendar',
+      error: error.message
+    });
+  }
+});
+
+// A user's events feed, limited to the categories they follow
+router.get('/users/:userId/events.ics', [
+  param('userId').isString().notEmpty().withMessage('User ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const preferences = await UserPreferences.findByUserId(req.params.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    const { enabled, categories } = preferences.eventNotifications;
+    const followed = enabled
+      ? EVENT_CATEGORIES.filter(category => categories[Event.NOTIFICATION_CATEGORIES[category]])
+      : [];
+
+    const events = followed.length
+      ? await Event.findActiveInRange(today(), '9999-12-31', { category: { $in: followed } })
+      : [];
+
+    sendCalendar(res, 'events.ics', CalendarFeedService.buildEventsCalendar(events, { label: 'My Events' }), { isPrivate: true });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build events calendar',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
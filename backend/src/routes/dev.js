@@ -0,0 +1,97 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const UserPreferences = require('../models/UserPreferences');
+const Event = require('../models/Event');
+const NotificationService = require('../services/NotificationService');
+const CaptureTransport = require('../services/transports/CaptureTransport');
+const { handleValidationErrors } = require('../middleware/validation');
+
+// Development-only routes. server.js only mounts these outside production
+// and while the capture transport is in use.
+const router = express.Router();
+
+// Notifications recorded by the capture transport, newest first
+router.get('/notifications', [
+  query('platform').optional().isIn(['ios', 'android']).withMessage('Platform must be ios or android'),
+  query('token').optional().isString().notEmpty().withMessage('Token must be a non-empty string'),
+  query('type').optional().isString().notEmpty().withMessage('Type must be a non-empty string'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], handleValidationErrors, (req, res) => {
+  const { platform, token, type, limit = 50 } = req.query;
+
+  res.json({
+    success: true,
+    data: {
+      transport: NotificationService.transportMode,
+      notifications: CaptureTransport.list({ platform, token, type, limit: Number(limit) })
+    }
+  });
+});
+
+// Forget all captured notifications
+router.delete('/notifications', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Captured notifications cleared',
+    data: { cleared: CaptureTransport.clear() }
+  });
+});
+
+// Run a real send path for a user: a prayer alert, an event or a test
+router.post('/notifications/send', [
+  body('userId').isString().notEmpty().withMessage('User ID is required'),
+  body('kind').isIn(['prayer', 'event', 'test']).withMessage('Kind must be prayer, event or test'),
+  body('prayer').optional().isIn(['fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'jumma', 'suhoor', 'iftar', 'taraweeh'])
+    .withMessage('Invalid prayer name'),
+  body('prayerTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Prayer time must be HH:mm'),
+  body('reference').optional().isIn(['adhan', 'jamaah']).withMessage('Reference must be adhan or jamaah'),
+  body('alertMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Alert minutes must be between 0 and 120'),
+  body('eventId').if(body('kind').equals('event')).isString().notEmpty().withMessage('Event ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId, kind, prayer = 'fajr', prayerTime = '05:00', reference, alertMinutes = 0, eventId } = req.body;
+
+    const preferences = await UserPreferences.findByUserId(userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    let result;
+    if (kind === 'prayer') {
+      result = await NotificationService.sendPrayerNotification(preferences, prayer, prayerTime, {
+        reference,
+        alertMinutes: Number(alertMinutes)
+      });
+    } else if (kind === 'event') {
+      const event = await Event.findByIdOrSlug(eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+      result = await NotificationService.sendEventNotification(preferences, event);
+    } else {
+      result = await NotificationService.sendTestNotification(preferences, prayer);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transport: NotificationService.transportMode,
+        result
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send notification',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
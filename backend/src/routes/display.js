@@ -0,0 +1,58 @@
+const express = require('express');
+const { query } = require('express-validator');
+const DisplayProfile = require('../models/DisplayProfile');
+const DisplayService = require('../services/DisplayService');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Settings for a prayer hall screen, from a saved profile and/or the
+// query string of the /display page
+router.get('/config', [
+  query('profile').optional().matches(/^[a-z0-9-]+$/i).withMessage('Profile must be a profile name'),
+  query('layout').optional().isIn(DisplayProfile.LAYOUTS).withMessage(`Layout must be one of ${DisplayProfile.LAYOUTS.join(', ')}`),
+  query('language').optional().isIn(['en', 'ar', 'ur']).withMessage('Language must be en, ar or ur'),
+  query('panels').optional()
+    .custom(value => value.split(',').every(panel => DisplayProfile.PANELS.includes(panel)))
+    .withMessage(`Panels must be a comma-separated list of ${DisplayProfile.PANELS.join(', ')}`),
+  query('rotate').optional().isInt({ min: 5, max: 120 }).withMessage('Rotate must be between 5 and 120 seconds'),
+  query('eventDays').optional().isInt({ min: 1, max: 60 }).withMessage('Event days must be between 1 and 60')
+], handleValidationErrors, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await DisplayService.getConfig(req.query)
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 404 ? error.message : 'Failed to fetch display settings',
+      error: error.message
+    });
+  }
+});
+
+// Jumu'ah, announcements and upcoming events for the screens
+router.get('/content', [
+  query('language').optional().isIn(['en', 'ar', 'ur']).withMessage('Language must be en, ar or ur'),
+  query('eventDays').optional().isInt({ min: 1, max: 60 }).withMessage('Event days must be between 1 and 60')
+], handleValidationErrors, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await DisplayService.getContent({
+        language: req.query.language,
+        eventDays: req.query.eventDays ? Number(req.query.eventDays) : undefined
+      })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch display content',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,461 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query } = require('express-validator');
+const DonationProject = require('../models/DonationProject');
+const Donation = require('../models/Donation');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['title', 'description', 'icon', 'color', 'goal', 'currency', 'priority'];
+const DONATION_METHODS = ['cash', 'card', 'bank_transfer', 'online', 'cheque', 'other'];
+
+// Look a project up by slug or id
+const findProject = (id) => {
+  const query = mongoose.isValidObjectId(id) ? { $or: [{ _id: id }, { slug: id }] } : { slug: id };
+  return DonationProject.findOne(query);
+};
+
+const pickProjectFields = (data) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(key => {
+    if (data[key] !== undefined) {
+      fields[key] = data[key];
+    }
+  });
+  return fields;
+};
+
+const projectValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('title').isString().notEmpty().withMessage('Title is required'),
+    field('goal').isFloat({ min: 0 }).withMessage('Goal must be a positive amount'),
+    body('priority').optional().isInt({ min: 0 }).withMessage('Priority must be a positive integer'),
+    body('raised').not().exists().withMessage('raised is calculated from recorded donations and cannot be set')
+  ];
+};
+
+const projectNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Donation project not found'
+});
+
+// List projects in priority order
+router.get('/projects', [
+  query('includeArchived').optional().isBoolean().withMessage('includeArchived must be boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const projects = req.query.includeArchived === 'true'
+      ? await DonationProject.find().sort({ isActive: -1, priority: 1, title: 1 })
+      : await DonationProject.getActiveProjects();
+
+    res.json({
+      success: true,
+      data: {
+        projects: projects.map(project => project.toProjectJSON())
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donation projects',
+      error: error.message
+    });
+  }
+});
+
+// Totals across all active projects
+router.get('/summary', async (req, res) => {
+  try {
+    const projects = await DonationProject.getActiveProjects();
+    const totalGoal = projects.reduce((sum, project) => sum + project.goal, 0);
+    const totalRaised = Math.round(projects.reduce((sum, project) => sum + project.raised, 0) * 100) / 100;
+
+    res.json({
+      success: true,
+      data: {
+        totalGoal,
+        totalRaised,
+        progress: totalGoal > 0 ? Math.round((totalRaised / totalGoal) * 1000) / 10 : 0,
+        projects: projects.map(project => ({
+          id: project.slug,
+          title: project.title,
+          goal: project.goal,
+          raised: project.raised
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donation summary',
+      error: error.message
+    });
+  }
+});
+
+// Reorder projects: the first id gets priority 1
+router.put('/projects/priorities', authenticate, requireAdmin, [
+  body('order').isArray({ min: 1 }).withMessage('order must be a non-empty array of project ids')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    await DonationProject.bulkWrite(order.map((slug, index) => ({
+      updateOne: {
+        filter: { slug },
+        update: { $set: { priority: index + 1 } }
+      }
+    })));
+
+    const projects = await DonationProject.getActiveProjects();
+
+    res.json({
+      success: true,
+      message: 'Project priorities updated',
+      data: {
+        projects: projects.map(project => project.toProjectJSON())
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project priorities',
+      error: error.message
+    });
+  }
+});
+
+// Import projects in the DonationProjects.json shape. A project's existing
+// `raised` figure becomes an opening balance in the ledger.
+router.post('/projects/import', authenticate, requireAdmin, [
+  body('projects').isArray({ min: 1 }).withMessage('projects must be a non-empty array'),
+  body('projects.*.id').matches(/^[a-z0-9-]+$/).withMessage('Each project needs an id of lowercase letters, numbers and dashes'),
+  body('projects.*.title').isString().notEmpty().withMessage('Each project needs a title'),
+  body('projects.*.goal').isFloat({ min: 0 }).withMessage('Each project needs a goal')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const results = { created: 0, updated: 0, openingBalances: 0 };
+
+    for (const data of req.body.projects) {
+      let project = await DonationProject.findBySlug(data.id);
+      const fields = pickProjectFields(data);
+
+      if (project) {
+        project.set(fields);
+        results.updated += 1;
+      } else {
+        project = new DonationProject({ ...fields, slug: data.id });
+        results.created += 1;
+      }
+
+      if (data.isActive === false && project.isActive) {
+        project.isActive = false;
+        project.archivedAt = new Date();
+      }
+      await project.save();
+
+      const hasLedger = await Donation.exists({ project: project._id });
+      if (!hasLedger && data.raised > 0) {
+        await Donation.create({
+          project: project._id,
+          amount: data.raised,
+          method: 'opening_balance',
+          notes: 'Opening balance imported from DonationProjects.json'
+        });
+        results.openingBalances += 1;
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Donation projects imported',
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import donation projects',
+      error: error.message
+    });
+  }
+});
+
+// Get a single project
+router.get('/projects/:id', [
+  param('id').isString().notEmpty().withMessage('Project ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: project.toProjectJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donation project',
+      error: error.message
+    });
+  }
+});
+
+// Create a project
+router.post('/projects', authenticate, requireAdmin, [
+  body('id').matches(/^[a-z0-9-]+$/).withMessage('Id may only contain lowercase letters, numbers and dashes'),
+  ...projectValidators()
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = new DonationProject({ ...pickProjectFields(req.body), slug: req.body.id });
+    await project.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Donation project created successfully',
+      data: project.toProjectJSON()
+    });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.code === 11000 ? 409 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to create donation project',
+      error: error.message
+    });
+  }
+});
+
+// Update a project's details (not its totals)
+router.put('/projects/:id', authenticate, requireAdmin, [
+  param('id').isString().notEmpty().withMessage('Project ID is required'),
+  ...projectValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    project.set(pickProjectFields(req.body));
+    await project.save();
+
+    res.json({
+      success: true,
+      message: 'Donation project updated successfully',
+      data: project.toProjectJSON()
+    });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to update donation project',
+      error: error.message
+    });
+  }
+});
+
+// Archive a project so the apps stop showing it
+router.post('/projects/:id/archive', authenticate, requireAdmin, [
+  param('id').isString().notEmpty().withMessage('Project ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    await project.archive();
+
+    res.json({
+      success: true,
+      message: 'Donation project archived',
+      data: project.toProjectJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to archive donation project',
+      error: error.message
+    });
+  }
+});
+
+// Bring an archived project back
+router.post('/projects/:id/restore', authenticate, requireAdmin, [
+  param('id').isString().notEmpty().withMessage('Project ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    await project.restore();
+
+    res.json({
+      success: true,
+      message: 'Donation project restored',
+      data: project.toProjectJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore donation project',
+      error: error.message
+    });
+  }
+});
+
+// List a project's donations, newest first
+router.get('/projects/:id/donations', authenticate, requireAdmin, [
+  param('id').isString().notEmpty().withMessage('Project ID is required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const page = Number(req.query.page || 1);
+    const limit = Number(req.query.limit || 20);
+
+    const [donations, total] = await Promise.all([
+      Donation.find({ project: project._id }).sort({ receivedAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Donation.countDocuments({ project: project._id })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        project: project.toProjectJSON(),
+        donations: donations.map(donation => donation.toLedgerJSON())
+      },
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch donations',
+      error: error.message
+    });
+  }
+});
+
+// Record a donation against a project
+router.post('/projects/:id/donations', authenticate, requireAdmin, [
+  param('id').isString().notEmpty().withMessage('Project ID is required'),
+  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be at least 0.01'),
+  body('method').optional().isIn(DONATION_METHODS).withMessage(`Method must be one of ${DONATION_METHODS.join(', ')}`),
+  body('receivedAt').optional().isISO8601().withMessage('receivedAt must be an ISO 8601 date'),
+  body('giftAid').optional().isBoolean().withMessage('giftAid must be boolean'),
+  body('isAnonymous').optional().isBoolean().withMessage('isAnonymous must be boolean')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const project = await findProject(req.params.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const { amount, method, reference, donorName, isAnonymous, giftAid, notes, receivedAt } = req.body;
+
+    const donation = await Donation.create({
+      project: project._id,
+      amount,
+      currency: project.currency,
+      method,
+      reference,
+      donorName,
+      isAnonymous,
+      giftAid,
+      notes,
+      receivedAt
+    });
+
+    const updatedProject = await DonationProject.findById(project._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Donation recorded successfully',
+      data: {
+        donation: donation.toLedgerJSON(),
+        project: updatedProject.toProjectJSON()
+      }
+    });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to record donation',
+      error: error.message
+    });
+  }
+});
+
+// Refund a donation; it stays in the ledger but no longer counts
+router.post('/:donationId/refund', authenticate, requireAdmin, [
+  param('donationId').isMongoId().withMessage('Valid donation ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const donation = await Donation.findById(req.params.donationId);
+    if (!donation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Donation not found'
+      });
+    }
+
+    if (donation.status === 'refunded') {
+      return res.status(409).json({
+        success: false,
+        message: 'Donation has already been refunded'
+      });
+    }
+
+    await donation.refund();
+    const project = await DonationProject.findById(donation.project);
+
+    res.json({
+      success: true,
+      message: 'Donation refunded',
+      data: {
+        donation: donation.toLedgerJSON(),
+        project: project ? project.toProjectJSON() : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund donation',
+      error: error.message
+    });
+  }
+});
+
+// Rebuild every project's totals from the ledger
+router.post('/recalculate', authenticate, requireAdmin, async (req, res) => {
+  try {
+    const projects = await DonationProject.find({}, '_id');
+    await Promise.all(projects.map(project => DonationProject.recalculateTotals(project._id)));
+
+    res.json({
+      success: true,
+      message: 'Donation totals recalculated',
+      data: { projects: projects.length }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to recalculate donation totals',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
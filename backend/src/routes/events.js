@@ -0,0 +1,313 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { body, param, query } = require('express-validator');
+const Event = require('../models/Event');
+const mosque = require('../config/mosque');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const { DATE_PATTERN, TIME_PATTERN, DAYS_OF_WEEK, NOTIFICATION_CATEGORIES } = Event;
+const CATEGORIES = Object.keys(NOTIFICATION_CATEGORIES);
+const EDITABLE_FIELDS = [
+  'slug', 'title', 'description', 'category', 'dayOfWeek', 'time', 'startTime', 'durationMinutes',
+  'recurrence', 'startDate', 'endDate', 'location', 'organizer', 'isImportant', 'translations'
+];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+
+// Shared query validators for listing endpoints
+const listValidators = [
+  query('category').optional().isString().withMessage('Category must be a comma separated list'),
+  query('from').optional().matches(DATE_PATTERN).withMessage('From must be in YYYY-MM-DD format'),
+  query('to').optional().matches(DATE_PATTERN).withMessage('To must be in YYYY-MM-DD format'),
+  query('important').optional().isBoolean().withMessage('Important must be boolean'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Validators for creating (all required) or updating (all optional) an event
+const eventValidators = (isUpdate = false) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    body('id').optional().matches(/^[a-z0-9-]+$/).withMessage('Id may only contain lowercase letters, numbers and dashes'),
+    field('title').isString().notEmpty().withMessage('Title is required'),
+    field('category').isIn(CATEGORIES).withMessage(`Category must be one of ${CATEGORIES.join(', ')}`),
+    field('startDate').matches(DATE_PATTERN).withMessage('Start date must be in YYYY-MM-DD format'),
+    body('endDate').optional({ nullable: true }).matches(DATE_PATTERN).withMessage('End date must be in YYYY-MM-DD format'),
+    body('dayOfWeek').optional().isIn(DAYS_OF_WEEK).withMessage('Invalid day of week'),
+    body('recurrence').optional().isIn(['none', 'weekly', 'biweekly']).withMessage('Recurrence must be none, weekly or biweekly'),
+    body('startTime').optional().matches(TIME_PATTERN).withMessage('Start time must be in HH:mm format'),
+    body('durationMinutes').optional().isInt({ min: 0 }).withMessage('Duration must be a positive number of minutes'),
+    body('isImportant').optional().isBoolean().withMessage('isImportant must be boolean'),
+    body('translations').optional().isObject()
+      .custom(value => Object.keys(value).every(language => ['ar', 'ur'].includes(language)))
+      .withMessage('Translations may only contain ar and ur'),
+    body('translations.*.title').optional().isString().withMessage('Translated title must be a string'),
+    body('translations.*.description').optional().isString().withMessage('Translated description must be a string')
+  ];
+};
+
+// Pick editable fields from a request body. The bundled JSON calls the slug `id`.
+const pickEventFields = (data) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(key => {
+    if (data[key] !== undefined) {
+      fields[key] = data[key];
+    }
+  });
+  if (data.id !== undefined && fields.slug === undefined) {
+    fields.slug = data.id;
+  }
+  return fields;
+};
+
+// Resolve from/to query params, defaulting to the next 30 days
+const resolveRange = ({ from, to }) => {
+  const start = from || moment.tz(mosque.timezone).format('YYYY-MM-DD');
+  const end = to || moment.utc(start).add(DEFAULT_RANGE_DAYS, 'days').format('YYYY-MM-DD');
+  return { from: start, to: end };
+};
+
+const buildFilters = ({ category, important }) => {
+  const filters = {};
+  if (category) {
+    filters.category = { $in: category.split(',').map(value => value.trim()) };
+  }
+  if (important !== undefined) {
+    filters.isImportant = important === 'true';
+  }
+  return filters;
+};
+
+const paginate = ({ page = 1, limit = 20 }) => {
+  const pageNumber = Number(page);
+  const pageSize = Number(limit);
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// List event definitions, optionally only those active in a date range
+router.get('/', listValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const filters = buildFilters(req.query);
+    const pagination = paginate(req.query);
+
+    const query = req.query.from || req.query.to
+      ? Event.findActiveInRange(req.query.from || '0000-01-01', req.query.to || '9999-12-31', filters)
+      : Event.find({ ...filters, isActive: true });
+
+    const [events, total] = await Promise.all([
+      query.clone().sort({ isImportant: -1, startDate: 1 }).skip(pagination.skip).limit(pagination.limit),
+      query.clone().countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => event.toEventJSON())
+      },
+      pagination: paginationMeta(pagination, total)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch events',
+      error: error.message
+    });
+  }
+});
+
+// Expand recurring events into concrete occurrences for a date range
+router.get('/occurrences', listValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const { from, to } = resolveRange(req.query);
+    if (from > to || moment.utc(to).diff(moment.utc(from), 'days') > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range must be in order and no longer than ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const pagination = paginate(req.query);
+    const events = await Event.findActiveInRange(from, to, buildFilters(req.query));
+
+    const occurrences = events
+      .flatMap(event => event.getOccurrences(from, to))
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || ''));
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        occurrences: occurrences.slice(pagination.skip, pagination.skip + pagination.limit)
+      },
+      pagination: paginationMeta(pagination, occurrences.length)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event occurrences',
+      error: error.message
+    });
+  }
+});
+
+// Get a single event by id or slug
+router.get('/:id', [
+  param('id').isString().notEmpty().withMessage('Event ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const event = await Event.findByIdOrSlug(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: event.toEventJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event',
+      error: error.message
+    });
+  }
+});
+
+// Import events in the MosqueEvents<year>.json shape, matched on `id`
+router.post('/import', authenticate, requireAdmin, [
+  body('events').isArray({ min: 1 }).withMessage('events must be a non-empty array'),
+  body('events.*.id').matches(/^[a-z0-9-]+$/).withMessage('Each event needs an id of lowercase letters, numbers and dashes')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const results = { created: 0, updated: 0, failed: [] };
+
+    for (const data of req.body.events) {
+      try {
+        const fields = pickEventFields(data);
+        let event = await Event.findOne({ slug: fields.slug });
+
+        if (event) {
+          event.set({ ...fields, isActive: true });
+          results.updated += 1;
+        } else {
+          event = new Event(fields);
+          results.created += 1;
+        }
+
+        await event.save();
+      } catch (error) {
+        results.failed.push({ id: data.id, error: error.message });
+      }
+    }
+
+    res.status(results.failed.length ? 207 : 201).json({
+      success: results.failed.length === 0,
+      message: 'Events imported',
+      data: results
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import events',
+      error: error.message
+    });
+  }
+});
+
+// Create an event
+router.post('/', authenticate, requireAdmin, eventValidators(), handleValidationErrors, async (req, res) => {
+  try {
+    const event = new Event(pickEventFields(req.body));
+    await event.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created successfully',
+      data: event.toEventJSON()
+    });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.code === 11000 ? 409 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to create event',
+      error: error.message
+    });
+  }
+});
+
+// Update an event
+router.put('/:id', authenticate, requireAdmin, [
+  param('id').isString().notEmpty().withMessage('Event ID is required'),
+  ...eventValidators(true)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const event = await Event.findByIdOrSlug(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    event.set(pickEventFields(req.body));
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Event updated successfully',
+      data: event.toEventJSON()
+    });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : error.code === 11000 ? 409 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to update event',
+      error: error.message
+    });
+  }
+});
+
+// Delete an event (soft delete, so past notifications still resolve)
+router.delete('/:id', authenticate, requireAdmin, [
+  param('id').isString().notEmpty().withMessage('Event ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const event = await Event.findByIdOrSlug(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    event.isActive = false;
+    await event.save();
+
+    res.json({
+      success: true,
+      message: 'Event deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete event',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { param, query } = require('express-validator');
+const HijriCalendarService = require('../services/HijriCalendarService');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+const adjustmentValidator = query('adjustment').optional().isInt({ min: -2, max: 2 })
+  .withMessage('Adjustment must be between -2 and 2');
+
+// Errors the service raises for bad input carry a statusCode
+const sendError = (res, message, error) => {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    error: error.message
+  });
+};
+
+// Today's Hijri date at the mosque
+router.get('/today', [
+  adjustmentValidator,
+  query('timezone').optional().isString().notEmpty().withMessage('Timezone must be a non-empty string')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { adjustment = 0, timezone } = req.query;
+    const date = await HijriCalendarService.today({ adjustment: Number(adjustment), timezone });
+
+    res.json({
+      success: true,
+      data: date
+    });
+  } catch (error) {
+    sendError(res, 'Failed to calculate Hijri date', error);
+  }
+});
+
+// Gregorian to Hijri
+router.get('/from-gregorian', [
+  query('date').custom(value => moment(value, 'YYYY-MM-DD', true).isValid()).withMessage('Date must be in YYYY-MM-DD format'),
+  adjustmentValidator
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { date, adjustment = 0 } = req.query;
+
+    res.json({
+      success: true,
+      data: await HijriCalendarService.toHijri(date, { adjustment: Number(adjustment) })
+    });
+  } catch (error) {
+    sendError(res, 'Failed to convert date', error);
+  }
+});
+
+// Hijri to Gregorian
+router.get('/to-gregorian', [
+  query('year').isInt({ min: 1, max: 2000 }).withMessage('Year must be a Hijri year'),
+  query('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  query('day').isInt({ min: 1, max: 30 }).withMessage('Day must be between 1 and 30'),
+  adjustmentValidator
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { year, month, day, adjustment = 0 } = req.query;
+
+    res.json({
+      success: true,
+      data: await HijriCalendarService.toGregorian(Number(year), Number(month), Number(day), {
+        adjustment: Number(adjustment)
+      })
+    });
+  } catch (error) {
+    sendError(res, 'Failed to convert date', error);
+  }
+});
+
+// Every day of a Hijri month
+router.get('/months/:year/:month', [
+  param('year').isInt({ min: 1, max: 2000 }).withMessage('Year must be a Hijri year'),
+  param('month').isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  adjustmentValidator
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { adjustment = 0 } = req.query;
+
+    res.json({
+      success: true,
+      data: await HijriCalendarService.getMonth(Number(req.params.year), Number(req.params.month), {
+        adjustment: Number(adjustment)
+      })
+    });
+  } catch (error) {
+    sendError(res, 'Failed to fetch Hijri month', error);
+  }
+});
+
+module.exports = router;
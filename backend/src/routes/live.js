@@ -0,0 +1,43 @@
+const express = require('express');
+const LiveService = require('../services/LiveService');
+
+const router = express.Router();
+
+// Live prayer state as Server-Sent Events. EventSource sends Last-Event-ID
+// when it reconnects; clients that can't set headers pass `lastEventId`.
+router.get('/stream', async (req, res) => {
+  try {
+    await LiveService.connect(req, res, req.get('Last-Event-ID') || req.query.lastEventId || null);
+  } catch (error) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to open live stream',
+      error: error.message
+    });
+  }
+});
+
+// The same state once, for clients that poll
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await LiveService.getState()
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 503
+        ? 'Prayer times are temporarily unavailable. Please try again shortly.'
+        : 'Failed to fetch live prayer state',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { param, query } = require('express-validator');
+const PrayerTimesService = require('../services/PrayerTimesService');
+const TimetableService = require('../services/TimetableService');
+const HijriCalendarService = require('../services/HijriCalendarService');
+const JumuahService = require('../services/JumuahService');
+const mosque = require('../config/mosque');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Anonymous prayer times for the website and display screens. Every route
+// takes a location or defaults to the mosque; nothing is stored.
+const locationValidators = [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('method').optional().isIn(Object.keys(PrayerTimesService.getCalculationMethods())).withMessage('Invalid calculation method'),
+  query('timezone').optional().custom(value => Boolean(moment.tz.zone(value))).withMessage('Unknown timezone'),
+  query().custom(({ lat, lng }) => (lat === undefined) === (lng === undefined)).withMessage('Give both lat and lng, or neither')
+];
+
+const dayValidators = [
+  ...locationValidators,
+  query('adjustment').optional().isInt({ min: -HijriCalendarService.MAX_ADJUSTMENT, max: HijriCalendarService.MAX_ADJUSTMENT })
+    .withMessage(`Adjustment must be between -${HijriCalendarService.MAX_ADJUSTMENT} and ${HijriCalendarService.MAX_ADJUSTMENT}`),
+  query('jamaah').optional().isBoolean().withMessage('Jamaah must be true or false'),
+  query('congregation').optional().matches(/^[a-z0-9-]+$/).withMessage('Congregation must be a Jumu\'ah congregation')
+];
+
+// Location and method from the query string, defaulting to the mosque
+const locationOptions = ({ lat, lng, method, timezone }) => {
+  const isMosque = lat === undefined;
+  const methodId = method ? Number(method) : PrayerTimesService.DEFAULT_METHOD;
+
+  return {
+    latitude: isMosque ? mosque.latitude : Number(lat),
+    longitude: isMosque ? mosque.longitude : Number(lng),
+    timezone: timezone || mosque.timezone,
+    isMosque,
+    method: { id: methodId, name: PrayerTimesService.getCalculationMethods()[methodId] }
+  };
+};
+
+// Send a failure, with 503 while the provider and its fallbacks are down
+const sendError = (res, message, error) => {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 503 ? 'Prayer times are temporarily unavailable. Please try again shortly.' : message,
+    error: error.message
+  });
+};
+
+// One day's times with the mosque's Hijri date and, for the mosque, its
+// jamaah times and Jumu'ah congregations
+const getDay = async (options, date, { adjustment = 0, jamaah = 'true', congregation = null } = {}) => {
+  const prayerTimes = await PrayerTimesService.getPrayerTimes(
+    options.latitude, options.longitude, date, options.method.id, options.timezone
+  );
+  const { hijri } = await HijriCalendarService.toHijri(prayerTimes.date.gregorian.date, { adjustment: Number(adjustment) });
+  const withJamaah = options.isMosque && jamaah !== 'false';
+  const [mosqueTimetable, jumuah] = withJamaah
+    ? await Promise.all([
+      TimetableService.getDay(prayerTimes.date.gregorian.date),
+      JumuahService.getJumuah(prayerTimes.date.gregorian.date, congregation)
+    ])
+    : [null, null];
+
+  // On a Friday `jumma` is the congregation's salah rather than Dhuhr
+  const prayers = jumuah && jumuah.slot && JumuahService.isFriday(prayerTimes.date.gregorian.date)
+    ? { ...prayerTimes.prayers, jumma: JumuahService.toTimezone(jumuah.date, jumuah.slot.salahTime, options.timezone) }
+    : prayerTimes.prayers;
+
+  return {
+    location: {
+      latitude: options.latitude,
+      longitude: options.longitude,
+      timezone: options.timezone,
+      isMosque: options.isMosque
+    },
+    calculationMethod: options.method,
+    prayerTimes: { ...prayerTimes, prayers, date: { ...prayerTimes.date, hijri } },
+    mosqueTimetable: mosqueTimetable ? mosqueTimetable.toTimetableJSON() : null,
+    jumuah
+  };
+};
+
+// Calculation methods, by id
+router.get('/methods', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default: PrayerTimesService.DEFAULT_METHOD,
+      methods: PrayerTimesService.getCalculationMethods()
+    }
+  });
+});
+
+// Every day of a Gregorian month
+router.get('/month', [
+  ...locationValidators,
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Year must be a valid year'),
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const options = locationOptions(req.query);
+    const today = moment.tz(options.timezone);
+    const year = req.query.year ? Number(req.query.year) : today.year();
+    const month = req.query.month ? Number(req.query.month) : today.month() + 1;
+
+    const days = await PrayerTimesService.getMonthlyPrayerTimes(
+      options.latitude, options.longitude, year, month, options.method.id, options.timezone
+    );
+
+    res.json({
+      success: true,
+      data: {
+        location: {
+          latitude: options.latitude,
+          longitude: options.longitude,
+          timezone: options.timezone,
+          isMosque: options.isMosque
+        },
+        calculationMethod: options.method,
+        year,
+        month,
+        days
+      }
+    });
+  } catch (error) {
+    sendError(res, 'Failed to fetch monthly prayer times', error);
+  }
+});
+
+// The next prayer, the one in progress and whether a prayer starts
+// within `window` minutes
+router.get('/next', [
+  ...locationValidators,
+  query('window').optional().isInt({ min: 0, max: 60 }).withMessage('Window must be between 0 and 60 minutes')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const options = locationOptions(req.query);
+    const prayerTimes = await PrayerTimesService.getPrayerTimes(
+      options.latitude, options.longitude, new Date(), options.method.id, options.timezone
+    );
+
+    const next = await PrayerTimesService.getNextPrayer(prayerTimes, {
+      latitude: options.latitude,
+      longitude: options.longitude,
+      method: options.method.id,
+      timezone: options.timezone
+    });
+    if (!next) {
+      throw new Error('Could not work out the next prayer');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        next,
+        alert: PrayerTimesService.isPrayerTime(prayerTimes, req.query.window ? Number(req.query.window) : 5, {
+          timezone: options.timezone
+        }),
+        prayers: prayerTimes.prayers,
+        source: prayerTimes.source,
+        stale: prayerTimes.stale
+      }
+    });
+  } catch (error) {
+    sendError(res, 'Failed to fetch next prayer', error);
+  }
+});
+
+// The mosque's Jumu'ah congregations on the coming Friday, or the Friday
+// on or after `date`, for choosing one in the app
+router.get('/jumuah', [
+  query('date').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be a valid YYYY-MM-DD date'),
+  query('congregation').optional().matches(/^[a-z0-9-]+$/).withMessage('Congregation must be a Jumu\'ah congregation')
+], handleValidationErrors, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await JumuahService.getJumuah(req.query.date || null, req.query.congregation || null)
+    });
+  } catch (error) {
+    sendError(res, 'Failed to fetch Jumu\'ah times', error);
+  }
+});
+
+// Today's times
+router.get('/', dayValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const options = locationOptions(req.query);
+
+    res.json({
+      success: true,
+      data: await getDay(options, new Date(), req.query)
+    });
+  } catch (error) {
+    sendError(res, 'Failed to fetch prayer times', error);
+  }
+});
+
+// Times for a date
+router.get('/:date', [
+  param('date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Date must be a valid YYYY-MM-DD date'),
+  ...dayValidators
+], handleValidationErrors, async (req, res) => {
+  try {
+    const options = locationOptions(req.query);
+
+    res.json({
+      success: true,
+      data: await getDay(options, req.params.date, req.query)
+    });
+  } catch (error) {
+    sendError(res, 'Failed to fetch prayer times', error);
+  }
+});
+
+module.exports = router;
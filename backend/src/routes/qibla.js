@@ -0,0 +1,30 @@
+const express = require('express');
+const { query } = require('express-validator');
+const QiblaService = require('../services/QiblaService');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+// Qibla bearing, distance to the Kaaba and magnetic declination for a position
+router.get('/', [
+  query('lat').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('lng').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('altitude').optional().isFloat({ min: -500, max: 10000 }).withMessage('Altitude must be in metres, between -500 and 10000')
+], handleValidationErrors, (req, res) => {
+  try {
+    const { lat, lng, altitude = 0 } = req.query;
+
+    res.json({
+      success: true,
+      data: QiblaService.getQibla(Number(lat), Number(lng), { altitude: Number(altitude) })
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate Qibla direction',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { query } = require('express-validator');
+const PrayerTimesService = require('../services/PrayerTimesService');
+const RamadanService = require('../services/RamadanService');
+const mosque = require('../config/mosque');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+const timetableValidators = [
+  query('year').optional().isInt({ min: 1, max: 2000 }).withMessage('Year must be a Hijri year'),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('method').optional().isIn(Object.keys(PrayerTimesService.getCalculationMethods())).withMessage('Invalid calculation method'),
+  query('timezone').optional().custom(value => Boolean(moment.tz.zone(value))).withMessage('Unknown timezone')
+];
+
+// Timetable options from the query string, defaulting to the mosque
+const timetableOptions = ({ year, lat, lng, method, timezone }) => ({
+  year: year ? Number(year) : null,
+  latitude: lat !== undefined ? Number(lat) : mosque.latitude,
+  longitude: lng !== undefined ? Number(lng) : mosque.longitude,
+  method: method ? Number(method) : null,
+  timezone: timezone || mosque.timezone
+});
+
+// The current or next Ramadan: start, end and today's fast
+router.get('/', [
+  query('year').optional().isInt({ min: 1, max: 2000 }).withMessage('Year must be a Hijri year')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const summary = await RamadanService.getSummary(req.query.year ? Number(req.query.year) : null);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch Ramadan dates',
+      error: error.message
+    });
+  }
+});
+
+// Suhoor, Iftar, prayer and Taraweeh times for every day of Ramadan
+router.get('/timetable', timetableValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const timetable = await RamadanService.getTimetable(timetableOptions(req.query));
+
+    res.json({
+      success: true,
+      data: timetable
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build Ramadan timetable',
+      error: error.message
+    });
+  }
+});
+
+// The same timetable as a printable page
+router.get('/timetable.html', timetableValidators, handleValidationErrors, async (req, res) => {
+  try {
+    const timetable = await RamadanService.getTimetable(timetableOptions(req.query));
+
+    res.set({
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    });
+    res.send(RamadanService.toHTML(timetable));
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build Ramadan timetable',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
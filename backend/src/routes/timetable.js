@@ -0,0 +1,272 @@
+const express = require('express');
+const moment = require('moment-timezone');
+const { body, param, query } = require('express-validator');
+const TimetableDay = require('../models/TimetableDay');
+const PrayerTimesService = require('../services/PrayerTimesService');
+const TimetableService = require('../services/TimetableService');
+const TimetableExportService = require('../services/TimetableExportService');
+const LiveService = require('../services/LiveService');
+const PrayerAlertScheduler = require('../services/PrayerAlertScheduler');
+const LocalizationService = require('../services/LocalizationService');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const { DATE_PATTERN, TIME_PATTERN, TIMETABLE_PRAYERS } = TimetableDay;
+const MAX_RANGE_DAYS = 366;
+
+// Validators for a full timetable entry, optionally under a prefix
+const entryValidators = (prefix = '') => [
+  body(`${prefix}date`).matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format'),
+  body(`${prefix}sunrise`).matches(TIME_PATTERN).withMessage('Sunrise must be in HH:mm format'),
+  body(`${prefix}jummah`).optional().matches(TIME_PATTERN).withMessage('Jummah must be in HH:mm format'),
+  body(`${prefix}taraweeh`).optional().matches(TIME_PATTERN).withMessage('Taraweeh must be in HH:mm format'),
+  ...TIMETABLE_PRAYERS.flatMap(prayer => [
+    body(`${prefix}${prayer}.adhan`).matches(TIME_PATTERN).withMessage(`${prayer} adhan must be in HH:mm format`),
+    body(`${prefix}${prayer}.jamaah`).matches(TIME_PATTERN).withMessage(`${prayer} jamaah must be in HH:mm format`)
+  ])
+];
+
+// Pick only timetable fields from a request body
+const pickTimetableFields = (entry) => {
+  const fields = { date: entry.date, sunrise: entry.sunrise };
+  TIMETABLE_PRAYERS.forEach(prayer => {
+    fields[prayer] = { adhan: entry[prayer].adhan, jamaah: entry[prayer].jamaah };
+  });
+  if (entry.jummah) {
+    fields.jummah = entry.jummah;
+  }
+  if (entry.taraweeh) {
+    fields.taraweeh = entry.taraweeh;
+  }
+  return fields;
+};
+
+// Get the timetable for a date, a range or a whole year
+router.get('/', [
+  query('date').optional().matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format'),
+  query('from').optional().matches(DATE_PATTERN).withMessage('From must be in YYYY-MM-DD format'),
+  query('to').optional().matches(DATE_PATTERN).withMessage('To must be in YYYY-MM-DD format'),
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Year must be a valid year')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { date, year } = req.query;
+    let { from, to } = req.query;
+
+    if (date) {
+      from = date;
+      to = date;
+    } else if (year) {
+      from = `${year}-01-01`;
+      to = `${year}-12-31`;
+    } else if (!from || !to) {
+      const today = TimetableService.toTimetableDate();
+      from = from || today;
+      to = to || from;
+    }
+
+    if (moment(to).diff(moment(from), 'days') > MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `Date range cannot be longer than ${MAX_RANGE_DAYS} days`
+      });
+    }
+
+    const days = await TimetableService.getRange(from, to);
+
+    res.json({
+      success: true,
+      data: TimetableService.toTimetableJSON(days, year ? Number(year) : null)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch timetable',
+      error: error.message
+    });
+  }
+});
+
+// Export a month for printing or spreadsheets: calculated adhan times,
+// the mosque's jamaah and Jumu'ah times and Hijri dates
+router.get('/export', [
+  query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('Year must be a valid year'),
+  query('month').optional().isInt({ min: 1, max: 12 }).withMessage('Month must be between 1 and 12'),
+  query('format').optional().isIn(TimetableExportService.FORMATS).withMessage(`Format must be one of ${TimetableExportService.FORMATS.join(', ')}`),
+  query('method').optional().isIn(Object.keys(PrayerTimesService.getCalculationMethods())).withMessage('Invalid calculation method'),
+  query('language').optional().isIn(LocalizationService.SUPPORTED_LANGUAGES)
+    .withMessage(`Language must be one of ${LocalizationService.SUPPORTED_LANGUAGES.join(', ')}`)
+], handleValidationErrors, async (req, res) => {
+  try {
+    const today = moment(TimetableService.toTimetableDate());
+    const { format = 'pdf', method, language } = req.query;
+
+    const data = await TimetableExportService.getMonth({
+      year: req.query.year ? Number(req.query.year) : today.year(),
+      month: req.query.month ? Number(req.query.month) : today.month() + 1,
+      method: method ? Number(method) : null,
+      language
+    });
+
+    const output = format === 'csv'
+      ? TimetableExportService.toCSV(data)
+      : await TimetableExportService.toPDF(data);
+
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/pdf',
+      'Content-Disposition': `attachment; filename="${TimetableExportService.getFilename(data, format)}"`,
+      'Content-Language': data.language
+    });
+    res.send(output);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Failed to export timetable',
+      error: error.message
+    });
+  }
+});
+
+// Get a single day
+router.get('/:date', [
+  param('date').matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const day = await TimetableService.getDay(req.params.date);
+    if (!day) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timetable entry for this date'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...day.toTimetableJSON(),
+        isOverride: day.isOverride,
+        note: day.note
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch timetable entry',
+      error: error.message
+    });
+  }
+});
+
+// Bulk upload a timetable in the PrayerTimes<year>.json shape
+router.post('/', authenticate, requireAdmin, [
+  body('prayerTimes').isArray({ min: 1, max: MAX_RANGE_DAYS }).withMessage('prayerTimes must be a non-empty array'),
+  body('replaceOverrides').optional().isBoolean().withMessage('replaceOverrides must be boolean'),
+  ...entryValidators('prayerTimes.*.')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { prayerTimes, replaceOverrides = false } = req.body;
+
+    const summary = await TimetableDay.bulkUpsert(prayerTimes.map(pickTimetableFields), { replaceOverrides });
+    LiveService.timetableChanged(prayerTimes.map(entry => entry.date));
+    PrayerAlertScheduler.timetableChanged(prayerTimes.map(entry => entry.date));
+
+    res.status(201).json({
+      success: true,
+      message: 'Timetable uploaded successfully',
+      data: summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload timetable',
+      error: error.message
+    });
+  }
+});
+
+// Override a single day, e.g. when the committee moves a jamaah time
+router.put('/:date', authenticate, requireAdmin, [
+  param('date').matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format'),
+  body('sunrise').optional().matches(TIME_PATTERN).withMessage('Sunrise must be in HH:mm format'),
+  body('jummah').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Jummah must be in HH:mm format'),
+  body('taraweeh').optional({ nullable: true }).matches(TIME_PATTERN).withMessage('Taraweeh must be in HH:mm format'),
+  body('note').optional().isString().withMessage('Note must be a string'),
+  ...TIMETABLE_PRAYERS.flatMap(prayer => [
+    body(`${prayer}.adhan`).optional().matches(TIME_PATTERN).withMessage(`${prayer} adhan must be in HH:mm format`),
+    body(`${prayer}.jamaah`).optional().matches(TIME_PATTERN).withMessage(`${prayer} jamaah must be in HH:mm format`)
+  ])
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { date } = req.params;
+    const updateData = req.body;
+
+    let day = await TimetableDay.findByDate(date);
+    if (!day) {
+      day = new TimetableDay({ date });
+    }
+
+    TIMETABLE_PRAYERS.forEach(prayer => {
+      if (updateData[prayer]) {
+        day[prayer] = { ...(day[prayer] ? day[prayer].toObject() : {}), ...updateData[prayer] };
+      }
+    });
+    ['sunrise', 'jummah', 'taraweeh', 'note'].forEach(field => {
+      if (updateData[field] !== undefined) {
+        day[field] = updateData[field] || undefined;
+      }
+    });
+    day.isOverride = true;
+
+    await day.save();
+    LiveService.timetableChanged([date]);
+    PrayerAlertScheduler.timetableChanged([date]);
+
+    res.json({
+      success: true,
+      message: 'Timetable entry updated successfully',
+      data: {
+        ...day.toTimetableJSON(),
+        isOverride: day.isOverride,
+        note: day.note
+      }
+    });
+  } catch (error) {
+    const statusCode = error.name === 'ValidationError' ? 400 : 500;
+    res.status(statusCode).json({
+      success: false,
+      message: 'Failed to update timetable entry',
+      error: error.message
+    });
+  }
+});
+
+// Remove a day from the timetable
+router.delete('/:date', authenticate, requireAdmin, [
+  param('date').matches(DATE_PATTERN).withMessage('Date must be in YYYY-MM-DD format')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const result = await TimetableDay.deleteOne({ date: req.params.date });
+    if (!result.deletedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'No timetable entry for this date'
+      });
+    }
+    LiveService.timetableChanged([req.params.date]);
+    PrayerAlertScheduler.timetableChanged([req.params.date]);
+
+    res.json({
+      success: true,
+      message: 'Timetable entry deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete timetable entry',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
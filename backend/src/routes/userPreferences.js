@@ -1,22 +1,29 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param } = require('express-validator');
 const UserPreferences = require('../models/UserPreferences');
+const Device = require('../models/Device');
 const NotificationService = require('../services/NotificationService');
 const PrayerTimesService = require('../services/PrayerTimesService');
+const PrayerAlertScheduler = require('../services/PrayerAlertScheduler');
+const TimetableService = require('../services/TimetableService');
+const HijriCalendarService = require('../services/HijriCalendarService');
+const RamadanService = require('../services/RamadanService');
+const QiblaService = require('../services/QiblaService');
+const JumuahService = require('../services/JumuahService');
+const AuthService = require('../services/AuthService');
+const { handleValidationErrors } = require('../middleware/validation');
+const { authenticate, authorizeUser } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Validation middleware
-const handleValidationErrors = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation errors',
-      errors: errors.array()
-    });
-  }
-  next();
+// Every route is scoped to a user and needs that user's access token
+router.all('/:userId/*', authenticate, authorizeUser);
+
+// Re-plan server-side prayer alerts after a change that affects them
+const replanPrayerAlerts = (userId) => {
+  PrayerAlertScheduler.replanUser(userId).catch(error => {
+    console.error(`Failed to re-plan prayer alerts for ${userId}:`, error.message);
+  });
 };
 
 // Get user preferences
@@ -62,6 +69,8 @@ router.put('/:userId/preferences', [
   body('notifications').optional().isObject().withMessage('Notifications must be an object'),
   body('location').optional().isObject().withMessage('Location must be an object'),
   body('preferences').optional().isObject().withMessage('Preferences must be an object'),
+  body('preferences.jumuahCongregation').optional({ nullable: true }).matches(/^[a-z0-9-]+$/)
+    .withMessage('Jumu\'ah congregation may only contain lowercase letters, numbers and dashes'),
   body('eventNotifications').optional().isObject().withMessage('Event notifications must be an object')
 ], handleValidationErrors, async (req, res) => {
   try {
@@ -95,6 +104,7 @@ router.put('/:userId/preferences', [
     }
     
     await preferences.save();
+    replanPrayerAlerts(userId);
     
     res.json({
       success: true,
@@ -113,13 +123,17 @@ router.put('/:userId/preferences', [
 // Update notification settings
 router.put('/:userId/notifications', [
   param('userId').isString().notEmpty().withMessage('User ID is required'),
-  body('prayer').optional().isIn(['fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'jumma']).withMessage('Invalid prayer name'),
+  body('prayer').optional().isIn(['fajr', 'dhuhr', 'asr', 'maghrib', 'isha', 'jumma', 'suhoor', 'iftar', 'taraweeh'])
+    .withMessage('Invalid prayer name'),
   body('enabled').optional().isBoolean().withMessage('Enabled must be boolean'),
-  body('alertMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Alert minutes must be between 0 and 120')
+  body('alertMinutes').optional().isInt({ min: 0, max: 120 }).withMessage('Alert minutes must be between 0 and 120'),
+  body('reference').optional().isIn(['adhan', 'jamaah']).withMessage('Reference must be adhan or jamaah')
+    .custom((value, { req }) => !RamadanService.ALERTS.includes(req.body.prayer))
+    .withMessage('Ramadan alerts do not take a reference')
 ], handleValidationErrors, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { prayer, enabled, alertMinutes, notifications } = req.body;
+    const { prayer, enabled, alertMinutes, reference, notifications } = req.body;
     
     const preferences = await UserPreferences.findByUserId(userId);
     if (!preferences) {
@@ -140,9 +154,13 @@ router.put('/:userId/notifications', [
       if (alertMinutes !== undefined) {
         preferences.notifications[prayer].alertMinutes = alertMinutes;
       }
+      if (reference !== undefined) {
+        preferences.notifications[prayer].reference = reference;
+      }
     }
     
     await preferences.save();
+    replanPrayerAlerts(userId);
     
     res.json({
       success: true,
@@ -158,6 +176,66 @@ router.put('/:userId/notifications', [
   }
 });
 
+// Update quiet hours
+router.put('/:userId/quiet-hours', [
+  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  body('enabled').optional().isBoolean().withMessage('Enabled must be boolean'),
+  body('mode').optional().isIn(['suppress', 'defer']).withMessage('Mode must be suppress or defer'),
+  body('windows').optional().isArray({ max: 14 }).withMessage('Windows must be an array of up to 14 windows'),
+  body('windows.*.days').optional().isArray({ min: 1 }).withMessage('Days must be a non-empty array'),
+  body('windows.*.days.*').isInt({ min: 0, max: 6 }).withMessage('Days must be 0 (Sunday) to 6 (Saturday)'),
+  body('windows.*.start').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Start must be HH:mm'),
+  body('windows.*.end').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('End must be HH:mm'),
+  body('exemptions').optional().isArray().withMessage('Exemptions must be an array')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { enabled, mode, windows, exemptions } = req.body;
+
+    const preferences = await UserPreferences.findByUserId(userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    if (enabled !== undefined) {
+      preferences.quietHours.enabled = enabled;
+    }
+    if (mode !== undefined) {
+      preferences.quietHours.mode = mode;
+    }
+    if (windows !== undefined) {
+      preferences.quietHours.windows = windows;
+    }
+    if (exemptions !== undefined) {
+      preferences.quietHours.exemptions = exemptions;
+    }
+
+    await preferences.save();
+
+    res.json({
+      success: true,
+      message: 'Quiet hours updated',
+      data: preferences.quietHours
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quiet hours',
+        error: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update quiet hours',
+      error: error.message
+    });
+  }
+});
+
 // Update user location
 router.put('/:userId/location', [
   param('userId').isString().notEmpty().withMessage('User ID is required'),
@@ -180,6 +258,7 @@ router.put('/:userId/location', [
     }
     
     await preferences.updateLocation(latitude, longitude, city, country, timezone);
+    replanPrayerAlerts(userId);
     
     res.json({
       success: true,
@@ -201,7 +280,7 @@ router.get('/:userId/prayer-times', [
 ], handleValidationErrors, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { date } = req.query;
+    const { date, jamaah } = req.query;
     
     const preferences = await UserPreferences.findByUserId(userId);
     if (!preferences) {
@@ -215,27 +294,151 @@ router.get('/:userId/prayer-times', [
       preferences.location.latitude,
       preferences.location.longitude,
       date || new Date(),
-      preferences.preferences.prayerTimeCalculationMethod
+      preferences.preferences.prayerTimeCalculationMethod,
+      preferences.location.timezone
     );
+
+    // The mosque's own jamaah times, alongside the calculated ones
+    const mosqueTimetable = jamaah === 'false'
+      ? null
+      : await TimetableService.getDay(prayerTimes.date.gregorian.date);
+
+    // Same Hijri date as everywhere else in the app, not the provider's
+    const { hijri } = await HijriCalendarService.toHijri(prayerTimes.date.gregorian.date, {
+      adjustment: preferences.preferences.hijriDateAdjustment
+    });
+
+    // The Jumu'ah congregation the user chose, for the coming Friday. On a
+    // Friday it replaces the Dhuhr time in `jumma`.
+    const jumuah = await JumuahService.getJumuah(prayerTimes.date.gregorian.date, preferences.preferences.jumuahCongregation);
+    const prayers = jumuah.slot && JumuahService.isFriday(prayerTimes.date.gregorian.date)
+      ? {
+        ...prayerTimes.prayers,
+        jumma: JumuahService.toTimezone(jumuah.date, jumuah.slot.salahTime, preferences.location.timezone)
+      }
+      : prayerTimes.prayers;
     
     res.json({
       success: true,
       data: {
         location: preferences.location,
-        prayerTimes,
-        calculationMethod: preferences.preferences.prayerTimeCalculationMethod
+        prayerTimes: { ...prayerTimes, prayers, date: { ...prayerTimes.date, hijri } },
+        calculationMethod: preferences.preferences.prayerTimeCalculationMethod,
+        mosqueTimetable: mosqueTimetable ? mosqueTimetable.toTimetableJSON() : null,
+        jumuah
       }
     });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 503
+        ? 'Prayer times are temporarily unavailable. Please try again shortly.'
+        : 'Failed to fetch prayer times',
+      error: error.message
+    });
+  }
+});
+
+// The next prayer and the one in progress, in the user's timezone
+router.get('/:userId/next-prayer', [
+  param('userId').isString().notEmpty().withMessage('User ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const preferences = await UserPreferences.findByUserId(req.params.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    const { latitude, longitude, timezone } = preferences.location;
+    const method = preferences.preferences.prayerTimeCalculationMethod;
+    const prayerTimes = await PrayerTimesService.getPrayerTimes(latitude, longitude, new Date(), method, timezone);
+    const next = await PrayerTimesService.getNextPrayer(prayerTimes, { latitude, longitude, method, timezone });
+    if (!next) {
+      throw new Error('Could not work out the next prayer');
+    }
+
+    res.json({
+      success: true,
+      data: next
+    });
+  } catch (error) {
+    const statusCode = error.statusCode || 500;
+    res.status(statusCode).json({
+      success: false,
+      message: statusCode === 503
+        ? 'Prayer times are temporarily unavailable. Please try again shortly.'
+        : 'Failed to fetch next prayer',
+      error: error.message
+    });
+  }
+});
+
+// Today's Hijri date with the user's hijriDateAdjustment applied
+router.get('/:userId/hijri-date', [
+  param('userId').isString().notEmpty().withMessage('User ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const preferences = await UserPreferences.findByUserId(req.params.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    const date = await HijriCalendarService.today({
+      adjustment: preferences.preferences.hijriDateAdjustment,
+      timezone: preferences.location.timezone
+    });
+
+    res.json({
+      success: true,
+      data: date
+    });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch prayer times',
+      message: 'Failed to fetch Hijri date',
       error: error.message
     });
   }
 });
 
-// Update device token for push notifications
+// Qibla from the user's saved location
+router.get('/:userId/qibla', [
+  param('userId').isString().notEmpty().withMessage('User ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const preferences = await UserPreferences.findByUserId(req.params.userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    const { latitude, longitude } = preferences.location;
+
+    res.json({
+      success: true,
+      data: QiblaService.getQibla(latitude, longitude)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate Qibla direction',
+      error: error.message
+    });
+  }
+});
+
+// Update device token for push notifications.
+// Kept for older app versions: the token is stored as a device called
+// legacy-<platform>, so it still replaces the previous token for that platform.
 router.put('/:userId/device-token', [
   param('userId').isString().notEmpty().withMessage('User ID is required'),
   body('platform').isIn(['ios', 'android']).withMessage('Platform must be ios or android'),
@@ -253,7 +456,8 @@ router.put('/:userId/device-token', [
       });
     }
     
-    preferences.deviceTokens[platform] = token;
+    await Device.register(userId, `legacy-${platform}`, { platform, token });
+    preferences.deviceTokens[platform] = undefined;
     await preferences.save();
     
     res.json({
@@ -269,6 +473,96 @@ router.put('/:userId/device-token', [
   }
 });
 
+// List the user's devices
+router.get('/:userId/devices', [
+  param('userId').isString().notEmpty().withMessage('User ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const devices = await Device.find({ userId: req.params.userId }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        devices: devices.map(device => device.toDeviceJSON())
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch devices',
+      error: error.message
+    });
+  }
+});
+
+// Register a device, or update its token and details.
+// Apps call this on every launch, which also refreshes lastSeenAt.
+router.put('/:userId/devices/:deviceId', [
+  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  param('deviceId').isString().trim().isLength({ min: 1, max: 128 }).withMessage('Device ID must be 1-128 characters'),
+  body('platform').isIn(['ios', 'android']).withMessage('Platform must be ios or android'),
+  body('token').isString().notEmpty().withMessage('Device token is required'),
+  body('name').optional().isString().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('appVersion').optional().isString().withMessage('App version must be a string'),
+  body('locale').optional().isString().withMessage('Locale must be a string')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId, deviceId } = req.params;
+    const { platform, token, name, appVersion, locale } = req.body;
+
+    const preferences = await UserPreferences.findByUserId(userId);
+    if (!preferences) {
+      return res.status(404).json({
+        success: false,
+        message: 'User preferences not found'
+      });
+    }
+
+    const device = await Device.register(userId, deviceId, { platform, token, name, appVersion, locale });
+
+    res.json({
+      success: true,
+      message: 'Device registered successfully',
+      data: device.toDeviceJSON()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register device',
+      error: error.message
+    });
+  }
+});
+
+// Unregister a device, e.g. on sign out
+router.delete('/:userId/devices/:deviceId', [
+  param('userId').isString().notEmpty().withMessage('User ID is required'),
+  param('deviceId').isString().notEmpty().withMessage('Device ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId, deviceId } = req.params;
+
+    const result = await Device.deleteOne({ userId, deviceId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device unregistered successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unregister device',
+      error: error.message
+    });
+  }
+});
+
 // Send test notification
 router.post('/:userId/test-notification', [
   param('userId').isString().notEmpty().withMessage('User ID is required'),
@@ -302,6 +596,32 @@ router.post('/:userId/test-notification', [
   }
 });
 
+// Issue a token for the user's calendar feed URLs
+router.post('/:userId/calendar-token', [
+  param('userId').isString().notEmpty().withMessage('User ID is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const token = AuthService.issueCalendarToken(userId);
+    const base = `/api/calendar/users/${encodeURIComponent(userId)}`;
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        prayerTimes: `${base}/prayer-times.ics?token=${token}`,
+        events: `${base}/events.ics?token=${token}`
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue calendar token',
+      error: error.message
+    });
+  }
+});
+
 // Delete user preferences (GDPR compliance)
 router.delete('/:userId/preferences', [
   param('userId').isString().notEmpty().withMessage('User ID is required')
@@ -319,6 +639,8 @@ router.delete('/:userId/preferences', [
     
     preferences.isActive = false;
     await preferences.save();
+    await Device.deleteMany({ userId });
+    replanPrayerAlerts(userId);
     
     res.json({
       success: true,
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const UserCredential = require('../models/UserCredential');
+const RefreshToken = require('../models/RefreshToken');
+const UserPreferences = require('../models/UserPreferences');
+const Device = require('../models/Device');
+
+// Error carrying an HTTP status for the routes to pass on
+const authError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class AuthService {
+  constructor() {
+    this.ISSUER = 'central-mosque-rochdale';
+    this.ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+    this.REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+    this.CALENDAR_TOKEN_TTL = '365d';
+    this.BCRYPT_ROUNDS = 10;
+    this.ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+  }
+
+  getSecret() {
+    if (!process.env.JWT_SECRET) {
+      throw authError('JWT_SECRET is not configured', 500);
+    }
+    return process.env.JWT_SECRET;
+  }
+
+  // Register a device. Existing users from before authentication can claim
+  // their userId once, proving it with a push token the app stored for it;
+  // new devices are given a fresh one.
+  async register({ userId = null, pushToken = null, ip, userAgent } = {}) {
+    const id = userId || crypto.randomUUID();
+
+    // Admin IDs are only granted to devices that registered normally first
+    if (userId && this.ADMIN_USER_IDS.includes(userId)) {
+      throw authError('This user ID cannot be registered', 403);
+    }
+
+    if (await UserCredential.exists({ userId: id })) {
+      throw authError('This user is already registered. Log in with the device secret instead.', 409);
+    }
+
+    if (userId && !(await this.ownsLegacyUser(userId, pushToken))) {
+      throw authError('To claim an existing user ID, send a push token registered to it', 403);
+    }
+
+    const deviceSecret = crypto.randomBytes(32).toString('base64url');
+    const credential = await UserCredential.create({
+      userId: id,
+      secretHash: await bcrypt.hash(deviceSecret, this.BCRYPT_ROUNDS),
+      lastLoginAt: new Date()
+    });
+
+    return {
+      userId: id,
+      deviceSecret,
+      ...(await this.issueTokens(credential, { ip, userAgent }))
+    };
+  }
+
+  // Whether a push token was stored for a userId before it registered. Only
+  // the user's own app can add tokens since authentication, so a match
+  // shows the claim comes from that app.
+  async ownsLegacyUser(userId, pushToken) {
+    if (!pushToken) {
+      return false;
+    }
+
+    const preferences = await UserPreferences.findOne({ userId }).lean();
+    if (preferences && Object.values(preferences.deviceTokens || {}).includes(pushToken)) {
+      return true;
+    }
+    return Boolean(await Device.exists({ userId, token: pushToken }));
+  }
+
+  // Exchange a userId and device secret for a new token pair
+  async login({ userId, deviceSecret, ip, userAgent }) {
+    const credential = await UserCredential.findActiveByUserId(userId);
+    const valid = credential && await bcrypt.compare(deviceSecret, credential.secretHash);
+
+    if (!valid) {
+      throw authError('Invalid user ID or device secret', 401);
+    }
+
+    credential.lastLoginAt = new Date();
+    await credential.save();
+
+    return this.issueTokens(credential, { ip, userAgent });
+  }
+
+  // Rotate a refresh token and issue a new access token. The token is
+  // revoked before anything is issued, so of two refreshes racing with the
+  // same token only one gets through and the other counts as reuse.
+  async refresh(refreshToken, { ip, userAgent } = {}) {
+    const tokenHash = this.hashToken(refreshToken);
+    const now = new Date();
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now } }
+    );
+
+    if (!stored) {
+      const unusable = await RefreshToken.findOne({ tokenHash });
+      if (!unusable) {
+        throw authError('Invalid refresh token', 401);
+      }
+      // A rotated token being used again means it has leaked
+      if (unusable.revokedAt) {
+        await RefreshToken.revokeAllForUser(unusable.userId);
+        throw authError('Refresh token has been revoked', 401);
+      }
+      throw authError('Refresh token has expired', 401);
+    }
+
+    const credential = await UserCredential.findActiveByUserId(stored.userId);
+    if (!credential) {
+      throw authError('User is no longer active', 401);
+    }
+
+    const tokens = await this.issueTokens(credential, { ip, userAgent });
+
+    await RefreshToken.updateOne(
+      { _id: stored._id },
+      { $set: { replacedByHash: this.hashToken(tokens.refreshToken) } }
+    );
+
+    return tokens;
+  }
+
+  // Revoke a refresh token (logout)
+  async revoke(refreshToken) {
+    await RefreshToken.updateOne(
+      { tokenHash: this.hashToken(refreshToken), revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  // Users listed in ADMIN_USER_IDS are admins, so the first committee
+  // member can be set up without editing the database
+  getRole(credential) {
+    return this.ADMIN_USER_IDS.includes(credential.userId) ? 'admin' : credential.role;
+  }
+
+  async issueTokens(credential, { ip, userAgent } = {}) {
+    const accessToken = jwt.sign(
+      { role: this.getRole(credential) },
+      this.getSecret(),
+      {
+        subject: credential.userId,
+        issuer: this.ISSUER,
+        audience: 'api',
+        expiresIn: this.ACCESS_TOKEN_TTL
+      }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await RefreshToken.create({
+      tokenHash: this.hashToken(refreshToken),
+      userId: credential.userId,
+      expiresAt,
+      createdByIp: ip,
+      userAgent
+    });
+
+    return {
+      tokenType: 'Bearer',
+      role: this.getRole(credential),
+      accessToken,
+      expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+      refreshToken,
+      refreshTokenExpiresAt: expiresAt
+    };
+  }
+
+  // Throws JsonWebTokenError / TokenExpiredError, which the global error
+  // handler turns into 401 responses
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.getSecret(), { issuer: this.ISSUER, audience: 'api' });
+  }
+
+  // Calendar apps can't send headers, so feeds take a long-lived token in
+  // the URL that is only good for reading that user's calendar
+  issueCalendarToken(userId) {
+    return jwt.sign({ scope: 'calendar' }, this.getSecret(), {
+      subject: userId,
+      issuer: this.ISSUER,
+      audience: 'calendar',
+      expiresIn: this.CALENDAR_TOKEN_TTL
+    });
+  }
+
+  verifyCalendarToken(token) {
+    return jwt.verify(token, this.getSecret(), { issuer: this.ISSUER, audience: 'calendar' });
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,123 @@
+const UserPreferences = require('../models/UserPreferences');
+const Broadcast = require('../models/Broadcast');
+const NotificationService = require('./NotificationService');
+const LiveService = require('./LiveService');
+
+class BroadcastService {
+  // Active users matching a broadcast target who follow its category
+  findAudience({ city, country, languages = [], category = 'announcements' } = {}) {
+    const query = city
+      ? UserPreferences.getUsersInLocation(city, country || 'UK')
+      : UserPreferences.getActiveUsers();
+
+    // A country on its own reaches every city in it
+    if (!city && country) {
+      query.where('location.country').equals(country);
+    }
+
+    if (languages.length) {
+      query.where('preferences.language').in(languages);
+    }
+
+    return query
+      .where('eventNotifications.enabled').equals(true)
+      .where(`eventNotifications.categories.${category}`).equals(true);
+  }
+
+  async countAudience(target) {
+    return this.findAudience(target).countDocuments();
+  }
+
+  // Create a broadcast and start sending it. A large audience takes a
+  // while, so the send carries on in the background; the broadcast's
+  // status and stats show how it went.
+  async send({ title, body, translations = {}, target = {}, urgent = false }, sentBy) {
+    const broadcast = await Broadcast.create({ title, body, translations, target, urgent, sentBy });
+
+    // Screens show urgent announcements now, not once every push is out
+    if (broadcast.urgent && broadcast.isForEveryone()) {
+      LiveService.announce(broadcast);
+    }
+
+    this.deliver(broadcast);
+    return broadcast;
+  }
+
+  // Send a broadcast to its audience and record the totals. Never throws.
+  async deliver(broadcast) {
+    try {
+      const audience = await this.findAudience(broadcast.target.toObject());
+      const result = await NotificationService.sendBulkNotifications(audience, {
+        _id: broadcast._id,
+        title: broadcast.title,
+        description: broadcast.body,
+        translations: this.toEventTranslations(broadcast.translations),
+        category: broadcast.target.category
+      });
+
+      broadcast.stats = this.summarize(result.results);
+      broadcast.status = 'sent';
+    } catch (error) {
+      console.error('Error sending broadcast:', error);
+      broadcast.status = 'failed';
+      broadcast.error = error.message;
+    }
+
+    broadcast.completedAt = new Date();
+    try {
+      await broadcast.save();
+    } catch (error) {
+      console.error(`Error saving broadcast ${broadcast._id}:`, error.message);
+    }
+  }
+
+  // Broadcasts say `body` where events say `description`
+  toEventTranslations(translations = {}) {
+    const result = {};
+    ['ar', 'ur'].forEach(language => {
+      const { title, body } = translations[language] || {};
+      if (title || body) {
+        result[language] = { title, description: body };
+      }
+    });
+    return result;
+  }
+
+  // Turn per-user results from sendBulkNotifications into totals
+  summarize(results) {
+    const stats = {
+      targeted: results.length,
+      delivered: 0,
+      failed: 0,
+      noDevices: 0,
+      deferred: 0,
+      suppressed: 0,
+      android: { sent: 0, failed: 0 },
+      ios: { sent: 0, failed: 0 }
+    };
+
+    results.forEach(result => {
+      const platforms = result.results || [];
+
+      platforms.forEach(({ platform, success }) => {
+        stats[platform][success ? 'sent' : 'failed'] += 1;
+      });
+
+      if (result.deferred) {
+        stats.deferred += 1;
+      } else if (result.suppressed) {
+        stats.suppressed += 1;
+      } else if (result.results && platforms.length === 0) {
+        stats.noDevices += 1;
+      } else if (platforms.some(platform => platform.success)) {
+        stats.delivered += 1;
+      } else {
+        stats.failed += 1;
+      }
+    });
+
+    return stats;
+  }
+}
+
+module.exports = new BroadcastService();
@@ -0,0 +1,295 @@
+const moment = require('moment-timezone');
+const PrayerTimesService = require('./PrayerTimesService');
+const TimetableService = require('./TimetableService');
+const JumuahService = require('./JumuahService');
+const mosque = require('../config/mosque');
+
+const PRODUCT_ID = '-//Central Mosque Rochdale//Prayer Times and Events//EN';
+const UID_DOMAIN = 'centralmosquerochdale';
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const PRAYER_NAMES = {
+  fajr: 'Fajr',
+  dhuhr: 'Dhuhr',
+  asr: 'Asr',
+  maghrib: 'Maghrib',
+  isha: 'Isha',
+  jumma: "Jumu'ah"
+};
+const FRIDAY = 5;
+
+// Europe/London since 1996: BST from the last Sunday of March at 01:00 UTC
+// to the last Sunday of October at 01:00 UTC
+const EUROPE_LONDON_VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  'TZID:Europe/London',
+  'X-LIC-LOCATION:Europe/London',
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:+0000',
+  'TZOFFSETTO:+0100',
+  'TZNAME:BST',
+  'DTSTART:19700329T010000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:+0100',
+  'TZOFFSETTO:+0000',
+  'TZNAME:GMT',
+  'DTSTART:19701025T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+class CalendarFeedService {
+  constructor() {
+    this.PRAYER_EVENT_MINUTES = 15;
+    this.REFRESH_INTERVAL = 'PT12H';
+  }
+
+  // Load prayer times for whole months, starting with the current one.
+  // `timetable` uses the mosque's jamaah times, `calculated` uses PrayerTimesService.
+  // With `jumuah`, Friday's `jumma` is the salah of the chosen congregation
+  // (the earliest without one) wherever the mosque has set them up.
+  async getPrayerDays({ source = 'calculated', latitude, longitude, method, timezone = mosque.timezone, months = 1, jumuah = true, congregation = null }) {
+    const days = await this.loadPrayerDays({ source, latitude, longitude, method, timezone, months });
+    return jumuah ? this.applyJumuahSlots(days, congregation, timezone) : days;
+  }
+
+  async loadPrayerDays({ source, latitude, longitude, method, timezone, months }) {
+    const start = moment.tz(timezone).startOf('month');
+
+    if (source === 'timetable') {
+      const entries = await TimetableService.getRange(
+        start.format('YYYY-MM-DD'),
+        start.clone().add(months, 'months').subtract(1, 'day').format('YYYY-MM-DD')
+      );
+
+      return entries.map(entry => {
+        const adhan = {};
+        TimetableService.PRAYERS.forEach(prayer => {
+          adhan[prayer] = entry[prayer].adhan;
+        });
+        return {
+          date: entry.date,
+          times: { ...entry.getJamaahTimes(), jumma: entry.jummah },
+          adhan
+        };
+      });
+    }
+
+    const days = [];
+    for (let offset = 0; offset < months; offset++) {
+      const month = start.clone().add(offset, 'months');
+      const monthly = await PrayerTimesService.getMonthlyPrayerTimes(
+        latitude,
+        longitude,
+        month.year(),
+        month.month() + 1,
+        method,
+        timezone
+      );
+
+      monthly.forEach(day => {
+        days.push({
+          date: moment.utc(day.gregorianDate, 'DD-MM-YYYY').format('YYYY-MM-DD'),
+          times: day.prayers
+        });
+      });
+    }
+    return days;
+  }
+
+  async applyJumuahSlots(days, congregation, timezone) {
+    for (const day of days) {
+      if (JumuahService.isFriday(day.date)) {
+        const slot = JumuahService.pickSlot(await JumuahService.getSlots(day.date), congregation);
+        if (slot) {
+          day.times = { ...day.times, jumma: JumuahService.toTimezone(day.date, slot.salahTime, timezone) };
+        }
+      }
+    }
+    return days;
+  }
+
+  // Build a calendar of prayer times.
+  // `days` is a list of { date: 'YYYY-MM-DD', times: { fajr: 'HH:mm', ... }, adhan: { ... } }.
+  // `adhan` is optional and only used for descriptions.
+  buildPrayerTimesCalendar(days, { prayers, timezone = mosque.timezone, label = 'Prayer Times', reference = 'adhan' } = {}) {
+    const stamp = this.formatUtc(moment.utc());
+    const events = [];
+
+    days.forEach(day => {
+      const isFriday = moment.utc(day.date, 'YYYY-MM-DD').day() === FRIDAY;
+
+      prayers.forEach(prayer => {
+        if (prayer === 'jumma' && !isFriday) {
+          return;
+        }
+
+        const time = day.times[prayer];
+        if (!time) {
+          return;
+        }
+
+        const name = PRAYER_NAMES[prayer] || prayer;
+        const description = [];
+        if (day.adhan && day.adhan[prayer]) {
+          description.push(`Adhan: ${day.adhan[prayer]}`);
+        }
+        if (reference === 'jamaah') {
+          description.push(`Jamaah: ${time}`);
+        }
+
+        events.push([
+          'BEGIN:VEVENT',
+          `UID:prayer-${day.date}-${prayer}-${reference}@${UID_DOMAIN}`,
+          `DTSTAMP:${stamp}`,
+          this.formatDateTimeProperty('DTSTART', day.date, time, timezone),
+          `DURATION:PT${this.PRAYER_EVENT_MINUTES}M`,
+          `SUMMARY:${this.escapeText(reference === 'jamaah' && prayer !== 'jumma' ? `${name} Jamaah` : name)}`,
+          ...(description.length ? [`DESCRIPTION:${this.escapeText(description.join('\n'))}`] : []),
+          `LOCATION:${this.escapeText(mosque.name)}`,
+          'CATEGORIES:Prayer',
+          'TRANSP:TRANSPARENT',
+          'END:VEVENT'
+        ]);
+      });
+    });
+
+    return this.buildCalendar(`${mosque.name} ${label}`, timezone, events);
+  }
+
+  // Build a calendar of mosque events. Recurring events become RRULEs.
+  buildEventsCalendar(events, { label = 'Events' } = {}) {
+    const stamp = this.formatUtc(moment.utc());
+    const timezone = mosque.timezone;
+
+    const vevents = events.map(event => {
+      const json = event.toEventJSON();
+      const firstDate = event.getFirstOccurrenceDate();
+      const lines = [
+        'BEGIN:VEVENT',
+        `UID:event-${json.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `LAST-MODIFIED:${this.formatUtc(moment.utc(event.updatedAt || undefined))}`
+      ];
+
+      if (event.startTime) {
+        lines.push(this.formatDateTimeProperty('DTSTART', firstDate, event.startTime, timezone));
+        lines.push(`DURATION:PT${event.durationMinutes || 60}M`);
+      } else {
+        // No fixed clock time (e.g. "After Esha"), so use an all-day event
+        lines.push(`DTSTART;VALUE=DATE:${this.formatDate(firstDate)}`);
+        lines.push(`DTEND;VALUE=DATE:${this.formatDate(moment.utc(firstDate).add(1, 'day').format('YYYY-MM-DD'))}`);
+      }
+
+      const interval = event.getIntervalDays();
+      if (interval) {
+        const rule = [
+          'FREQ=WEEKLY',
+          `INTERVAL=${interval / 7}`,
+          `BYDAY=${ICS_DAYS[moment.utc(firstDate).day()]}`
+        ];
+        if (event.endDate) {
+          // UNTIL must match DTSTART's value type, and be UTC for timed events
+          rule.push(`UNTIL=${event.startTime
+            ? this.formatUtc(moment.tz(`${event.endDate} 23:59:59`, 'YYYY-MM-DD HH:mm:ss', timezone))
+            : this.formatDate(event.endDate)}`);
+        }
+        lines.push(`RRULE:${rule.join(';')}`);
+      }
+
+      const description = [
+        event.description,
+        event.time ? `Time: ${event.time}` : null,
+        event.organizer ? `Organiser: ${event.organizer}` : null
+      ].filter(Boolean).join('\n');
+
+      lines.push(`SUMMARY:${this.escapeText(event.title)}`);
+      if (description) {
+        lines.push(`DESCRIPTION:${this.escapeText(description)}`);
+      }
+      lines.push(`LOCATION:${this.escapeText([event.location, mosque.name].filter(Boolean).join(', '))}`);
+      lines.push(`CATEGORIES:${this.escapeText(event.category)}`);
+      if (event.isImportant) {
+        lines.push('PRIORITY:1');
+      }
+      lines.push('END:VEVENT');
+
+      return lines;
+    });
+
+    return this.buildCalendar(`${mosque.name} ${label}`, timezone, vevents);
+  }
+
+  // Wrap VEVENTs in a VCALENDAR, folding lines as RFC 5545 requires
+  buildCalendar(name, timezone, events) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `X-WR-TIMEZONE:${timezone}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:${this.REFRESH_INTERVAL}`,
+      `X-PUBLISHED-TTL:${this.REFRESH_INTERVAL}`,
+      ...(timezone === 'Europe/London' ? EUROPE_LONDON_VTIMEZONE : []),
+      ...events.flat(),
+      'END:VCALENDAR'
+    ];
+
+    return `${lines.map(line => this.foldLine(line)).join('\r\n')}\r\n`;
+  }
+
+  // Local times in Europe/London reference the VTIMEZONE. Other zones are
+  // converted to UTC so no extra VTIMEZONE definitions are needed.
+  formatDateTimeProperty(name, date, time, timezone) {
+    const local = moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+    if (timezone === 'Europe/London') {
+      return `${name};TZID=Europe/London:${local.format('YYYYMMDD[T]HHmmss')}`;
+    }
+    return `${name}:${this.formatUtc(local)}`;
+  }
+
+  formatUtc(value) {
+    return moment.utc(value).format('YYYYMMDD[T]HHmmss[Z]');
+  }
+
+  formatDate(date) {
+    return date.replace(/-/g, '');
+  }
+
+  escapeText(text) {
+    return String(text)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  // Fold lines longer than 75 octets without splitting UTF-8 characters
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let limit = 75;
+
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        limit = 74; // Continuation lines start with a space
+      }
+      current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new CalendarFeedService();
@@ -0,0 +1,89 @@
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+// Stops calling an upstream service after repeated failures, so requests
+// fail fast (and fall back) instead of each waiting on a timeout. After
+// `resetTimeout` one trial call is let through: success closes the
+// circuit again, failure keeps it open for another period. `isFailure`
+// picks the errors that count; others (e.g. a rejected request) show the
+// service answered and are passed through.
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeout = 60 * 1000, isFailure = () => true } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.isFailure = isFailure;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  // True while calls would be refused without trying the service
+  isOpen() {
+    if (this.state === STATES.OPEN) {
+      return Date.now() - this.openedAt < this.resetTimeout;
+    }
+    return this.state === STATES.HALF_OPEN;
+  }
+
+  async exec(fn) {
+    if (this.isOpen()) {
+      const error = new Error(`${this.name} is unavailable (circuit open)`);
+      error.code = 'CIRCUIT_OPEN';
+      error.statusCode = 503;
+      throw error;
+    }
+    if (this.state === STATES.OPEN) {
+      this.state = STATES.HALF_OPEN;
+    }
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.onFailure(error);
+      } else {
+        this.onSuccess();
+      }
+      throw error;
+    }
+  }
+
+  onSuccess() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  onFailure(error) {
+    this.failures += 1;
+    this.lastError = error.message;
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        console.warn(`⚠️ ${this.name} circuit opened after ${this.failures} failures: ${error.message}`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state === STATES.OPEN && !this.isOpen() ? STATES.HALF_OPEN : this.state,
+      failures: this.failures,
+      lastError: this.lastError,
+      retryAt: this.openedAt ? new Date(this.openedAt + this.resetTimeout).toISOString() : null
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,146 @@
+const moment = require('moment-timezone');
+const DisplayProfile = require('../models/DisplayProfile');
+const Broadcast = require('../models/Broadcast');
+const Event = require('../models/Event');
+const JumuahService = require('./JumuahService');
+const HijriCalendarService = require('./HijriCalendarService');
+const LocalizationService = require('./LocalizationService');
+const mosque = require('../config/mosque');
+
+const displayError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Settings and content for the prayer hall screens at /display. Prayer
+// times and countdowns come from LiveService; this adds what changes less
+// often: labels, Jumu'ah, announcements and events.
+class DisplayService {
+  constructor() {
+    this.DEFAULTS = {
+      layout: 'landscape',
+      language: LocalizationService.DEFAULT_LANGUAGE,
+      panels: DisplayProfile.PANELS,
+      rotateSeconds: 12,
+      eventDays: 14
+    };
+    this.ANNOUNCEMENT_DAYS = 7;
+    this.MAX_ANNOUNCEMENTS = 5;
+    this.MAX_EVENTS = 8;
+  }
+
+  // A screen's settings: the saved profile if one is named, with any
+  // query parameters on top
+  async getConfig({ profile, layout, language, panels, rotate, eventDays } = {}) {
+    let base = this.DEFAULTS;
+    if (profile) {
+      const saved = await DisplayProfile.findByName(profile);
+      if (!saved) {
+        throw displayError(`No display profile called ${profile}`, 404);
+      }
+      base = saved.toProfileJSON();
+    }
+
+    const lang = LocalizationService.resolveLanguage(language || base.language);
+    return {
+      profile: base.name || null,
+      title: base.title || mosque.name,
+      layout: layout || base.layout,
+      language: lang,
+      direction: LocalizationService.getDirection(lang),
+      panels: panels ? panels.split(',') : base.panels,
+      rotateSeconds: rotate ? Number(rotate) : base.rotateSeconds,
+      eventDays: eventDays ? Number(eventDays) : base.eventDays,
+      timezone: mosque.timezone,
+      labels: this.getLabels(lang)
+    };
+  }
+
+  // Everything the page writes, so it needs no translations of its own
+  getLabels(language) {
+    const labels = {};
+    Object.keys(LocalizationService.lookup(LocalizationService.DEFAULT_LANGUAGE, 'display')).forEach(key => {
+      labels[key] = LocalizationService.t(language, `display.${key}`);
+    });
+
+    return {
+      ...labels,
+      prayers: {
+        fajr: LocalizationService.t(language, 'prayers.fajr'),
+        sunrise: labels.sunrise,
+        dhuhr: LocalizationService.t(language, 'prayers.dhuhr'),
+        asr: LocalizationService.t(language, 'prayers.asr'),
+        maghrib: LocalizationService.t(language, 'prayers.maghrib'),
+        isha: LocalizationService.t(language, 'prayers.isha')
+      },
+      // The calendar only has English and Arabic month names
+      hijriMonths: HijriCalendarService.HIJRI_MONTHS.map(names => (language === LocalizationService.DEFAULT_LANGUAGE ? names.en : names.ar)),
+      digits: LocalizationService.lookup(language, 'meta.digits')
+    };
+  }
+
+  // Jumu'ah, this week's announcements and upcoming events, in the
+  // screen's language
+  async getContent({ language, eventDays = this.DEFAULTS.eventDays, now = new Date() } = {}) {
+    const lang = LocalizationService.resolveLanguage(language);
+    const today = moment.tz(now, mosque.timezone).startOf('day');
+    const from = today.format('YYYY-MM-DD');
+    const to = today.clone().add(eventDays - 1, 'days').format('YYYY-MM-DD');
+
+    const [broadcasts, events, jumuah] = await Promise.all([
+      Broadcast.findForDisplay(today.clone().subtract(this.ANNOUNCEMENT_DAYS, 'days').toDate(), this.MAX_ANNOUNCEMENTS),
+      Event.findActiveInRange(from, to),
+      this.getJumuah(today)
+    ]);
+
+    const occurrences = events
+      .flatMap(event => event.getOccurrences(from, to))
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || ''))
+      .slice(0, this.MAX_EVENTS);
+
+    return {
+      generatedAt: moment.tz(now, mosque.timezone).format(),
+      jumuah,
+      announcements: broadcasts.map(broadcast => {
+        const translation = broadcast.translations?.[lang] || {};
+        return {
+          id: broadcast._id,
+          title: translation.title || broadcast.title,
+          body: translation.body || broadcast.body,
+          urgent: broadcast.urgent,
+          sentAt: broadcast.sentAt
+        };
+      }),
+      events: occurrences.map(occurrence => {
+        const translation = occurrence.translations[lang] || {};
+        return {
+          id: occurrence.occurrenceId,
+          date: occurrence.date,
+          title: translation.title || occurrence.title,
+          description: translation.description || occurrence.description,
+          startTime: occurrence.startTime,
+          time: occurrence.time,
+          location: occurrence.location,
+          isImportant: occurrence.isImportant
+        };
+      })
+    };
+  }
+
+  // The coming Friday's congregations, today's on a Friday
+  async getJumuah(today) {
+    const { date, slot, slots } = await JumuahService.getJumuah(today.format('YYYY-MM-DD'));
+    return {
+      date,
+      slots: (slots.length ? slots : [slot].filter(Boolean)).map(({ label, khutbahStart, salahTime, language }) => ({
+        label: label || null,
+        khutbahStart,
+        salahTime,
+        language: language || null
+      }))
+    };
+  }
+}
+
+module.exports = new DisplayService();
@@ -0,0 +1,315 @@
+const moment = require('moment-timezone');
+const HijriMonthStart = require('../models/HijriMonthStart');
+const mosque = require('../config/mosque');
+
+const HIJRI_WEEKDAYS = [
+  { en: 'Al Ahad', ar: 'الاحد' },
+  { en: 'Al Athnayn', ar: 'الاثنين' },
+  { en: 'Al Thalaata', ar: 'الثلاثاء' },
+  { en: "Al Arba'a", ar: 'الاربعاء' },
+  { en: 'Al Khamees', ar: 'الخميس' },
+  { en: "Al Juma'a", ar: 'الجمعة' },
+  { en: 'Al Sabt', ar: 'السبت' }
+];
+const HIJRI_MONTHS = [
+  { en: 'Muḥarram', ar: 'مُحَرَّم' },
+  { en: 'Ṣafar', ar: 'صَفَر' },
+  { en: 'Rabīʿ al-awwal', ar: 'رَبيع الأوّل' },
+  { en: 'Rabīʿ al-thānī', ar: 'رَبيع الثاني' },
+  { en: 'Jumādá al-ūlá', ar: 'جُمادى الأولى' },
+  { en: 'Jumādá al-ākhirah', ar: 'جُمادى الآخرة' },
+  { en: 'Rajab', ar: 'رَجَب' },
+  { en: 'Shaʿbān', ar: 'شَعْبان' },
+  { en: 'Ramaḍān', ar: 'رَمَضان' },
+  { en: 'Shawwāl', ar: 'شَوّال' },
+  { en: 'Dhū al-Qaʿdah', ar: 'ذوالقعدة' },
+  { en: 'Dhū al-Ḥijjah', ar: 'ذوالحجة' }
+];
+const RAMADAN = 9;
+
+// Julian day number of 1970-01-01, the zero of our day numbers
+const UNIX_EPOCH_JULIAN_DAY = 2440588;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_ADJUSTMENT = 2;
+
+const calendarError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Hijri dates for the whole API. The calculated (tabular) calendar is
+// corrected by the mosque's moon-sighting decisions, then shifted by the
+// user's own `hijriDateAdjustment`.
+class HijriCalendarService {
+  constructor() {
+    this.RAMADAN = RAMADAN;
+    this.HIJRI_MONTHS = HIJRI_MONTHS;
+    this.MAX_ADJUSTMENT = MAX_ADJUSTMENT;
+    this.OVERRIDES_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+    this.overrides = null;
+    this.overridesLoadedAt = 0;
+  }
+
+  // Days since 1970-01-01 for a Date, moment, YYYY-MM-DD or DD-MM-YYYY.
+  // A moment counts as the day in its own timezone and a Date as the day
+  // at the mosque, so the server's TZ setting never changes the answer.
+  toDayNumber(date) {
+    let day;
+    if (typeof date === 'string') {
+      day = moment.utc(date, ['YYYY-MM-DD', 'DD-MM-YYYY'], true);
+    } else {
+      const local = moment.isMoment(date) ? date : moment.tz(date, mosque.timezone);
+      day = moment.utc(local.format('YYYY-MM-DD'));
+    }
+    return Math.round(day.valueOf() / MS_PER_DAY);
+  }
+
+  fromDayNumber(dayNumber) {
+    return moment.utc(dayNumber * MS_PER_DAY);
+  }
+
+  // Tabular (arithmetical) Islamic calendar conversion
+  tabularToHijri(date) {
+    const julianDay = this.toDayNumber(date) + UNIX_EPOCH_JULIAN_DAY;
+
+    let l = julianDay - 1948440 + 10632;
+    const n = Math.floor((l - 1) / 10631);
+    l = l - 10631 * n + 354;
+    const j = Math.floor((10985 - l) / 5316) * Math.floor((50 * l) / 17719)
+      + Math.floor(l / 5670) * Math.floor((43 * l) / 15238);
+    l = l - Math.floor((30 - j) / 15) * Math.floor((17719 * j) / 50)
+      - Math.floor(j / 16) * Math.floor((15238 * j) / 43) + 29;
+    const month = Math.floor((24 * l) / 709);
+
+    return {
+      day: l - Math.floor((709 * month) / 24),
+      month,
+      year: 30 * n + j - 30
+    };
+  }
+
+  // Day number of the first day of a tabular Hijri month
+  tabularMonthStart(year, month) {
+    const julianDay = Math.ceil(29.5 * (month - 1)) + (year - 1) * 354
+      + Math.floor((3 + 11 * year) / 30) + 1948440;
+    return julianDay - UNIX_EPOCH_JULIAN_DAY;
+  }
+
+  // Months counted from the start of the calendar, so they compare easily
+  monthIndex(year, month) {
+    return year * 12 + month - 1;
+  }
+
+  fromMonthIndex(index) {
+    return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+  }
+
+  // Moon-sighting decisions, cached briefly since every date lookup needs them
+  async getOverrides() {
+    if (!this.overrides || Date.now() - this.overridesLoadedAt > this.OVERRIDES_CACHE_DURATION) {
+      const monthStarts = await HijriMonthStart.getAll();
+      this.overrides = monthStarts.map(monthStart => ({
+        index: this.monthIndex(monthStart.year, monthStart.month),
+        start: this.toDayNumber(monthStart.startDate)
+      }));
+      this.overridesLoadedAt = Date.now();
+    }
+    return this.overrides;
+  }
+
+  clearOverrides() {
+    this.overrides = null;
+  }
+
+  // Day number a Hijri month starts on at the mosque. A month without its
+  // own decision keeps the shift of the last decided month before it.
+  monthStart(index, overrides) {
+    const { year, month } = this.fromMonthIndex(index);
+    const tabularStart = this.tabularMonthStart(year, month);
+
+    let previous = null;
+    for (const override of overrides) {
+      if (override.index === index) {
+        return { start: override.start, overridden: true };
+      }
+      if (override.index < index && (!previous || override.index > previous.index)) {
+        previous = override;
+      }
+    }
+
+    if (!previous) {
+      return { start: tabularStart, overridden: false };
+    }
+    const { year: previousYear, month: previousMonth } = this.fromMonthIndex(previous.index);
+    const shift = previous.start - this.tabularMonthStart(previousYear, previousMonth);
+    return { start: tabularStart + shift, overridden: false };
+  }
+
+  // The Hijri month containing a day number, with its start and length
+  findMonth(dayNumber, overrides) {
+    const tabular = this.tabularToHijri(this.fromDayNumber(dayNumber));
+    let index = this.monthIndex(tabular.year, tabular.month);
+
+    let current = this.monthStart(index, overrides);
+    while (current.start > dayNumber) {
+      index -= 1;
+      current = this.monthStart(index, overrides);
+    }
+    let next = this.monthStart(index + 1, overrides);
+    while (next.start <= dayNumber) {
+      index += 1;
+      current = next;
+      next = this.monthStart(index + 1, overrides);
+    }
+
+    return {
+      ...this.fromMonthIndex(index),
+      start: current.start,
+      length: next.start - current.start,
+      overridden: current.overridden
+    };
+  }
+
+  validateAdjustment(adjustment) {
+    const value = Number(adjustment) || 0;
+    if (!Number.isInteger(value) || Math.abs(value) > MAX_ADJUSTMENT) {
+      throw calendarError(`Adjustment must be a whole number between -${MAX_ADJUSTMENT} and ${MAX_ADJUSTMENT}`, 400);
+    }
+    return value;
+  }
+
+  // Convert a Gregorian date (Date or YYYY-MM-DD) to the mosque's Hijri date.
+  // A positive adjustment moves the Hijri date forward.
+  async toHijri(date, { adjustment = 0 } = {}) {
+    const shift = this.validateAdjustment(adjustment);
+    const dayNumber = this.toDayNumber(date);
+    const month = this.findMonth(dayNumber + shift, await this.getOverrides());
+
+    const hijri = {
+      day: dayNumber + shift - month.start + 1,
+      month: month.month,
+      year: month.year
+    };
+
+    return this.toDateJSON(dayNumber, hijri, { adjustment: shift, overridden: month.overridden });
+  }
+
+  // Convert a Hijri date to the Gregorian date it falls on
+  async toGregorian(year, month, day, { adjustment = 0 } = {}) {
+    const shift = this.validateAdjustment(adjustment);
+    const overrides = await this.getOverrides();
+    const index = this.monthIndex(year, month);
+    const { start, overridden } = this.monthStart(index, overrides);
+    const length = this.monthStart(index + 1, overrides).start - start;
+
+    if (day < 1 || day > length) {
+      throw calendarError(`${HIJRI_MONTHS[month - 1].en} ${year} has ${length} days`, 400);
+    }
+
+    const dayNumber = start + day - 1 - shift;
+    return this.toDateJSON(dayNumber, { day, month, year }, { adjustment: shift, overridden });
+  }
+
+  // Every day of a Hijri month with its Gregorian date
+  async getMonth(year, month, { adjustment = 0 } = {}) {
+    const shift = this.validateAdjustment(adjustment);
+    const overrides = await this.getOverrides();
+    const index = this.monthIndex(year, month);
+    const { start, overridden } = this.monthStart(index, overrides);
+    const length = this.monthStart(index + 1, overrides).start - start;
+
+    const days = [];
+    for (let day = 1; day <= length; day += 1) {
+      days.push(this.toDateJSON(start + day - 1 - shift, { day, month, year }, { adjustment: shift, overridden }));
+    }
+
+    return {
+      year,
+      month: { number: month, ...HIJRI_MONTHS[month - 1] },
+      length,
+      adjustment: shift,
+      overridden,
+      days
+    };
+  }
+
+  // Today's Hijri date. The Gregorian day is taken in the given timezone.
+  async today({ adjustment = 0, timezone = mosque.timezone } = {}) {
+    const zone = moment.tz.zone(timezone) ? timezone : mosque.timezone;
+    return this.toHijri(moment.tz(zone).format('YYYY-MM-DD'), { adjustment });
+  }
+
+  // Record the mosque's moon-sighting decision for a month. Rejected if it
+  // would leave this month or the one before it shorter than 29 or longer
+  // than 30 days.
+  async setMonthStart({ year, month, startDate, note }, setBy) {
+    const index = this.monthIndex(year, month);
+    const start = this.toDayNumber(startDate);
+    const overrides = (await this.getOverrides())
+      .filter(override => override.index !== index)
+      .concat({ index, start });
+
+    for (const checkIndex of [index - 1, index]) {
+      const length = this.monthStart(checkIndex + 1, overrides).start - this.monthStart(checkIndex, overrides).start;
+      if (length < 29 || length > 30) {
+        const { year: checkYear, month: checkMonth } = this.fromMonthIndex(checkIndex);
+        throw calendarError(
+          `${HIJRI_MONTHS[checkMonth - 1].en} ${checkYear} would have ${length} days. Check the start of the months around it.`,
+          400
+        );
+      }
+    }
+
+    const monthStart = await HijriMonthStart.findOneAndUpdate(
+      { year, month },
+      { $set: { startDate, note, setBy } },
+      { new: true, upsert: true, runValidators: true }
+    );
+    this.clearOverrides();
+    return monthStart;
+  }
+
+  async removeMonthStart(year, month) {
+    const monthStart = await HijriMonthStart.findOneAndDelete({ year, month });
+    this.clearOverrides();
+    return monthStart;
+  }
+
+  // Gregorian and Hijri blocks in aladhan's format, plus how the date was found
+  toDateJSON(dayNumber, hijri, { adjustment = 0, overridden = false } = {}) {
+    const day = this.fromDayNumber(dayNumber);
+    return {
+      gregorian: {
+        date: day.format('DD-MM-YYYY'),
+        format: 'DD-MM-YYYY',
+        iso: day.format('YYYY-MM-DD'),
+        day: day.format('DD'),
+        weekday: { en: day.format('dddd') },
+        month: { number: day.month() + 1, en: day.format('MMMM') },
+        year: day.format('YYYY')
+      },
+      hijri: this.formatHijri(day, hijri),
+      adjustment,
+      moonSighting: overridden
+    };
+  }
+
+  // Hijri block in aladhan's format
+  formatHijri(day, hijri) {
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return {
+      date: `${pad(hijri.day)}-${pad(hijri.month)}-${hijri.year}`,
+      format: 'DD-MM-YYYY',
+      day: pad(hijri.day),
+      weekday: HIJRI_WEEKDAYS[day.day()],
+      month: { number: hijri.month, ...HIJRI_MONTHS[hijri.month - 1] },
+      year: String(hijri.year),
+      designation: { abbreviated: 'AH', expanded: 'Anno Hegirae' },
+      holidays: []
+    };
+  }
+}
+
+module.exports = new HijriCalendarService();
@@ -0,0 +1,142 @@
+const moment = require('moment-timezone');
+const JumuahSlot = require('../models/JumuahSlot');
+const TimetableService = require('./TimetableService');
+const mosque = require('../config/mosque');
+
+const FRIDAY = 5;
+
+const jumuahError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// The mosque's Friday congregations. Each congregation has its own khutbah
+// language and times, with separate slots for summer and winter. Users
+// choose a congregation; until the mosque sets any up, Jumu'ah is the
+// timetable's single `jummah` time.
+class JumuahService {
+  constructor() {
+    this.FIELDS = ['congregation', 'label', 'khutbahStart', 'salahTime', 'language', 'imam', 'effectiveFrom', 'effectiveTo', 'isActive'];
+  }
+
+  // The coming Friday (YYYY-MM-DD), the same day on a Friday
+  getFriday(date = null) {
+    const day = moment.utc(TimetableService.toTimetableDate(date));
+    return day.add((FRIDAY - day.day() + 7) % 7, 'days').format('YYYY-MM-DD');
+  }
+
+  isFriday(date) {
+    return moment.utc(TimetableService.toTimetableDate(date)).day() === FRIDAY;
+  }
+
+  // The slots on a Friday, earliest salah first
+  async getSlots(date) {
+    const slots = await JumuahSlot.findForDate(TimetableService.toTimetableDate(date));
+    return slots.map(slot => slot.toSlotJSON());
+  }
+
+  // The user's congregation on a Friday, or the first one if they haven't
+  // chosen or theirs isn't held that day
+  pickSlot(slots, congregation = null) {
+    return slots.find(slot => slot.congregation === congregation) || slots[0] || null;
+  }
+
+  // The coming Friday's slots and the one the user chose. With no slots set
+  // up, the timetable's Jumu'ah time stands in.
+  async getJumuah(date = null, congregation = null) {
+    const friday = this.getFriday(date);
+    const slots = await this.getSlots(friday);
+    if (slots.length) {
+      return { date: friday, slot: this.pickSlot(slots, congregation), slots, source: 'schedule' };
+    }
+
+    const entry = await TimetableService.getDay(friday);
+    const time = entry ? entry.jummah || entry.dhuhr.jamaah : null;
+    return {
+      date: friday,
+      slot: time ? { congregation: null, khutbahStart: null, salahTime: time } : null,
+      slots: [],
+      source: time ? 'timetable' : null
+    };
+  }
+
+  // A slot's time on its day in another timezone, as HH:mm
+  toTimezone(date, time, timezone) {
+    return moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', mosque.timezone).tz(timezone).format('HH:mm');
+  }
+
+  // Every slot, current and past, for the admin screens
+  async listSlots({ from = null } = {}) {
+    const slots = await JumuahSlot.find(from ? { $or: [{ effectiveTo: null }, { effectiveTo: { $gte: from } }] } : {})
+      .sort({ effectiveFrom: 1, salahTime: 1 });
+    return slots.map(slot => slot.toSlotJSON());
+  }
+
+  async createSlot(fields, updatedBy) {
+    const slot = new JumuahSlot({ ...this.pickFields(fields), updatedBy });
+    await this.checkOverlap(slot);
+    return this.saveSlot(slot);
+  }
+
+  // Change the fields given. Returns the slot and the dates it covered
+  // before, whose alerts may need planning again.
+  async updateSlot(id, fields, updatedBy) {
+    const slot = await JumuahSlot.findById(id);
+    if (!slot) {
+      throw jumuahError('Jumu\'ah slot not found', 404);
+    }
+
+    const previous = { effectiveFrom: slot.effectiveFrom, effectiveTo: slot.effectiveTo };
+    Object.assign(slot, this.pickFields(fields), { updatedBy });
+    await this.checkOverlap(slot);
+    return { slot: await this.saveSlot(slot), previous };
+  }
+
+  async removeSlot(id) {
+    const slot = await JumuahSlot.findByIdAndDelete(id);
+    if (!slot) {
+      throw jumuahError('Jumu\'ah slot not found', 404);
+    }
+    return slot;
+  }
+
+  // A congregation can only have one slot in effect on any Friday
+  async checkOverlap(slot) {
+    if (!slot.isActive || !slot.congregation || !slot.effectiveFrom) {
+      return;
+    }
+
+    const [overlapping] = await JumuahSlot.findOverlapping(slot.congregation, slot.effectiveFrom, slot.effectiveTo, slot._id);
+    if (overlapping) {
+      throw jumuahError(
+        `The ${slot.congregation} congregation already has a slot from ${overlapping.effectiveFrom}${overlapping.effectiveTo ? ` to ${overlapping.effectiveTo}` : ''}`,
+        409
+      );
+    }
+  }
+
+  async saveSlot(slot) {
+    try {
+      await slot.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw jumuahError(error.message, 400);
+      }
+      throw error;
+    }
+    return slot.toSlotJSON();
+  }
+
+  pickFields(fields) {
+    const picked = {};
+    this.FIELDS.forEach(field => {
+      if (fields[field] !== undefined) {
+        picked[field] = fields[field];
+      }
+    });
+    return picked;
+  }
+}
+
+module.exports = new JumuahService();
@@ -0,0 +1,306 @@
+const moment = require('moment-timezone');
+const PrayerTimesService = require('./PrayerTimesService');
+const TimetableService = require('./TimetableService');
+const HijriCalendarService = require('./HijriCalendarService');
+const JumuahService = require('./JumuahService');
+const mosque = require('../config/mosque');
+
+const DAILY_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const FRIDAY = 5;
+
+// Live prayer state for the hall screens and the app's home widget, pushed
+// over Server-Sent Events. A fresh `state` goes out at every adhan, jamaah,
+// sunrise and midnight, and after the timetable changes. Other events are
+// kept in a short history, so a client reconnecting with Last-Event-ID
+// gets what it missed.
+class LiveService {
+  constructor() {
+    this.HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle streams
+    this.RECONNECT_DELAY = 5 * 1000; // Sent to clients as `retry`
+    this.RETRY_DELAY = 60 * 1000; // After failing to build the state
+    this.MAX_REFRESH_DELAY = 60 * 60 * 1000;
+    this.HISTORY_SIZE = 100;
+    this.MAX_CLIENTS = Number(process.env.LIVE_MAX_CLIENTS) || 500;
+    this.clients = new Set();
+    this.history = [];
+    // Ids carry on from the clock, so they keep increasing across restarts
+    this.lastEventId = Date.now();
+    this.state = null;
+    this.timer = null;
+    this.heartbeat = null;
+    this.refreshing = null;
+  }
+
+  // Open a stream on `res`, replaying anything sent after `lastEventId`
+  async connect(req, res, lastEventId = null) {
+    if (this.clients.size >= this.MAX_CLIENTS) {
+      const error = new Error('Too many live connections');
+      error.statusCode = 503;
+      throw error;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${this.RECONNECT_DELAY}\n\n`);
+
+    const since = Number(lastEventId);
+    if (lastEventId && Number.isInteger(since)) {
+      this.history
+        .filter(event => event.id > since)
+        .forEach(event => this.write(res, event));
+    }
+
+    this.clients.add(res);
+    req.on('close', () => this.disconnect(res));
+    this.startHeartbeat();
+
+    // The first client after a quiet spell gets a freshly built state
+    if (this.clients.size === 1 || !this.state) {
+      await this.refresh();
+      if (!this.state) {
+        this.write(res, { event: 'unavailable', data: { message: 'Prayer times are temporarily unavailable' } });
+      }
+    } else {
+      this.write(res, { id: this.lastEventId, event: 'state', data: this.state });
+    }
+  }
+
+  disconnect(res) {
+    this.clients.delete(res);
+    if (!this.clients.size) {
+      this.stopTimers();
+    }
+  }
+
+  // The current state, for clients that poll instead of streaming
+  async getState() {
+    if (this.state && Date.parse(this.state.refreshAt) > Date.now()) {
+      return this.state;
+    }
+
+    const state = await this.refresh();
+    if (!state) {
+      const error = new Error('Prayer times are temporarily unavailable');
+      error.statusCode = 503;
+      throw error;
+    }
+    return state;
+  }
+
+  // Rebuild the state and send it to every client. Resolves to the state,
+  // or null if it couldn't be built.
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this.buildState()
+        .then(state => {
+          this.state = state;
+          this.broadcast({ event: 'state', data: state });
+          this.schedule(Date.parse(state.refreshAt));
+          return state;
+        })
+        .catch(error => {
+          console.error('Failed to build live prayer state:', error.message);
+          this.state = null;
+          this.schedule(Date.now() + this.RETRY_DELAY);
+          return null;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+    return this.refreshing;
+  }
+
+  // An admin changed the timetable for these YYYY-MM-DD dates
+  timetableChanged(dates) {
+    this.publish('timetable', { dates });
+    if (this.clients.size) {
+      this.refresh();
+    }
+  }
+
+  // An urgent broadcast, shown on screens straight away
+  announce(broadcast) {
+    this.publish('announcement', {
+      id: broadcast._id,
+      title: broadcast.title,
+      body: broadcast.body,
+      translations: broadcast.translations,
+      sentAt: broadcast.sentAt
+    });
+  }
+
+  // Send an event and keep it for clients that reconnect
+  publish(event, data) {
+    const message = this.broadcast({ event, data });
+    this.history.push(message);
+    if (this.history.length > this.HISTORY_SIZE) {
+      this.history.shift();
+    }
+  }
+
+  broadcast({ event, data }) {
+    this.lastEventId += 1;
+    const message = { id: this.lastEventId, event, data };
+    this.clients.forEach(res => this.write(res, message));
+    return message;
+  }
+
+  write(res, { id, event, data }) {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Compression buffers the response unless it is flushed
+    if (res.flush) {
+      res.flush();
+    }
+  }
+
+  // Refresh just after the next boundary, and at least hourly
+  schedule(at) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (!this.clients.size) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(at - Date.now(), 0) + 500, this.MAX_REFRESH_DELAY);
+    this.timer = setTimeout(() => this.refresh(), delay);
+    this.timer.unref();
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(res => {
+        res.write(': ping\n\n');
+        if (res.flush) {
+          res.flush();
+        }
+      });
+    }, this.HEARTBEAT_INTERVAL);
+    this.heartbeat.unref();
+  }
+
+  stopTimers() {
+    clearTimeout(this.timer);
+    clearInterval(this.heartbeat);
+    this.timer = null;
+    this.heartbeat = null;
+  }
+
+  // Close every stream, on shutdown
+  stop() {
+    this.stopTimers();
+    this.clients.forEach(res => res.end());
+    this.clients.clear();
+  }
+
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      lastEventId: this.lastEventId,
+      refreshAt: this.state ? this.state.refreshAt : null
+    };
+  }
+
+  // The mosque's day: its published adhan times where there are any,
+  // otherwise calculated ones, with the jamaah times
+  async getMosqueDay(day) {
+    const entry = await TimetableService.getDay(day.format('YYYY-MM-DD'));
+    const prayerTimes = entry
+      ? await PrayerTimesService.timetableToPrayerData(entry)
+      : await PrayerTimesService.getPrayerTimes(
+        mosque.latitude, mosque.longitude, day.format('DD-MM-YYYY'), null, mosque.timezone
+      );
+
+    const jamaah = entry ? entry.getJamaahTimes() : null;
+    // Jumu'ah replaces the Dhuhr jamaah on Fridays, the first congregation's
+    // salah where the mosque runs more than one
+    if (jamaah && day.day() === FRIDAY) {
+      const [slot] = await JumuahService.getSlots(day.format('YYYY-MM-DD'));
+      jamaah.dhuhr = slot ? slot.salahTime : jamaah.jummah || jamaah.dhuhr;
+    }
+    return { prayerTimes, jamaah };
+  }
+
+  async buildState(now = new Date()) {
+    const zone = mosque.timezone;
+    const today = moment.tz(now, zone).startOf('day');
+    const days = await Promise.all([-1, 0, 1].map(offset => this.getMosqueDay(today.clone().add(offset, 'day'))));
+    const [yesterday, current, tomorrow] = days;
+
+    const next = await PrayerTimesService.getNextPrayer(current.prayerTimes, {
+      timezone: zone,
+      now,
+      loadDay: async offset => (offset > 0 ? tomorrow : yesterday).prayerTimes
+    });
+    if (!next) {
+      throw new Error('Could not work out the next prayer');
+    }
+
+    const dayOf = at => days.find(({ prayerTimes }) => prayerTimes.date.gregorian.date === moment.parseZone(at).format('DD-MM-YYYY'));
+    const jamaahAt = (day, prayer) => {
+      const time = day && day.jamaah && day.jamaah[prayer];
+      return time ? moment.tz(`${day.prayerTimes.date.gregorian.date} ${time}`, 'DD-MM-YYYY HH:mm', zone) : null;
+    };
+    const toJamaahJSON = at => (at ? { time: at.format('HH:mm'), at: at.format() } : null);
+
+    const nextJamaah = jamaahAt(dayOf(next.at), next.prayer);
+    const currentJamaah = next.current ? jamaahAt(dayOf(next.current.start), next.current.prayer) : null;
+
+    // The next jamaah still to come: the current prayer's, then the next one's
+    const nowMoment = moment.tz(now, zone);
+    const upcoming = [[next.current && next.current.prayer, currentJamaah], [next.prayer, nextJamaah]]
+      .find(([, at]) => at && at.isAfter(nowMoment));
+
+    // Everything that changes what a screen shows, including midnight
+    const boundaries = days.flatMap(day => [
+      ...DAILY_PRAYERS.flatMap(prayer => [
+        PrayerTimesService.getPrayerMoment(day.prayerTimes, prayer, zone),
+        jamaahAt(day, prayer)
+      ]),
+      PrayerTimesService.getPrayerMoment(day.prayerTimes, 'sunrise', zone)
+    ]);
+    boundaries.push(today.clone().add(1, 'day'));
+    const refreshAt = moment.min(boundaries.filter(at => at && at.isValid() && at.isAfter(nowMoment)));
+
+    const { hijri } = await HijriCalendarService.toHijri(current.prayerTimes.date.gregorian.date);
+
+    return {
+      timezone: zone,
+      generatedAt: nowMoment.format(),
+      date: {
+        gregorian: today.format('YYYY-MM-DD'),
+        hijri
+      },
+      current: next.current && { ...next.current, jamaah: toJamaahJSON(currentJamaah) },
+      next: {
+        prayer: next.prayer,
+        time: next.time,
+        at: next.at,
+        isTomorrow: next.isTomorrow,
+        jamaah: toJamaahJSON(nextJamaah)
+      },
+      countdown: {
+        adhan: { prayer: next.prayer, at: next.at, minutesRemaining: next.minutesRemaining },
+        jamaah: upcoming ? {
+          prayer: upcoming[0],
+          at: upcoming[1].format(),
+          minutesRemaining: Math.ceil(upcoming[1].diff(nowMoment, 'seconds') / 60)
+        } : null
+      },
+      prayers: current.prayerTimes.prayers,
+      jamaah: current.jamaah,
+      source: current.prayerTimes.source,
+      stale: current.prayerTimes.stale,
+      refreshAt: refreshAt.format()
+    };
+  }
+}
+
+module.exports = new LiveService();
@@ -0,0 +1,86 @@
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'locales');
+const SUPPORTED_LANGUAGES = ['en', 'ar', 'ur'];
+const DEFAULT_LANGUAGE = 'en';
+
+class LocalizationService {
+  constructor() {
+    this.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+    this.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+    this.catalogues = {};
+
+    SUPPORTED_LANGUAGES.forEach(language => {
+      this.catalogues[language] = require(path.join(LOCALES_DIR, `${language}.json`));
+    });
+  }
+
+  resolveLanguage(language) {
+    return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+  }
+
+  // Translate a dotted key, e.g. t('ur', 'prayer.adhan.fajr.title', { time }).
+  // Missing keys fall back to English. Plural entries are chosen by
+  // `params.count`, and numbers are written in the language's digits.
+  t(language, key, params = {}) {
+    const lang = this.resolveLanguage(language);
+    let entry = this.lookup(lang, key);
+    let entryLanguage = lang;
+
+    if (entry === undefined && lang !== DEFAULT_LANGUAGE) {
+      entry = this.lookup(DEFAULT_LANGUAGE, key);
+      entryLanguage = DEFAULT_LANGUAGE;
+    }
+    if (entry === undefined) {
+      return key;
+    }
+
+    if (typeof entry === 'object') {
+      const category = new Intl.PluralRules(entryLanguage).select(Number(params.count) || 0);
+      entry = entry[category] ?? entry.other;
+    }
+
+    return this.interpolate(lang, entry, params);
+  }
+
+  // True if the key exists in the language or in the English fallback
+  has(language, key) {
+    return this.lookup(this.resolveLanguage(language), key) !== undefined
+      || this.lookup(DEFAULT_LANGUAGE, key) !== undefined;
+  }
+
+  lookup(language, key) {
+    return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), this.catalogues[language]);
+  }
+
+  interpolate(language, template, params) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return typeof value === 'number' ? this.formatNumber(language, value) : String(value);
+    });
+  }
+
+  // Swap ASCII digits for the language's own, e.g. 18:30 -> ١٨:٣٠
+  localizeDigits(language, text) {
+    const digits = this.catalogues[this.resolveLanguage(language)].meta.digits;
+    return String(text).replace(/[0-9]/g, digit => digits[Number(digit)]);
+  }
+
+  formatNumber(language, value) {
+    return this.localizeDigits(language, value);
+  }
+
+  // Times are kept as 24-hour HH:mm, written in the language's digits
+  formatTime(language, time) {
+    return time ? this.localizeDigits(language, time) : time;
+  }
+
+  getDirection(language) {
+    return this.catalogues[this.resolveLanguage(language)].meta.direction;
+  }
+}
+
+module.exports = new LocalizationService();
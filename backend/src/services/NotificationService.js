@@ -1,78 +1,68 @@
-const admin = require('firebase-admin');
-const apn = require('apn');
+const UserPreferences = require('../models/UserPreferences');
+const Device = require('../models/Device');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const DeferredNotification = require('../models/DeferredNotification');
+const QuietHoursService = require('./QuietHoursService');
+const LocalizationService = require('./LocalizationService');
+const RamadanService = require('./RamadanService');
+const FcmTransport = require('./transports/FcmTransport');
+const ApnsTransport = require('./transports/ApnsTransport');
+const CaptureTransport = require('./transports/CaptureTransport');
+
+// Error codes meaning a device token will never work again
+const INVALID_TOKEN_ERRORS = {
+  android: ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'],
+  ios: ['BadDeviceToken', 'Unregistered']
+};
 
 class NotificationService {
   constructor() {
-    this.initializeFirebase();
-    this.initializeAPNS();
+    // Outside production notifications are captured in memory unless
+    // PUSH_TRANSPORT=live, so no credentials are needed to run the server
+    this.useTransport(process.env.PUSH_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'live' : 'capture'));
   }
 
-  initializeFirebase() {
-    try {
-      if (!admin.apps.length) {
-        admin.initializeApp({
-          credential: admin.credential.cert({
-            projectId: process.env.FIREBASE_PROJECT_ID,
-            privateKeyId: process.env.FIREBASE_PRIVATE_KEY_ID,
-            privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-            clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
-            clientId: process.env.FIREBASE_CLIENT_ID,
-            authUri: process.env.FIREBASE_AUTH_URI,
-            tokenUri: process.env.FIREBASE_TOKEN_URI
-          })
-        });
-      }
-      console.log('Firebase Admin initialized successfully');
-    } catch (error) {
-      console.error('Failed to initialize Firebase Admin:', error.message);
+  // Switch between 'live' (FCM and APNs) and 'capture'
+  useTransport(mode) {
+    if (!['live', 'capture'].includes(mode)) {
+      throw new Error(`Unknown push transport: ${mode}`);
     }
+
+    this.transportMode = mode;
+    this.transports = mode === 'capture'
+      ? { android: CaptureTransport.forPlatform('android'), ios: CaptureTransport.forPlatform('ios') }
+      : { android: FcmTransport, ios: ApnsTransport };
   }
 
-  initializeAPNS() {
-    try {
-      if (process.env.APNS_PRIVATE_KEY_PATH) {
-        this.apnProvider = new apn.Provider({
-          token: {
-            key: process.env.APNS_PRIVATE_KEY_PATH,
-            keyId: process.env.APNS_KEY_ID,
-            teamId: process.env.APNS_TEAM_ID
-          },
-          production: process.env.APNS_ENVIRONMENT === 'production'
-        });
-        console.log('APNS Provider initialized successfully');
-      }
-    } catch (error) {
-      console.error('Failed to initialize APNS Provider:', error.message);
-    }
+  async shutdown() {
+    await Promise.all(Object.values(this.transports).map(transport => transport.shutdown()));
   }
 
-  // Send prayer time notification
-  async sendPrayerNotification(userPreferences, prayer, prayerTime) {
+  // Send prayer time notification. `expiresAt` is when the alert stops
+  // being useful; quiet hours can only defer it until then. With a jamaah
+  // reference the message counts down to the jamaah instead of the adhan.
+  async sendPrayerNotification(userPreferences, prayer, prayerTime, { expiresAt = new Date(), reference = 'adhan', alertMinutes = 0 } = {}) {
     try {
-      const { notifications, deviceTokens, preferences } = userPreferences;
+      const { notifications, preferences } = userPreferences;
       
       if (!notifications[prayer]?.enabled) {
         return { success: false, message: 'Notification disabled for this prayer' };
       }
 
-      const message = this.createPrayerMessage(prayer, prayerTime, preferences.language);
-      const results = [];
+      const message = this.createPrayerMessage(prayer, prayerTime, preferences.language, { reference, minutes: alertMinutes });
 
-      // Send to Android device
-      if (deviceTokens.android) {
-        const androidResult = await this.sendAndroidNotification(deviceTokens.android, message);
-        results.push({ platform: 'android', ...androidResult });
+      const held = await this.applyQuietHours(userPreferences, prayer, message, expiresAt);
+      if (held) {
+        return held;
       }
 
-      // Send to iOS device
-      if (deviceTokens.ios) {
-        const iosResult = await this.sendIOSNotification(deviceTokens.ios, message);
-        results.push({ platform: 'ios', ...iosResult });
-      }
+      const results = await this.sendToDevices(userPreferences, message);
+      const success = results.some(result => result.success);
 
       return {
-        success: true,
-        message: 'Notifications sent',
+        success,
+        message: success ? 'Notifications sent' : 'No device received the notification',
         results
       };
     } catch (error) {
@@ -88,30 +78,28 @@ class NotificationService {
   // Send event notification
   async sendEventNotification(userPreferences, event) {
     try {
-      const { eventNotifications, deviceTokens, preferences } = userPreferences;
+      const { eventNotifications, preferences } = userPreferences;
       
-      if (!eventNotifications.enabled || !eventNotifications.categories[event.category]) {
+      // Events carry their own category (e.g. "lecture"), which maps onto
+      // one of the user's notification category flags
+      const category = event.notificationCategory || event.category;
+      if (!eventNotifications.enabled || !eventNotifications.categories[category]) {
         return { success: false, message: 'Event notifications disabled' };
       }
 
       const message = this.createEventMessage(event, preferences.language);
-      const results = [];
 
-      // Send to Android device
-      if (deviceTokens.android) {
-        const androidResult = await this.sendAndroidNotification(deviceTokens.android, message);
-        results.push({ platform: 'android', ...androidResult });
+      const held = await this.applyQuietHours(userPreferences, category, message);
+      if (held) {
+        return held;
       }
 
-      // Send to iOS device
-      if (deviceTokens.ios) {
-        const iosResult = await this.sendIOSNotification(deviceTokens.ios, message);
-        results.push({ platform: 'ios', ...iosResult });
-      }
+      const results = await this.sendToDevices(userPreferences, message);
+      const success = results.some(result => result.success);
 
       return {
-        success: true,
-        message: 'Event notifications sent',
+        success,
+        message: success ? 'Event notifications sent' : 'No device received the event notification',
         results
       };
     } catch (error) {
@@ -124,112 +112,186 @@ class NotificationService {
     }
   }
 
-  // Send Android notification via Firebase
-  async sendAndroidNotification(token, message) {
-    try {
-      const payload = {
-        notification: {
-          title: message.title,
-          body: message.body
-        },
-        data: {
-          type: message.type,
-          prayer: message.prayer || '',
-          eventId: message.eventId || '',
-          clickAction: message.clickAction || 'FLUTTER_NOTIFICATION_CLICK'
-        },
-        android: {
-          notification: {
-            icon: 'ic_mosque',
-            color: '#4CAF50',
-            sound: message.sound || 'default',
-            channelId: message.channelId || 'prayer_notifications'
-          },
-          priority: 'high'
-        },
-        token
-      };
+  // Hold back a message that falls in the user's quiet hours. Returns the
+  // result to report, or null if the message can go out now.
+  async applyQuietHours(userPreferences, category, message, expiresAt = null) {
+    const window = QuietHoursService.getQuietWindow(userPreferences, category);
+    if (!window) {
+      return null;
+    }
+
+    if (userPreferences.quietHours.mode === 'defer' && (!expiresAt || window.end < expiresAt)) {
+      await DeferredNotification.create({
+        userId: userPreferences.userId,
+        category,
+        message,
+        deliverAt: window.end,
+        expiresAt
+      });
 
-      const response = await admin.messaging().send(payload);
       return {
         success: true,
-        messageId: response,
-        token: token.substring(0, 10) + '...'
-      };
-    } catch (error) {
-      console.error('Android notification error:', error);
-      return {
-        success: false,
-        error: error.message
+        deferred: true,
+        reason: 'quiet_hours',
+        message: 'Deferred until quiet hours end',
+        deliverAt: window.end
       };
     }
+
+    return {
+      success: false,
+      suppressed: true,
+      reason: userPreferences.quietHours.mode === 'defer' ? 'quiet_hours_outlast_alert' : 'quiet_hours',
+      message: 'Suppressed by quiet hours',
+      quietUntil: window.end
+    };
   }
 
-  // Send iOS notification via APNS
-  async sendIOSNotification(token, message) {
-    try {
-      if (!this.apnProvider) {
-        throw new Error('APNS Provider not initialized');
+  // Every device a user can be reached on: their registered devices, plus
+  // any token still stored in the older single-token deviceTokens field
+  async getDeliveryTargets(userPreferences) {
+    const { userId, deviceTokens = {} } = userPreferences;
+    const devices = await Device.findActiveForUser(userId);
+
+    const targets = devices.map(device => ({
+      deviceId: device.deviceId,
+      platform: device.platform,
+      token: device.token
+    }));
+
+    ['android', 'ios'].forEach(platform => {
+      const token = deviceTokens[platform];
+      if (token && !targets.some(target => target.token === token)) {
+        targets.push({ deviceId: null, platform, token });
       }
+    });
 
-      const notification = new apn.Notification();
-      notification.alert = {
-        title: message.title,
-        body: message.body
-      };
-      notification.badge = 1;
-      notification.sound = message.sound || 'default';
-      notification.topic = process.env.APNS_BUNDLE_ID;
-      notification.payload = {
+    return targets;
+  }
+
+  // Send a message to each of the user's devices, log every send and
+  // clear tokens that the push services report as dead
+  async sendToDevices(userPreferences, message) {
+    const { userId } = userPreferences;
+    const targets = await this.getDeliveryTargets(userPreferences);
+    const results = [];
+    const deliveries = [];
+
+    for (const { deviceId, platform, token } of targets) {
+      const result = platform === 'android'
+        ? await this.sendAndroidNotification(token, message)
+        : await this.sendIOSNotification(token, message);
+
+      const tokenRemoved = INVALID_TOKEN_ERRORS[platform].includes(result.errorCode)
+        && await this.removeDeviceToken(userId, platform, token, deviceId, result.errorCode);
+
+      results.push({
+        platform,
+        ...(deviceId && { deviceId }),
+        ...result,
+        ...(tokenRemoved && { tokenRemoved })
+      });
+      deliveries.push({
+        userId,
+        deviceId,
+        platform,
         type: message.type,
-        prayer: message.prayer || '',
-        eventId: message.eventId || ''
-      };
+        prayer: message.prayer,
+        eventId: message.eventId,
+        tokenSuffix: token.slice(-6),
+        success: result.success,
+        messageId: result.messageId,
+        errorCode: result.errorCode,
+        errorMessage: result.error,
+        tokenRemoved: Boolean(tokenRemoved)
+      });
+    }
 
-      const result = await this.apnProvider.send(notification, token);
-      
-      return {
-        success: result.sent.length > 0,
-        sent: result.sent.length,
-        failed: result.failed.length,
-        errors: result.failed.map(f => f.error)
-      };
+    await this.recordDeliveries(deliveries);
+    return results;
+  }
+
+  // Clear a dead token, unless the device has registered a new one since.
+  // Registered devices are deactivated; legacy tokens are unset.
+  async removeDeviceToken(userId, platform, token, deviceId, reason) {
+    try {
+      let removed;
+      if (deviceId) {
+        removed = await Device.deactivateToken(userId, deviceId, token, reason);
+      } else {
+        const result = await UserPreferences.updateOne(
+          { userId, [`deviceTokens.${platform}`]: token },
+          { $unset: { [`deviceTokens.${platform}`]: '' } }
+        );
+        removed = result.modifiedCount > 0;
+      }
+      if (removed) {
+        console.log(`Removed invalid ${platform} token for ${userId}`);
+      }
+      return removed;
     } catch (error) {
-      console.error('iOS notification error:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+      console.error(`Failed to remove ${platform} token for ${userId}:`, error.message);
+      return false;
+    }
+  }
+
+  // A failure to write the log must never stop notifications going out
+  async recordDeliveries(deliveries) {
+    if (!deliveries.length) {
+      return;
+    }
+    try {
+      await NotificationDelivery.insertMany(deliveries, { ordered: false });
+    } catch (error) {
+      console.error('Failed to record notification deliveries:', error.message);
     }
   }
 
+  // Send Android notification via Firebase
+  async sendAndroidNotification(token, message) {
+    return this.transports.android.send(token, message);
+  }
+
+  // Send iOS notification via APNS
+  async sendIOSNotification(token, message) {
+    return this.transports.ios.send(token, message);
+  }
+
   // Create prayer notification message
-  createPrayerMessage(prayer, prayerTime, language = 'en') {
-    const messages = {
-      en: {
-        fajr: { title: '🌅 Fajr Prayer Time', body: `Fajr prayer time is at ${prayerTime}. Prepare for prayer.` },
-        dhuhr: { title: '☀️ Dhuhr Prayer Time', body: `Dhuhr prayer time is at ${prayerTime}. Time for midday prayer.` },
-        asr: { title: '🌤️ Asr Prayer Time', body: `Asr prayer time is at ${prayerTime}. Afternoon prayer time.` },
-        maghrib: { title: '🌅 Maghrib Prayer Time', body: `Maghrib prayer time is at ${prayerTime}. Sunset prayer time.` },
-        isha: { title: '🌙 Isha Prayer Time', body: `Isha prayer time is at ${prayerTime}. Night prayer time.` },
-        jumma: { title: '🕌 Jumma Prayer', body: `Jumma prayer is at ${prayerTime}. Don't miss the Friday congregation.` }
-      },
-      ar: {
-        fajr: { title: '🌅 صلاة الفجر', body: `وقت صلاة الفجر ${prayerTime}. استعد للصلاة.` },
-        dhuhr: { title: '☀️ صلاة الظهر', body: `وقت صلاة الظهر ${prayerTime}. وقت صلاة الظهيرة.` },
-        asr: { title: '🌤️ صلاة العصر', body: `وقت صلاة العصر ${prayerTime}. وقت صلاة بعد الظهر.` },
-        maghrib: { title: '🌅 صلاة المغرب', body: `وقت صلاة المغرب ${prayerTime}. وقت صلاة الغروب.` },
-        isha: { title: '🌙 صلاة العشاء', body: `وقت صلاة العشاء ${prayerTime}. وقت صلاة الليل.` },
-        jumma: { title: '🕌 صلاة الجمعة', body: `صلاة الجمعة ${prayerTime}. لا تفوت جماعة الجمعة.` }
-      }
+  createPrayerMessage(prayer, prayerTime, language = 'en', { reference = 'adhan', minutes = 0 } = {}) {
+    if (RamadanService.ALERTS.includes(prayer)) {
+      return this.createRamadanMessage(prayer, prayerTime, language, minutes);
+    }
+    if (reference === 'jamaah') {
+      return this.createJamaahMessage(prayer, prayerTime, language, minutes);
+    }
+
+    const key = LocalizationService.has(language, `prayer.adhan.${prayer}`) ? prayer : 'fajr';
+    const params = { time: LocalizationService.formatTime(language, prayerTime) };
+
+    return {
+      title: LocalizationService.t(language, `prayer.adhan.${key}.title`, params),
+      body: LocalizationService.t(language, `prayer.adhan.${key}.body`, params),
+      type: 'prayer_notification',
+      prayer,
+      sound: 'default',
+      channelId: 'prayer_notifications',
+      clickAction: 'OPEN_PRAYER_TIMES'
     };
+  }
 
-    const prayerMessages = messages[language] || messages.en;
-    const prayerMessage = prayerMessages[prayer] || prayerMessages.fajr;
+  // Create a message counting down to the jamaah, e.g. "Isha jamaah at 18:30 in 10 minutes"
+  createJamaahMessage(prayer, jamaahTime, language = 'en', minutes = 0) {
+    const key = LocalizationService.has(language, `prayers.${prayer}`) ? prayer : 'fajr';
+    const params = {
+      prayer: LocalizationService.t(language, `prayers.${key}`),
+      time: LocalizationService.formatTime(language, jamaahTime),
+      count: minutes
+    };
 
     return {
-      title: prayerMessage.title,
-      body: prayerMessage.body,
+      title: LocalizationService.t(language, 'prayer.jamaah.title', params),
+      body: LocalizationService.t(language, minutes > 0 ? 'prayer.jamaah.body' : 'prayer.jamaah.bodyNow', params),
       type: 'prayer_notification',
       prayer,
       sound: 'default',
@@ -238,26 +300,38 @@ class NotificationService {
     };
   }
 
-  // Create event notification message
-  createEventMessage(event, language = 'en') {
-    const eventMessages = {
-      en: {
-        title: `🕌 ${event.title}`,
-        body: `${event.description}. ${event.date ? `Date: ${event.date}` : ''}`
-      },
-      ar: {
-        title: `🕌 ${event.title}`,
-        body: `${event.description}. ${event.date ? `التاريخ: ${event.date}` : ''}`
-      }
+  // Create a Suhoor, Iftar or Taraweeh message, e.g. "Suhoor ends in 30 minutes, at 04:12"
+  createRamadanMessage(alert, time, language = 'en', minutes = 0) {
+    const params = { time: LocalizationService.formatTime(language, time), count: minutes };
+
+    return {
+      title: LocalizationService.t(language, `ramadan.${alert}.title`, params),
+      body: LocalizationService.t(language, `ramadan.${alert}.${minutes > 0 ? 'body' : 'bodyNow'}`, params),
+      type: 'ramadan_notification',
+      prayer: alert,
+      sound: 'default',
+      channelId: 'prayer_notifications',
+      clickAction: 'OPEN_PRAYER_TIMES'
     };
+  }
+
+  // Create event notification message, using the event's translation
+  // for the user's language when it has one
+  createEventMessage(event, language = 'en') {
+    const translation = event.translations?.[language] || {};
+    const title = translation.title || event.title;
+    const description = translation.description || event.description;
 
-    const message = eventMessages[language] || eventMessages.en;
+    const body = [
+      description,
+      event.date ? LocalizationService.t(language, 'event.date', { date: event.date }) : null
+    ].filter(Boolean).join('. ');
 
     return {
-      title: message.title,
-      body: message.body,
+      title: LocalizationService.t(language, 'event.title', { title }),
+      body,
       type: 'event_notification',
-      eventId: event._id,
+      eventId: event._id ? String(event._id) : '',
       sound: 'default',
       channelId: 'event_notifications',
       clickAction: 'OPEN_EVENTS'
@@ -266,9 +340,10 @@ class NotificationService {
 
   // Send test notification
   async sendTestNotification(userPreferences, prayer = 'fajr') {
+    const language = userPreferences.preferences?.language;
     const testMessage = {
-      title: '🧪 Test Notification',
-      body: 'This is a test notification from Central Mosque Rochdale app.',
+      title: LocalizationService.t(language, 'test.title'),
+      body: LocalizationService.t(language, 'test.body'),
       type: 'test_notification',
       prayer,
       sound: 'default',
@@ -276,20 +351,7 @@ class NotificationService {
       clickAction: 'OPEN_APP'
     };
 
-    const results = [];
-    const { deviceTokens } = userPreferences;
-
-    // Send to Android device
-    if (deviceTokens.android) {
-      const androidResult = await this.sendAndroidNotification(deviceTokens.android, testMessage);
-      results.push({ platform: 'android', ...androidResult });
-    }
-
-    // Send to iOS device
-    if (deviceTokens.ios) {
-      const iosResult = await this.sendIOSNotification(deviceTokens.ios, testMessage);
-      results.push({ platform: 'ios', ...iosResult });
-    }
+    const results = await this.sendToDevices(userPreferences, testMessage);
 
     return {
       success: results.some(r => r.success),
@@ -0,0 +1,320 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const UserPreferences = require('../models/UserPreferences');
+const PrayerAlert = require('../models/PrayerAlert');
+const DeferredNotification = require('../models/DeferredNotification');
+const NotificationService = require('./NotificationService');
+const PrayerTimesService = require('./PrayerTimesService');
+const TimetableService = require('./TimetableService');
+const RamadanService = require('./RamadanService');
+const JumuahService = require('./JumuahService');
+const mosque = require('../config/mosque');
+
+const DAILY_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+const FRIDAY = 5;
+
+class PrayerAlertScheduler {
+  constructor() {
+    this.PLANNING_DAYS = 2; // Today and tomorrow in each user's timezone
+    this.MISSED_ALERT_GRACE = 5 * 60 * 1000; // Don't send alerts more than 5 minutes late
+    this.DEFAULT_TIMEZONE = 'Europe/London';
+    this.tasks = [];
+    this.isDispatching = false;
+    this.isPlanning = false;
+  }
+
+  // Start the cron jobs: dispatch every minute, re-plan every hour
+  start() {
+    if (this.tasks.length) {
+      return;
+    }
+
+    this.tasks.push(cron.schedule('* * * * *', () => this.dispatchDueAlerts()));
+    this.tasks.push(cron.schedule('5 * * * *', () => this.planAllUsers()));
+
+    // Plan straight away so alerts survive a restart without waiting an hour
+    this.planAllUsers().then(() => this.dispatchDueAlerts());
+
+    console.log('⏰ Prayer alert scheduler started');
+  }
+
+  // Stop all cron jobs
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+
+  // Plan alerts for every active user
+  async planAllUsers(now = new Date()) {
+    if (this.isPlanning) {
+      return;
+    }
+
+    this.isPlanning = true;
+    try {
+      const users = await UserPreferences.getActiveUsers().lean();
+
+      for (const user of users) {
+        try {
+          await this.planUser(user, now);
+        } catch (error) {
+          console.error(`Failed to plan prayer alerts for ${user.userId}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Error planning prayer alerts:', error.message);
+    } finally {
+      this.isPlanning = false;
+    }
+  }
+
+  // Plan today's and tomorrow's alerts for a single user
+  async planUser(user, now = new Date()) {
+    const timezone = this.getUserTimezone(user);
+    const today = moment.tz(now, timezone).startOf('day');
+    const earliestFireAt = new Date(now.getTime() - this.MISSED_ALERT_GRACE);
+
+    for (let offset = 0; offset < this.PLANNING_DAYS; offset++) {
+      const day = today.clone().add(offset, 'days');
+      const alerts = await this.buildDailyAlerts(user, day);
+
+      for (const alert of alerts) {
+        if (alert.fireAt < earliestFireAt) {
+          continue;
+        }
+
+        try {
+          // $setOnInsert keeps alerts that were already sent untouched
+          await PrayerAlert.updateOne(
+            { userId: user.userId, date: alert.date, prayer: alert.prayer },
+            { $setOnInsert: alert },
+            { upsert: true }
+          );
+        } catch (error) {
+          // Another instance planned the same alert first
+          if (error.code !== 11000) {
+            throw error;
+          }
+        }
+      }
+    }
+  }
+
+  // Work out which alerts a user should get on a given local day
+  async buildDailyAlerts(user, day) {
+    const timezone = day.tz();
+    const { notifications = {}, location, preferences = {} } = user;
+
+    const prayers = DAILY_PRAYERS.filter(prayer => notifications[prayer]?.enabled);
+    if (day.day() === FRIDAY && notifications.jumma?.enabled) {
+      prayers.push('jumma');
+    }
+    const ramadanAlerts = RamadanService.ALERTS.filter(alert => notifications[alert]?.enabled);
+
+    if (!prayers.length && !ramadanAlerts.length) {
+      return [];
+    }
+
+    const prayerTimes = await PrayerTimesService.getPrayerTimes(
+      location.latitude,
+      location.longitude,
+      day.format('DD-MM-YYYY'),
+      preferences.prayerTimeCalculationMethod,
+      timezone
+    );
+
+    // Jamaah times come from the mosque timetable. Days the mosque hasn't
+    // published yet fall back to the adhan.
+    const wantsJamaah = prayers.some(prayer => notifications[prayer].reference === 'jamaah');
+    const jamaahTimes = wantsJamaah ? await TimetableService.getJamaahTimes(day.format('YYYY-MM-DD')) : null;
+
+    const slots = prayers.map(prayer => {
+      const jamaahTime = notifications[prayer].reference === 'jamaah' && jamaahTimes
+        ? jamaahTimes[prayer === 'jumma' ? 'jummah' : prayer]
+        : null;
+      return {
+        prayer,
+        time: jamaahTime || prayerTimes.prayers[prayer],
+        reference: jamaahTime ? 'jamaah' : 'adhan'
+      };
+    });
+
+    // Jumu'ah follows the user's congregation where the mosque has set them
+    // up: the adhan is given as the khutbah starts, the jamaah is the salah
+    if (prayers.includes('jumma')) {
+      const jumuah = await JumuahService.getSlots(day.format('YYYY-MM-DD'));
+      const slot = JumuahService.pickSlot(jumuah, preferences.jumuahCongregation);
+      if (slot) {
+        const reference = notifications.jumma.reference === 'jamaah' ? 'jamaah' : 'adhan';
+        slots[prayers.indexOf('jumma')] = {
+          prayer: 'jumma',
+          time: reference === 'jamaah' ? slot.salahTime : slot.khutbahStart,
+          reference,
+          zone: mosque.timezone
+        };
+      }
+    }
+
+    // Suhoor, Iftar and Taraweeh only exist on Ramadan days and nights
+    if (ramadanAlerts.length) {
+      const ramadanTimes = await RamadanService.getAlertTimes(day.format('YYYY-MM-DD'), prayerTimes);
+      ramadanAlerts
+        .filter(alert => ramadanTimes[alert])
+        .forEach(alert => slots.push({ prayer: alert, ...ramadanTimes[alert] }));
+    }
+
+    // Times the day doesn't have, e.g. Isha near the poles in summer, get no alert
+    return slots
+      .filter(slot => slot.time)
+      .map(({ prayer, time, reference, zone }) => {
+        const alertMinutes = notifications[prayer].alertMinutes || 0;
+        const prayerMoment = moment.tz(
+          `${day.format('YYYY-MM-DD')} ${time}`,
+          'YYYY-MM-DD HH:mm',
+          zone || (reference === 'jamaah' ? mosque.timezone : timezone)
+        );
+
+        return {
+          userId: user.userId,
+          prayer,
+          date: day.format('YYYY-MM-DD'),
+          timezone,
+          prayerTime: time,
+          reference,
+          alertMinutes,
+          fireAt: prayerMoment.subtract(alertMinutes, 'minutes').toDate(),
+          status: 'pending'
+        };
+      });
+  }
+
+  // Drop a user's pending alerts and plan again from their current settings
+  async replanUser(userId) {
+    await PrayerAlert.cancelPendingForUser(userId);
+
+    const user = await UserPreferences.findByUserId(userId).lean();
+    if (user) {
+      await this.planUser(user);
+    }
+  }
+
+  // Plan again every pending alert on dates whose timetable changed, so
+  // they follow the new times
+  timetableChanged(dates) {
+    return this.replanPending({ date: { $in: dates } }, 'a timetable change');
+  }
+
+  // Plan again the pending Jumu'ah alerts on the dates of changed slots,
+  // before and after the change
+  jumuahChanged(slots) {
+    return this.replanPending({
+      prayer: 'jumma',
+      $or: slots.map(({ effectiveFrom, effectiveTo }) => ({
+        date: { $gte: effectiveFrom, ...(effectiveTo && { $lte: effectiveTo }) }
+      }))
+    }, 'a Jumu\'ah change');
+  }
+
+  // Drop the pending alerts matching `match` and plan their users again.
+  // Sent and claimed alerts stay as they are.
+  async replanPending(match, reason) {
+    try {
+      const userIds = await PrayerAlert.distinct('userId', { ...match, status: 'pending' });
+      if (!userIds.length) {
+        return;
+      }
+
+      await PrayerAlert.cancelPending(userIds, match);
+      const users = await UserPreferences.find({ userId: { $in: userIds }, isActive: true }).lean();
+
+      for (const user of users) {
+        try {
+          await this.planUser(user);
+        } catch (error) {
+          console.error(`Failed to re-plan prayer alerts for ${user.userId}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error(`Error re-planning prayer alerts after ${reason}:`, error.message);
+    }
+  }
+
+  // Send every alert that is due, then anything quiet hours held back
+  async dispatchDueAlerts(now = new Date()) {
+    if (this.isDispatching) {
+      return;
+    }
+
+    this.isDispatching = true;
+    try {
+      await PrayerAlert.markMissed(new Date(now.getTime() - this.MISSED_ALERT_GRACE));
+
+      let alert = await PrayerAlert.claimNextDue(now);
+      while (alert) {
+        await this.sendAlert(alert);
+        alert = await PrayerAlert.claimNextDue(now);
+      }
+
+      await DeferredNotification.markExpired(now);
+
+      let deferred = await DeferredNotification.claimNextDue(now);
+      while (deferred) {
+        await this.sendDeferred(deferred);
+        deferred = await DeferredNotification.claimNextDue(now);
+      }
+    } catch (error) {
+      console.error('Error dispatching prayer alerts:', error.message);
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  // Send a single claimed alert and record the outcome
+  async sendAlert(alert) {
+    try {
+      const user = await UserPreferences.findByUserId(alert.userId);
+
+      if (!user || !user.notifications[alert.prayer]?.enabled) {
+        alert.status = 'cancelled';
+        return await alert.save();
+      }
+
+      // The alert is pointless once the prayer has started
+      const expiresAt = new Date(alert.fireAt.getTime() + alert.alertMinutes * 60 * 1000);
+      const result = await NotificationService.sendPrayerNotification(user, alert.prayer, alert.prayerTime, {
+        expiresAt,
+        reference: alert.reference,
+        alertMinutes: alert.alertMinutes
+      });
+      return await alert.markSent(result);
+    } catch (error) {
+      console.error(`Error sending ${alert.prayer} alert to ${alert.userId}:`, error.message);
+      return alert.markSent({ success: false, error: error.message });
+    }
+  }
+
+  // Send a notification that quiet hours held back
+  async sendDeferred(deferred) {
+    try {
+      const user = await UserPreferences.findByUserId(deferred.userId);
+
+      if (!user) {
+        deferred.status = 'cancelled';
+        return await deferred.save();
+      }
+
+      const results = await NotificationService.sendToDevices(user, deferred.message);
+      return await deferred.markSent({ success: results.some(result => result.success), results });
+    } catch (error) {
+      console.error(`Error sending deferred notification to ${deferred.userId}:`, error.message);
+      return deferred.markSent({ success: false, error: error.message });
+    }
+  }
+
+  getUserTimezone(user) {
+    const timezone = user.location?.timezone;
+    return timezone && moment.tz.zone(timezone) ? timezone : this.DEFAULT_TIMEZONE;
+  }
+}
+
+module.exports = new PrayerAlertScheduler();
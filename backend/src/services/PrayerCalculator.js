@@ -0,0 +1,310 @@
+const moment = require('moment-timezone');
+const HijriCalendarService = require('./HijriCalendarService');
+
+// Calculation method parameters, keyed by the same ids aladhan uses.
+// Angles are in degrees below the horizon. `ishaMinutes` is a fixed
+// interval after Maghrib. `ramadanIshaMinutes` replaces it during Ramadan.
+const METHODS = {
+  1: { name: 'University of Islamic Sciences, Karachi', fajr: 18, isha: 18 },
+  2: { name: 'Islamic Society of North America (ISNA)', fajr: 15, isha: 15 },
+  3: { name: 'Muslim World League', fajr: 18, isha: 17 },
+  4: { name: 'Umm Al-Qura University, Makkah', fajr: 18.5, ishaMinutes: 90, ramadanIshaMinutes: 120 },
+  5: { name: 'Egyptian General Authority of Survey', fajr: 19.5, isha: 17.5 },
+  7: { name: 'Institute of Geophysics, University of Tehran', fajr: 17.7, isha: 14, maghrib: 4.5, midnight: 'JAFARI' },
+  8: { name: 'Gulf Region', fajr: 19.5, ishaMinutes: 90 },
+  9: { name: 'Kuwait', fajr: 18, isha: 17.5 },
+  10: { name: 'Qatar', fajr: 18, ishaMinutes: 90 },
+  11: { name: 'Majlis Ugama Islam Singapura, Singapore', fajr: 20, isha: 18 },
+  12: { name: 'Union Organization Islamic de France', fajr: 12, isha: 12 },
+  13: { name: 'Diyanet İşleri Başkanlığı, Turkey', fajr: 18, isha: 17 },
+  14: { name: 'Spiritual Administration of Muslims of Russia', fajr: 16, isha: 15 }
+};
+
+// High latitude rules, matching aladhan's latitudeAdjustmentMethod values
+const LATITUDE_ADJUSTMENTS = {
+  1: 'MIDDLE_OF_THE_NIGHT',
+  2: 'ONE_SEVENTH',
+  3: 'ANGLE_BASED'
+};
+
+const GREGORIAN_WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Degree based trigonometry
+const dtr = (d) => (d * Math.PI) / 180;
+const rtd = (r) => (r * 180) / Math.PI;
+const sin = (d) => Math.sin(dtr(d));
+const cos = (d) => Math.cos(dtr(d));
+const tan = (d) => Math.tan(dtr(d));
+const arcsin = (x) => rtd(Math.asin(x));
+const arccos = (x) => rtd(Math.acos(x));
+const arctan2 = (y, x) => rtd(Math.atan2(y, x));
+const arccot = (x) => rtd(Math.atan(1 / x));
+const fix = (a, b) => {
+  const value = a - b * Math.floor(a / b);
+  return value < 0 ? value + b : value;
+};
+const fixAngle = (a) => fix(a, 360);
+const fixHour = (a) => fix(a, 24);
+const timeDiff = (t1, t2) => fixHour(t2 - t1);
+
+class PrayerCalculator {
+  constructor() {
+    this.DEFAULT_METHOD = 2;
+    this.DEFAULT_TIMEZONE = 'Europe/London';
+    this.DEFAULT_LATITUDE_ADJUSTMENT = 3; // Angle based, as aladhan does
+    this.SHAFI = 0;
+    this.HANAFI = 1;
+    this.IMSAK_MINUTES = 10;
+  }
+
+  // Calculate one day's times. Returns the same shape as an aladhan
+  // `/timings` response so it can go straight through formatPrayerTimes.
+  calculate(latitude, longitude, date, options = {}) {
+    const timezone = this.resolveTimezone(options.timezone);
+    const day = this.parseDate(date, timezone);
+    const methodId = METHODS[options.method] ? Number(options.method) : this.DEFAULT_METHOD;
+    const method = METHODS[methodId];
+    const school = options.school === this.HANAFI ? this.HANAFI : this.SHAFI;
+    const latitudeAdjustment = LATITUDE_ADJUSTMENTS[options.latitudeAdjustmentMethod]
+      ? options.latitudeAdjustmentMethod
+      : this.DEFAULT_LATITUDE_ADJUSTMENT;
+
+    // Offset at local noon, so clock-change days use the offset in force
+    // for most of the day
+    const localNoon = moment.tz(`${day.format('YYYY-MM-DD')} 12:00`, 'YYYY-MM-DD HH:mm', timezone);
+    const utcOffset = localNoon.utcOffset() / 60;
+    // Calculated Hijri date, without moon-sighting corrections, so this stays synchronous
+    const hijri = HijriCalendarService.tabularToHijri(day);
+
+    const times = this.computeTimes({
+      latitude: Number(latitude),
+      longitude: Number(longitude),
+      julianDate: this.julianDate(day.year(), day.month() + 1, day.date()) - Number(longitude) / (15 * 24),
+      utcOffset,
+      method,
+      asrFactor: school === this.HANAFI ? 2 : 1,
+      latitudeAdjustment: LATITUDE_ADJUSTMENTS[latitudeAdjustment],
+      ishaMinutes: hijri.month === HijriCalendarService.RAMADAN && method.ramadanIshaMinutes
+        ? method.ramadanIshaMinutes
+        : method.ishaMinutes
+    });
+
+    // Near the poles the sun may not rise, set or reach the Fajr and Isha
+    // angles at all, and those times are null
+    const timings = {};
+    Object.keys(times).forEach(name => {
+      timings[name] = Number.isNaN(times[name]) ? null : `${this.formatClock(times[name])} (${localNoon.format('z')})`;
+    });
+
+    return {
+      timings,
+      date: this.buildDate(day, hijri),
+      meta: {
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        timezone,
+        method: {
+          id: methodId,
+          name: method.name,
+          params: {
+            Fajr: method.fajr,
+            Isha: method.ishaMinutes ? `${method.ishaMinutes} min` : method.isha
+          }
+        },
+        latitudeAdjustmentMethod: LATITUDE_ADJUSTMENTS[latitudeAdjustment],
+        midnightMode: method.midnight || 'STANDARD',
+        school: school === this.HANAFI ? 'HANAFI' : 'STANDARD',
+        source: 'calculated'
+      }
+    };
+  }
+
+  // Calculate every day of a Gregorian month
+  calculateMonth(latitude, longitude, year, month, options = {}) {
+    const timezone = this.resolveTimezone(options.timezone);
+    const start = moment.tz({ year, month: month - 1, day: 1 }, timezone);
+    const days = [];
+
+    for (let day = start.clone(); day.month() === start.month(); day.add(1, 'day')) {
+      days.push(this.calculate(latitude, longitude, day.format('YYYY-MM-DD'), { ...options, timezone }));
+    }
+
+    return days;
+  }
+
+  // Core astronomical calculation. Returns local times as decimal hours.
+  computeTimes({ latitude, longitude, julianDate, utcOffset, method, asrFactor, latitudeAdjustment, ishaMinutes }) {
+    const riseSetAngle = 0.833;
+
+    // Two passes: the first uses rough times, the second refines the
+    // sun's position at the time of each prayer
+    let times = { fajr: 5, sunrise: 6, dhuhr: 12, asr: 13, sunset: 18, maghrib: 18, isha: 18 };
+    for (let pass = 0; pass < 2; pass++) {
+      const dayPortion = {};
+      Object.keys(times).forEach(name => {
+        dayPortion[name] = times[name] / 24;
+      });
+
+      times = {
+        fajr: this.sunAngleTime(julianDate, latitude, method.fajr, dayPortion.fajr, true),
+        sunrise: this.sunAngleTime(julianDate, latitude, riseSetAngle, dayPortion.sunrise, true),
+        dhuhr: this.midDay(julianDate, dayPortion.dhuhr),
+        asr: this.asrTime(julianDate, latitude, asrFactor, dayPortion.asr),
+        sunset: this.sunAngleTime(julianDate, latitude, riseSetAngle, dayPortion.sunset),
+        maghrib: this.sunAngleTime(julianDate, latitude, method.maghrib || riseSetAngle, dayPortion.maghrib),
+        isha: this.sunAngleTime(julianDate, latitude, method.isha || 18, dayPortion.isha)
+      };
+    }
+
+    // Convert from solar time at the given longitude to local clock time
+    Object.keys(times).forEach(name => {
+      times[name] += utcOffset - longitude / 15;
+    });
+
+    // Fajr and Isha may not exist (or be unreasonably late) in summer at
+    // high latitudes, so limit them to a portion of the night
+    const night = timeDiff(times.sunset, times.sunrise);
+    times.fajr = this.adjustHighLatitude(times.fajr, times.sunrise, method.fajr, night, latitudeAdjustment, true);
+    if (!ishaMinutes) {
+      times.isha = this.adjustHighLatitude(times.isha, times.sunset, method.isha, night, latitudeAdjustment, false);
+    }
+    if (!method.maghrib) {
+      times.maghrib = times.sunset;
+    }
+    if (ishaMinutes) {
+      times.isha = times.maghrib + ishaMinutes / 60;
+    }
+
+    const midnightStart = method.midnight === 'JAFARI' ? times.fajr : times.sunrise;
+    const midnight = times.sunset + timeDiff(times.sunset, midnightStart) / 2;
+
+    return {
+      Imsak: times.fajr - this.IMSAK_MINUTES / 60,
+      Fajr: times.fajr,
+      Sunrise: times.sunrise,
+      Dhuhr: times.dhuhr,
+      Asr: times.asr,
+      Sunset: times.sunset,
+      Maghrib: times.maghrib,
+      Isha: times.isha,
+      Midnight: midnight
+    };
+  }
+
+  // Sun declination and equation of time for a Julian date
+  sunPosition(julianDate) {
+    const d = julianDate - 2451545.0;
+    const g = fixAngle(357.529 + 0.98560028 * d);
+    const q = fixAngle(280.459 + 0.98564736 * d);
+    const l = fixAngle(q + 1.915 * sin(g) + 0.020 * sin(2 * g));
+    const e = 23.439 - 0.00000036 * d;
+
+    const rightAscension = arctan2(cos(e) * sin(l), cos(l)) / 15;
+
+    return {
+      declination: arcsin(sin(e) * sin(l)),
+      equation: q / 15 - fixHour(rightAscension)
+    };
+  }
+
+  // Solar noon
+  midDay(julianDate, dayPortion) {
+    const { equation } = this.sunPosition(julianDate + dayPortion);
+    return fixHour(12 - equation);
+  }
+
+  // Time at which the sun reaches `angle` degrees below the horizon
+  sunAngleTime(julianDate, latitude, angle, dayPortion, beforeNoon = false) {
+    const { declination } = this.sunPosition(julianDate + dayPortion);
+    const noon = this.midDay(julianDate, dayPortion);
+    const hourAngle = arccos((-sin(angle) - sin(declination) * sin(latitude)) / (cos(declination) * cos(latitude))) / 15;
+    return noon + (beforeNoon ? -hourAngle : hourAngle);
+  }
+
+  // Asr, where shadow length = factor * object length + noon shadow
+  asrTime(julianDate, latitude, factor, dayPortion) {
+    const { declination } = this.sunPosition(julianDate + dayPortion);
+    const angle = -arccot(factor + tan(Math.abs(latitude - declination)));
+    return this.sunAngleTime(julianDate, latitude, angle, dayPortion);
+  }
+
+  adjustHighLatitude(time, base, angle, night, rule, beforeBase) {
+    let portion = 1 / 2;
+    if (rule === 'ANGLE_BASED') {
+      portion = angle / 60;
+    } else if (rule === 'ONE_SEVENTH') {
+      portion = 1 / 7;
+    }
+    portion *= night;
+
+    const diff = beforeBase ? timeDiff(time, base) : timeDiff(base, time);
+    if (Number.isNaN(time) || diff > portion) {
+      return base + (beforeBase ? -portion : portion);
+    }
+    return time;
+  }
+
+  julianDate(year, month, day) {
+    let y = year;
+    let m = month;
+    if (m <= 2) {
+      y -= 1;
+      m += 12;
+    }
+    const a = Math.floor(y / 100);
+    const b = 2 - a + Math.floor(a / 4);
+    return Math.floor(365.25 * (y + 4716)) + Math.floor(30.6001 * (m + 1)) + day + b - 1524.5;
+  }
+
+  // Date block in aladhan's format
+  buildDate(day, hijri) {
+    return {
+      readable: day.format('DD MMM YYYY'),
+      timestamp: String(day.clone().startOf('day').unix()),
+      gregorian: {
+        date: day.format('DD-MM-YYYY'),
+        format: 'DD-MM-YYYY',
+        day: day.format('DD'),
+        weekday: { en: GREGORIAN_WEEKDAYS[day.day()] },
+        month: { number: day.month() + 1, en: day.format('MMMM') },
+        year: day.format('YYYY'),
+        designation: { abbreviated: 'AD', expanded: 'Anno Domini' }
+      },
+      hijri: HijriCalendarService.formatHijri(day, hijri)
+    };
+  }
+
+  // Decimal hours to HH:mm, rounded to the nearest minute
+  formatClock(time) {
+    const rounded = fixHour(time + 0.5 / 60);
+    const hours = Math.floor(rounded);
+    const minutes = Math.floor((rounded - hours) * 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+  }
+
+  // Accepts a Date, DD-MM-YYYY or YYYY-MM-DD
+  parseDate(date, timezone) {
+    if (!date) {
+      return moment.tz(timezone).startOf('day');
+    }
+    if (date instanceof Date || moment.isMoment(date)) {
+      return moment.tz(date, timezone).startOf('day');
+    }
+
+    const parsed = moment.tz(String(date), ['DD-MM-YYYY', 'YYYY-MM-DD'], true, timezone);
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+    return parsed.startOf('day');
+  }
+
+  resolveTimezone(timezone) {
+    return timezone && moment.tz.zone(timezone) ? timezone : this.DEFAULT_TIMEZONE;
+  }
+
+  getMethods() {
+    return METHODS;
+  }
+}
+
+module.exports = new PrayerCalculator();
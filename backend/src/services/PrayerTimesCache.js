@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const PrayerTimesCacheEntry = require('../models/PrayerTimesCacheEntry');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Each kind of data has its own size limit and lifetime. Expired entries
+// are kept for `staleTtl` longer, to serve when the provider is down. The
+// magnetic field behind a Qibla answer is quick to recalculate after a
+// restart, so it is only kept in memory.
+const POLICIES = {
+  daily: { ttl: DAY, staleTtl: 30 * DAY, maxEntries: Number(process.env.PRAYER_TIMES_CACHE_SIZE) || 2000, persist: true },
+  monthly: { ttl: 7 * DAY, staleTtl: 30 * DAY, maxEntries: 200, persist: true },
+  qibla: { ttl: 30 * DAY, staleTtl: 0, maxEntries: 1000, persist: false }
+};
+
+// Two decimal places is about a kilometre, which moves prayer times by a
+// second or two, so nearby GPS fixes share an entry
+const COORDINATE_PRECISION = 2;
+
+// Bounded least-recently-used cache for prayer times, with an optional
+// MongoDB tier (PRAYER_TIMES_CACHE_PERSIST=true) that survives restarts.
+// A Map keeps insertion order, so re-inserting on read keeps the least
+// recently used entry first.
+class PrayerTimesCache {
+  constructor() {
+    this.POLICIES = POLICIES;
+    this.COORDINATE_PRECISION = COORDINATE_PRECISION;
+    this.PERSIST = process.env.PRAYER_TIMES_CACHE_PERSIST === 'true';
+    this.stores = {};
+    this.stats = {};
+    Object.keys(POLICIES).forEach(kind => {
+      this.stores[kind] = new Map();
+      this.stats[kind] = this.emptyStats();
+    });
+  }
+
+  emptyStats() {
+    return { hits: 0, persistentHits: 0, misses: 0, staleHits: 0, evictions: 0 };
+  }
+
+  roundCoordinate(value) {
+    return Number(Number(value).toFixed(COORDINATE_PRECISION));
+  }
+
+  // Cache key from rounded coordinates and the rest of the request,
+  // e.g. key('daily', 53.6097, -2.1561, '01-10-2026', 2)
+  key(kind, latitude, longitude, ...parts) {
+    return [kind, this.roundCoordinate(latitude), this.roundCoordinate(longitude), ...parts]
+      .map(part => (part === null || part === undefined ? '' : part))
+      .join('|');
+  }
+
+  // Memory only, for callers that can't wait on the database
+  peek(kind, key) {
+    const data = this.fromMemory(kind, key);
+    this.stats[kind][data === undefined ? 'misses' : 'hits'] += 1;
+    return data;
+  }
+
+  // Fresh data for a key, or with `stale` also data past its lifetime
+  fromMemory(kind, key, { stale = false } = {}) {
+    const store = this.stores[kind];
+    const entry = store.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.staleUntil <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    if (!stale && entry.expiresAt <= Date.now()) {
+      return undefined;
+    }
+
+    store.delete(key);
+    store.set(key, entry);
+    return entry.data;
+  }
+
+  async get(kind, key) {
+    const data = this.fromMemory(kind, key);
+    if (data !== undefined) {
+      this.stats[kind].hits += 1;
+      return data;
+    }
+
+    if (this.usePersistentTier(kind)) {
+      try {
+        const entry = await PrayerTimesCacheEntry.findUnexpired(key);
+        if (entry) {
+          this.remember(kind, key, entry.data, entry.expiresAt.getTime(), entry.staleUntil.getTime());
+          this.stats[kind].persistentHits += 1;
+          return entry.data;
+        }
+      } catch (error) {
+        console.error('Prayer times cache read failed:', error.message);
+      }
+    }
+
+    this.stats[kind].misses += 1;
+    return undefined;
+  }
+
+  // Data past its lifetime but within the stale window, for when fresh
+  // data can't be had
+  async getStale(kind, key) {
+    let data = this.fromMemory(kind, key, { stale: true });
+
+    if (data === undefined && this.usePersistentTier(kind)) {
+      try {
+        const entry = await PrayerTimesCacheEntry.findStale(key);
+        if (entry) {
+          this.remember(kind, key, entry.data, entry.expiresAt.getTime(), entry.staleUntil.getTime());
+          data = entry.data;
+        }
+      } catch (error) {
+        console.error('Prayer times cache read failed:', error.message);
+      }
+    }
+
+    if (data !== undefined) {
+      this.stats[kind].staleHits += 1;
+    }
+    return data;
+  }
+
+  // Memory only, see peek
+  put(kind, key, data) {
+    this.remember(kind, key, data, Date.now() + POLICIES[kind].ttl);
+  }
+
+  async set(kind, key, data) {
+    const storedAt = Date.now();
+    const expiresAt = storedAt + POLICIES[kind].ttl;
+    const staleUntil = expiresAt + POLICIES[kind].staleTtl;
+    this.remember(kind, key, data, expiresAt, staleUntil);
+
+    if (this.usePersistentTier(kind)) {
+      try {
+        await PrayerTimesCacheEntry.store(key, kind, data, {
+          storedAt: new Date(storedAt),
+          expiresAt: new Date(expiresAt),
+          staleUntil: new Date(staleUntil)
+        });
+      } catch (error) {
+        console.error('Prayer times cache write failed:', error.message);
+      }
+    }
+  }
+
+  remember(kind, key, data, expiresAt, staleUntil = expiresAt + POLICIES[kind].staleTtl) {
+    const store = this.stores[kind];
+    store.delete(key);
+    store.set(key, { data, expiresAt, staleUntil });
+
+    while (store.size > POLICIES[kind].maxEntries) {
+      store.delete(store.keys().next().value);
+      this.stats[kind].evictions += 1;
+    }
+  }
+
+  // The database tier is skipped while MongoDB is unavailable
+  usePersistentTier(kind) {
+    return this.PERSIST && POLICIES[kind].persist && mongoose.connection.readyState === 1;
+  }
+
+  persistentTierStatus() {
+    if (!this.PERSIST) {
+      return 'disabled';
+    }
+    return mongoose.connection.readyState === 1 ? 'connected' : 'unavailable';
+  }
+
+  async clear() {
+    Object.keys(POLICIES).forEach(kind => {
+      this.stores[kind].clear();
+      this.stats[kind] = this.emptyStats();
+    });
+
+    if (this.PERSIST && mongoose.connection.readyState === 1) {
+      await PrayerTimesCacheEntry.deleteMany({});
+    }
+  }
+
+  // Sizes, limits and hit rates per kind and overall. Persistent hits
+  // count as hits.
+  getStats() {
+    const rates = ({ hits, persistentHits, misses }) => {
+      const lookups = hits + persistentHits + misses;
+      return {
+        lookups,
+        hitRate: lookups ? Number(((hits + persistentHits) / lookups).toFixed(4)) : 0,
+        missRate: lookups ? Number((misses / lookups).toFixed(4)) : 0
+      };
+    };
+
+    const kinds = {};
+    const totals = this.emptyStats();
+    Object.entries(POLICIES).forEach(([kind, policy]) => {
+      const stats = this.stats[kind];
+      Object.keys(totals).forEach(field => {
+        totals[field] += stats[field];
+      });
+      kinds[kind] = {
+        entries: this.stores[kind].size,
+        maxEntries: policy.maxEntries,
+        ttlHours: policy.ttl / HOUR,
+        staleHours: policy.staleTtl / HOUR,
+        persistent: this.PERSIST && policy.persist,
+        ...stats,
+        ...rates(stats)
+      };
+    });
+
+    return {
+      totalEntries: Object.values(this.stores).reduce((total, store) => total + store.size, 0),
+      persistentTier: this.persistentTierStatus(),
+      coordinatePrecision: COORDINATE_PRECISION,
+      ...totals,
+      ...rates(totals),
+      kinds
+    };
+  }
+}
+
+module.exports = new PrayerTimesCache();
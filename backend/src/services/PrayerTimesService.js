@@ -1,223 +1,480 @@
 const axios = require('axios');
+const moment = require('moment-timezone');
+const PrayerCalculator = require('./PrayerCalculator');
+const HijriCalendarService = require('./HijriCalendarService');
+const QiblaService = require('./QiblaService');
+const PrayerTimesCache = require('./PrayerTimesCache');
+const TimetableService = require('./TimetableService');
+const CircuitBreaker = require('./CircuitBreaker');
+const mosque = require('../config/mosque');
+
+const KM_PER_DEGREE = 111.32;
+const DAILY_PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
 
 class PrayerTimesService {
   constructor() {
     this.API_BASE_URL = 'https://api.aladhan.com/v1';
-    this.DEFAULT_METHOD = 2; // Islamic Society of North America (ISNA)
-    this.cache = new Map();
-    this.CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    this.DEFAULT_METHOD = Number(process.env.DEFAULT_METHOD) || 2; // Islamic Society of North America (ISNA)
+    this.PROVIDER = process.env.PRAYER_TIMES_PROVIDER || 'local'; // 'local' or 'aladhan'
+    this.CROSS_CHECK = process.env.PRAYER_TIMES_CROSS_CHECK === 'true';
+    this.CROSS_CHECK_TOLERANCE = 2; // minutes
+    this.cache = PrayerTimesCache;
+
+    // Resilience for the remote provider
+    this.PROVIDER_RETRIES = Number(process.env.PRAYER_TIMES_RETRIES ?? 2);
+    this.RETRY_BASE_DELAY = 500; // ms, doubled on each retry
+    this.breaker = new CircuitBreaker('Prayer times provider', {
+      failureThreshold: Number(process.env.PRAYER_TIMES_CIRCUIT_THRESHOLD) || 5,
+      resetTimeout: 60 * 1000,
+      // Bad requests from one client mustn't open the circuit for everyone
+      isFailure: error => this.isTransientError(error)
+    });
+    this.TIMETABLE_FALLBACK_RADIUS_KM = 25;
   }
 
-  // Get prayer times for a specific date and location
+  // Get prayer times for a specific date and location. `source` says where
+  // the times came from. If the provider fails, an expired cache entry is
+  // served with `stale: true`, and failing that the mosque's timetable.
   async getPrayerTimes(latitude, longitude, date = null, method = null, timezone = null) {
     try {
-      const requestDate = date || this.getCurrentDate();
+      const requestDate = this.normalizeDate(date, timezone);
       const calculationMethod = method || this.DEFAULT_METHOD;
-      const cacheKey = `${latitude}-${longitude}-${requestDate}-${calculationMethod}`;
+      const cacheKey = this.cache.key('daily', latitude, longitude, requestDate, calculationMethod, timezone);
 
       // Check cache first
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (Date.now() - cached.timestamp < this.CACHE_DURATION) {
-          return cached.data;
+      const cached = await this.cache.get('daily', cacheKey);
+      if (cached) {
+        return this.addRamadanTimes(cached, requestDate);
+      }
+
+      let prayerData;
+      try {
+        prayerData = await this.loadPrayerTimes(latitude, longitude, requestDate, calculationMethod, timezone);
+        await this.cache.set('daily', cacheKey, prayerData);
+      } catch (providerError) {
+        prayerData = await this.getFallbackPrayerTimes(cacheKey, latitude, longitude, requestDate, timezone);
+        if (!prayerData) {
+          throw providerError;
         }
-        this.cache.delete(cacheKey);
+        console.warn(`⚠️ Serving ${prayerData.stale ? 'stale' : prayerData.source} prayer times for ${requestDate}: ${providerError.message}`);
       }
 
-      const params = {
-        latitude,
-        longitude,
-        method: calculationMethod,
-        date: requestDate
-      };
+      return this.addRamadanTimes(prayerData, requestDate);
+    } catch (error) {
+      console.error('Error fetching prayer times:', error.message);
+      throw this.wrapError(`Unable to fetch prayer times: ${error.message}`, error);
+    }
+  }
 
-      if (timezone) {
-        params.timezonestring = timezone;
-      }
+  // Fresh times from the configured provider, for the rounded position the
+  // cache entry is stored under
+  async loadPrayerTimes(latitude, longitude, requestDate, calculationMethod, timezone) {
+    const lat = this.cache.roundCoordinate(latitude);
+    const lng = this.cache.roundCoordinate(longitude);
+
+    if (this.PROVIDER === 'aladhan') {
+      const prayerData = await this.callProvider(
+        () => this.fetchPrayerTimes(lat, lng, requestDate, calculationMethod, timezone)
+      );
+      return { ...prayerData, source: 'aladhan', stale: false };
+    }
 
-      const response = await axios.get(`${this.API_BASE_URL}/timings/${requestDate}`, {
-        params,
-        timeout: 10000
-      });
+    const prayerData = this.formatPrayerTimes(
+      PrayerCalculator.calculate(lat, lng, requestDate, { method: calculationMethod, timezone })
+    );
 
-      if (response.data.code !== 200) {
-        throw new Error('Failed to fetch prayer times from API');
-      }
+    if (this.CROSS_CHECK) {
+      this.crossCheckPrayerTimes(lat, lng, requestDate, calculationMethod, timezone)
+        .catch(error => console.error('Prayer times cross-check failed:', error.message));
+    }
 
-      const prayerData = this.formatPrayerTimes(response.data.data);
-      
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: prayerData,
-        timestamp: Date.now()
-      });
+    return { ...prayerData, source: 'calculated', stale: false };
+  }
 
+  // Times to serve when the provider fails: an expired cache entry, else
+  // the mosque's published adhan times if the location shares them
+  async getFallbackPrayerTimes(cacheKey, latitude, longitude, requestDate, timezone) {
+    const stale = await this.cache.getStale('daily', cacheKey);
+    if (stale) {
+      return { ...stale, stale: true };
+    }
+
+    if (!this.sharesMosqueTimetable(latitude, longitude, timezone)) {
+      return null;
+    }
+    const entry = await TimetableService.getDay(requestDate);
+    return entry ? this.timetableToPrayerData(entry) : null;
+  }
+
+  // During Ramadan (by the mosque's Hijri calendar) add Suhoor and Iftar.
+  // Added after caching, so a moon-sighting change applies straight away.
+  async addRamadanTimes(prayerData, requestDate) {
+    const { hijri } = await HijriCalendarService.toHijri(requestDate);
+    if (hijri.month.number !== HijriCalendarService.RAMADAN) {
       return prayerData;
-    } catch (error) {
-      console.error('Error fetching prayer times:', error.message);
-      throw new Error(`Unable to fetch prayer times: ${error.message}`);
     }
+
+    return {
+      ...prayerData,
+      prayers: {
+        ...prayerData.prayers,
+        suhoor: this.getSuhoorTime(prayerData.prayers.fajr),
+        iftar: prayerData.prayers.maghrib
+      },
+      ramadan: {
+        day: Number(hijri.day),
+        suhoorMarginMinutes: mosque.suhoorMarginMinutes
+      }
+    };
+  }
+
+  // Suhoor ends a safety margin before Fajr
+  getSuhoorTime(fajr) {
+    if (!fajr) {
+      return null;
+    }
+    return this.minutesToTime(this.timeToMinutes(fajr) - mosque.suhoorMarginMinutes);
+  }
+
+  // Fetch prayer times for a single day from aladhan
+  async fetchPrayerTimes(latitude, longitude, requestDate, calculationMethod, timezone = null) {
+    const params = {
+      latitude,
+      longitude,
+      method: calculationMethod,
+      date: requestDate
+    };
+
+    if (timezone) {
+      params.timezonestring = timezone;
+    }
+
+    const response = await axios.get(`${this.API_BASE_URL}/timings/${requestDate}`, {
+      params,
+      timeout: 10000
+    });
+
+    if (response.data.code !== 200) {
+      throw new Error('Failed to fetch prayer times from API');
+    }
+
+    return this.formatPrayerTimes(response.data.data);
   }
 
-  // Get prayer times for current month
-  async getMonthlyPrayerTimes(latitude, longitude, year = null, month = null, method = null) {
+  // Compare locally calculated times with aladhan. Differences are in
+  // minutes (positive means the local time is later).
+  async crossCheckPrayerTimes(latitude, longitude, date = null, method = null, timezone = null) {
+    const requestDate = this.normalizeDate(date, timezone);
+    const calculationMethod = method || this.DEFAULT_METHOD;
+
+    const local = this.formatPrayerTimes(
+      PrayerCalculator.calculate(latitude, longitude, requestDate, { method: calculationMethod, timezone })
+    );
+    const remote = await this.fetchPrayerTimes(latitude, longitude, requestDate, calculationMethod, timezone);
+
+    const differences = {};
+    Object.keys(local.prayers).filter(prayer => local.prayers[prayer] && remote.prayers[prayer]).forEach(prayer => {
+      differences[prayer] = this.timeToMinutes(local.prayers[prayer]) - this.timeToMinutes(remote.prayers[prayer]);
+    });
+
+    const mismatches = Object.keys(differences)
+      .filter(prayer => Math.abs(differences[prayer]) > this.CROSS_CHECK_TOLERANCE);
+
+    if (mismatches.length) {
+      console.warn(`⚠️ Prayer times cross-check mismatch for ${latitude},${longitude} on ${requestDate}:`, differences);
+    }
+
+    return {
+      matches: mismatches.length === 0,
+      tolerance: this.CROSS_CHECK_TOLERANCE,
+      differences,
+      local: local.prayers,
+      remote: remote.prayers
+    };
+  }
+
+  // Get prayer times for current month, with the same fallbacks as
+  // getPrayerTimes. Each day carries its `source`.
+  async getMonthlyPrayerTimes(latitude, longitude, year = null, month = null, method = null, timezone = null) {
     try {
       const currentDate = new Date();
       const requestYear = year || currentDate.getFullYear();
       const requestMonth = month || (currentDate.getMonth() + 1);
       const calculationMethod = method || this.DEFAULT_METHOD;
       
-      const cacheKey = `monthly-${latitude}-${longitude}-${requestYear}-${requestMonth}-${calculationMethod}`;
+      const cacheKey = this.cache.key('monthly', latitude, longitude, requestYear, requestMonth, calculationMethod, timezone);
 
       // Check cache first
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (Date.now() - cached.timestamp < this.CACHE_DURATION) {
-          return cached.data;
-        }
-        this.cache.delete(cacheKey);
+      const cached = await this.cache.get('monthly', cacheKey);
+      if (cached) {
+        return cached;
       }
 
-      const response = await axios.get(`${this.API_BASE_URL}/calendar/${requestYear}/${requestMonth}`, {
-        params: {
-          latitude,
-          longitude,
-          method: calculationMethod
-        },
-        timeout: 15000
-      });
-
-      if (response.data.code !== 200) {
-        throw new Error('Failed to fetch monthly prayer times from API');
+      let monthlyData;
+      try {
+        monthlyData = await this.loadMonthlyPrayerTimes(latitude, longitude, requestYear, requestMonth, calculationMethod, timezone);
+        await this.cache.set('monthly', cacheKey, monthlyData);
+      } catch (providerError) {
+        monthlyData = await this.getFallbackMonthlyPrayerTimes(cacheKey, latitude, longitude, requestYear, requestMonth, timezone);
+        if (!monthlyData) {
+          throw providerError;
+        }
+        console.warn(`⚠️ Serving ${monthlyData[0].stale ? 'stale' : monthlyData[0].source} prayer times for ${requestMonth}-${requestYear}: ${providerError.message}`);
       }
 
-      const monthlyData = response.data.data.map(dayData => ({
-        date: dayData.date.readable,
-        gregorianDate: dayData.date.gregorian.date,
-        hijriDate: dayData.date.hijri.date,
-        prayers: this.formatPrayerTimes(dayData).prayers
-      }));
-
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: monthlyData,
-        timestamp: Date.now()
-      });
-
       return monthlyData;
     } catch (error) {
       console.error('Error fetching monthly prayer times:', error.message);
-      throw new Error(`Unable to fetch monthly prayer times: ${error.message}`);
+      throw this.wrapError(`Unable to fetch monthly prayer times: ${error.message}`, error);
     }
   }
 
-  // Get Qibla direction for given coordinates
-  async getQiblaDirection(latitude, longitude) {
-    try {
-      const cacheKey = `qibla-${latitude}-${longitude}`;
+  async loadMonthlyPrayerTimes(latitude, longitude, requestYear, requestMonth, calculationMethod, timezone) {
+    const lat = this.cache.roundCoordinate(latitude);
+    const lng = this.cache.roundCoordinate(longitude);
 
-      // Check cache first (Qibla direction doesn't change)
-      if (this.cache.has(cacheKey)) {
-        return this.cache.get(cacheKey).data;
+    let days;
+    if (this.PROVIDER === 'aladhan') {
+      const params = {
+        latitude: lat,
+        longitude: lng,
+        method: calculationMethod
+      };
+
+      if (timezone) {
+        params.timezonestring = timezone;
       }
 
-      const response = await axios.get(`${this.API_BASE_URL}/qibla/${latitude}/${longitude}`, {
-        timeout: 10000
+      days = await this.callProvider(async () => {
+        const response = await axios.get(`${this.API_BASE_URL}/calendar/${requestYear}/${requestMonth}`, {
+          params,
+          timeout: 15000
+        });
+
+        if (response.data.code !== 200) {
+          throw new Error('Failed to fetch monthly prayer times from API');
+        }
+        return response.data.data;
       });
+    } else {
+      days = PrayerCalculator.calculateMonth(lat, lng, Number(requestYear), Number(requestMonth), {
+        method: calculationMethod,
+        timezone
+      });
+    }
 
-      if (response.data.code !== 200) {
-        throw new Error('Failed to fetch Qibla direction from API');
-      }
+    const source = this.PROVIDER === 'aladhan' ? 'aladhan' : 'calculated';
+    return days.map(dayData => ({
+      date: dayData.date.readable,
+      gregorianDate: dayData.date.gregorian.date,
+      hijriDate: dayData.date.hijri.date,
+      prayers: this.formatPrayerTimes(dayData).prayers,
+      source,
+      stale: false
+    }));
+  }
 
-      const qiblaData = {
-        direction: response.data.data.direction,
-        latitude: response.data.data.latitude,
-        longitude: response.data.data.longitude
-      };
+  // As getFallbackPrayerTimes. The timetable is only used if the mosque
+  // has published the whole month.
+  async getFallbackMonthlyPrayerTimes(cacheKey, latitude, longitude, requestYear, requestMonth, timezone) {
+    const stale = await this.cache.getStale('monthly', cacheKey);
+    if (stale) {
+      return stale.map(day => ({ ...day, stale: true }));
+    }
 
-      // Cache permanently (Qibla direction doesn't change)
-      this.cache.set(cacheKey, {
-        data: qiblaData,
-        timestamp: Date.now()
-      });
+    if (!this.sharesMosqueTimetable(latitude, longitude, timezone)) {
+      return null;
+    }
+    const first = moment.utc({ year: requestYear, month: requestMonth - 1, day: 1 });
+    const entries = await TimetableService.getRange(first.format('YYYY-MM-DD'), first.clone().endOf('month').format('YYYY-MM-DD'));
+    if (entries.length < first.daysInMonth()) {
+      return null;
+    }
 
-      return qiblaData;
-    } catch (error) {
-      console.error('Error fetching Qibla direction:', error.message);
-      throw new Error(`Unable to fetch Qibla direction: ${error.message}`);
+    const monthlyData = [];
+    for (const entry of entries) {
+      const prayerData = await this.timetableToPrayerData(entry);
+      monthlyData.push({
+        date: prayerData.date.readable,
+        gregorianDate: prayerData.date.gregorian.date,
+        hijriDate: prayerData.date.hijri.date,
+        prayers: prayerData.prayers,
+        source: prayerData.source,
+        stale: false
+      });
     }
+    return monthlyData;
   }
 
-  // Get current Islamic date
-  async getIslamicDate(latitude = 51.5074, longitude = -0.1278) {
-    try {
-      const cacheKey = `islamic-date-${this.getCurrentDate()}`;
+  // A timetable day in the same shape as formatPrayerTimes, using the
+  // mosque's adhan times
+  async timetableToPrayerData(entry) {
+    const { gregorian, hijri } = await HijriCalendarService.toHijri(entry.date);
 
-      // Check cache first
-      if (this.cache.has(cacheKey)) {
-        const cached = this.cache.get(cacheKey);
-        if (Date.now() - cached.timestamp < this.CACHE_DURATION) {
-          return cached.data;
+    return {
+      date: {
+        readable: moment.utc(entry.date).format('DD MMM YYYY'),
+        gregorian,
+        hijri
+      },
+      prayers: {
+        fajr: entry.fajr.adhan,
+        sunrise: entry.sunrise,
+        dhuhr: entry.dhuhr.adhan,
+        asr: entry.asr.adhan,
+        maghrib: entry.maghrib.adhan,
+        isha: entry.isha.adhan,
+        jumma: entry.jummah || entry.dhuhr.adhan
+      },
+      meta: {
+        latitude: mosque.latitude,
+        longitude: mosque.longitude,
+        timezone: mosque.timezone,
+        source: 'timetable'
+      },
+      source: 'timetable',
+      stale: false
+    };
+  }
+
+  // The mosque's adhan times only stand in for places near the mosque and
+  // in its timezone
+  sharesMosqueTimetable(latitude, longitude, timezone) {
+    if (timezone && timezone !== mosque.timezone) {
+      return false;
+    }
+
+    // A flat approximation is close enough over a few tens of kilometres
+    const north = (latitude - mosque.latitude) * KM_PER_DEGREE;
+    const east = (longitude - mosque.longitude) * KM_PER_DEGREE * Math.cos((mosque.latitude * Math.PI) / 180);
+    return Math.hypot(north, east) <= this.TIMETABLE_FALLBACK_RADIUS_KM;
+  }
+
+  // Call the remote provider through the circuit breaker, retrying
+  // transient failures with exponential backoff
+  async callProvider(request) {
+    return this.breaker.exec(async () => {
+      for (let attempt = 0; ; attempt += 1) {
+        try {
+          return await request();
+        } catch (error) {
+          if (attempt >= this.PROVIDER_RETRIES || !this.isTransientError(error)) {
+            throw error;
+          }
+          const delay = this.RETRY_BASE_DELAY * 2 ** attempt;
+          console.warn(`Prayer times provider failed (${error.message}), retrying in ${delay}ms`);
+          await new Promise(resolve => setTimeout(resolve, delay));
         }
-        this.cache.delete(cacheKey);
       }
+    });
+  }
 
-      const response = await axios.get(`${this.API_BASE_URL}/timings/${this.getCurrentDate()}`, {
-        params: {
-          latitude,
-          longitude,
-          method: this.DEFAULT_METHOD
-        },
-        timeout: 10000
-      });
+  // Timeouts, network errors, rate limiting and server errors are worth
+  // retrying; other responses won't change
+  isTransientError(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status >= 500 || status === 429;
+    }
+    return Boolean(error.isAxiosError || error.code);
+  }
 
-      if (response.data.code !== 200) {
-        throw new Error('Failed to fetch Islamic date from API');
-      }
+  // Keep the status of errors that have one, and report provider
+  // failures (network errors and timeouts) as 503
+  wrapError(message, error) {
+    const wrapped = new Error(message);
+    wrapped.statusCode = error.statusCode || (error.isAxiosError || error.code ? 503 : 500);
+    return wrapped;
+  }
 
-      const islamicData = {
-        hijri: response.data.data.date.hijri,
-        gregorian: response.data.data.date.gregorian
-      };
+  getProviderStatus() {
+    return {
+      provider: this.PROVIDER,
+      circuit: this.breaker.getStatus()
+    };
+  }
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: islamicData,
-        timestamp: Date.now()
-      });
+  // Get Qibla direction for given coordinates. Kept for callers that only
+  // need the bearing; QiblaService has the full answer.
+  async getQiblaDirection(latitude, longitude) {
+    const { bearing } = QiblaService.getQibla(Number(latitude), Number(longitude));
+    return {
+      direction: bearing.true,
+      latitude: Number(latitude),
+      longitude: Number(longitude)
+    };
+  }
 
-      return islamicData;
+  // Get current Islamic date, following the mosque's moon sighting and
+  // the user's hijriDateAdjustment
+  async getIslamicDate({ adjustment = 0, timezone } = {}) {
+    try {
+      const { hijri, gregorian } = await HijriCalendarService.today({ adjustment, timezone });
+      return { hijri, gregorian };
     } catch (error) {
-      console.error('Error fetching Islamic date:', error.message);
-      throw new Error(`Unable to fetch Islamic date: ${error.message}`);
+      console.error('Error calculating Islamic date:', error.message);
+      throw new Error(`Unable to calculate Islamic date: ${error.message}`);
     }
   }
 
-  // Get next prayer time
-  getNextPrayer(prayerTimes) {
+  // The next prayer and the prayer in progress, as absolute times in the
+  // location's timezone (`timezone`, else the one the times were made for).
+  // After Isha the next prayer is tomorrow's Fajr, and before Fajr the
+  // current one is yesterday's Isha, fetched for the same place and method
+  // unless `loadDay(offset)` supplies them.
+  async getNextPrayer(prayerTimes, { latitude, longitude, method, timezone, now = new Date(), loadDay = null } = {}) {
     try {
-      const now = new Date();
-      const currentTime = now.toTimeString().slice(0, 5); // HH:MM format
-      
-      const prayers = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
-      
-      for (const prayer of prayers) {
-        const prayerTime = prayerTimes.prayers[prayer];
-        if (this.timeToMinutes(prayerTime) > this.timeToMinutes(currentTime)) {
-          return {
-            prayer,
-            time: prayerTime,
-            remaining: this.calculateTimeRemaining(currentTime, prayerTime)
-          };
+      const zone = this.resolveTimezone(timezone || prayerTimes.meta?.timezone);
+      const location = {
+        latitude: latitude ?? prayerTimes.meta?.latitude ?? mosque.latitude,
+        longitude: longitude ?? prayerTimes.meta?.longitude ?? mosque.longitude,
+        method: method ?? prayerTimes.meta?.method?.id ?? null
+      };
+      const getDay = loadDay || (offset => this.getAdjacentDay(prayerTimes, offset, location, zone));
+      const current = moment(now).tz(zone);
+      // Prayers with no time (near the poles in summer) are left out
+      const prayersOf = day => DAILY_PRAYERS
+        .filter(prayer => day.prayers[prayer])
+        .map(prayer => ({ prayer, at: this.getPrayerMoment(day, prayer, zone) }));
+      const today = prayersOf(prayerTimes);
+
+      let next = today.find(({ at }) => at.isAfter(current));
+      const isTomorrow = !next;
+      if (isTomorrow) {
+        [next] = prayersOf(await getDay(1));
+      }
+
+      // Fajr ends at sunrise, the others when the next prayer begins
+      let window = null;
+      const started = today.filter(({ at }) => !at.isAfter(current));
+      if (started.length) {
+        const last = started[started.length - 1];
+        const sunrise = this.getPrayerMoment(prayerTimes, 'sunrise', zone);
+        const end = last.prayer === 'fajr' && sunrise ? sunrise : next.at;
+        if (end.isAfter(current)) {
+          window = { prayer: last.prayer, start: last.at, end };
         }
+      } else {
+        const last = prayersOf(await getDay(-1)).pop();
+        window = { prayer: last.prayer, start: last.at, end: next.at };
       }
 
-      // If no prayer found for today, return Fajr for tomorrow
+      const minutesRemaining = Math.ceil(next.at.diff(current, 'seconds') / 60);
       return {
-        prayer: 'fajr',
-        time: prayerTimes.prayers.fajr,
-        remaining: 'Tomorrow',
-        isTomorrow: true
+        prayer: next.prayer,
+        time: next.at.format('HH:mm'),
+        at: next.at.format(),
+        minutesRemaining,
+        remaining: this.formatRemaining(minutesRemaining),
+        isTomorrow,
+        current: window && {
+          prayer: window.prayer,
+          time: window.start.format('HH:mm'),
+          start: window.start.format(),
+          end: window.end.format()
+        },
+        timezone: zone,
+        now: current.format()
       };
     } catch (error) {
       console.error('Error calculating next prayer:', error.message);
@@ -225,24 +482,24 @@ class PrayerTimesService {
     }
   }
 
-  // Check if it's currently prayer time (within alert window)
-  isPrayerTime(prayerTimes, alertMinutes = 5) {
+  // Check if a prayer starts within the next `alertMinutes`. Once its
+  // minute has passed it no longer counts.
+  isPrayerTime(prayerTimes, alertMinutes = 5, { timezone, now = new Date() } = {}) {
     try {
-      const now = new Date();
-      const currentMinutes = this.timeToMinutes(now.toTimeString().slice(0, 5));
-      
-      const prayers = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
-      
-      for (const prayer of prayers) {
-        const prayerMinutes = this.timeToMinutes(prayerTimes.prayers[prayer]);
-        const diff = Math.abs(currentMinutes - prayerMinutes);
-        
-        if (diff <= alertMinutes) {
+      const zone = this.resolveTimezone(timezone || prayerTimes.meta?.timezone);
+      const current = moment(now).tz(zone);
+
+      for (const prayer of DAILY_PRAYERS.filter(name => prayerTimes.prayers[name])) {
+        const at = this.getPrayerMoment(prayerTimes, prayer, zone);
+        const minutesUntil = at.diff(current, 'seconds') / 60;
+
+        if (minutesUntil > -1 && minutesUntil <= alertMinutes) {
           return {
             isPrayerTime: true,
             prayer,
             time: prayerTimes.prayers[prayer],
-            minutesUntil: prayerMinutes - currentMinutes
+            at: at.format(),
+            minutesUntil: Math.max(0, Math.ceil(minutesUntil))
           };
         }
       }
@@ -254,6 +511,24 @@ class PrayerTimesService {
     }
   }
 
+  // A prayer time on the day the times are for, in the location's
+  // timezone. Built from the local date and time, so the UTC offset is
+  // right on the days the clocks change. Null if the prayer has no time.
+  getPrayerMoment(prayerTimes, prayer, timezone) {
+    const time = prayerTimes.prayers[prayer];
+    return time ? moment.tz(`${prayerTimes.date.gregorian.date} ${time}`, 'DD-MM-YYYY HH:mm', timezone) : null;
+  }
+
+  // Prayer times for the day before (-1) or after (1) the given times
+  async getAdjacentDay(prayerTimes, offset, { latitude, longitude, method }, timezone) {
+    const date = moment.utc(prayerTimes.date.gregorian.date, 'DD-MM-YYYY').add(offset, 'day').format('DD-MM-YYYY');
+    return this.getPrayerTimes(latitude, longitude, date, method, timezone);
+  }
+
+  resolveTimezone(timezone) {
+    return timezone && moment.tz.zone(timezone) ? timezone : mosque.timezone;
+  }
+
   // Format prayer times response
   formatPrayerTimes(data) {
     const timings = data.timings;
@@ -277,9 +552,11 @@ class PrayerTimesService {
     };
   }
 
-  // Format time string (remove timezone info)
+  // Format time string (remove timezone info). Times that don't occur
+  // that day, e.g. Isha near the poles in summer, are null.
   formatTime(timeString) {
-    return timeString.split(' ')[0]; // Remove timezone part
+    const time = timeString ? timeString.split(' ')[0] : null; // Remove timezone part
+    return /^\d{2}:\d{2}$/.test(time) ? time : null;
   }
 
   // Convert time to minutes for comparison
@@ -288,32 +565,42 @@ class PrayerTimesService {
     return hours * 60 + minutes;
   }
 
-  // Calculate time remaining between two times
-  calculateTimeRemaining(currentTime, targetTime) {
-    const currentMinutes = this.timeToMinutes(currentTime);
-    const targetMinutes = this.timeToMinutes(targetTime);
-    
-    let diff = targetMinutes - currentMinutes;
-    if (diff < 0) {
-      diff += 24 * 60; // Add 24 hours if target is tomorrow
-    }
-    
-    const hours = Math.floor(diff / 60);
-    const minutes = diff % 60;
-    
+  // Convert minutes since midnight back to HH:mm, wrapping round the day
+  minutesToTime(totalMinutes) {
+    const minutes = ((totalMinutes % (24 * 60)) + 24 * 60) % (24 * 60);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  // Minutes as "2h 5m" or "45m"
+  formatRemaining(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
     if (hours > 0) {
       return `${hours}h ${minutes}m`;
     }
     return `${minutes}m`;
   }
 
-  // Get current date in DD-MM-YYYY format
-  getCurrentDate() {
-    const now = new Date();
-    const day = String(now.getDate()).padStart(2, '0');
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const year = now.getFullYear();
-    return `${day}-${month}-${year}`;
+  // Normalise a Date, DD-MM-YYYY or YYYY-MM-DD into DD-MM-YYYY
+  normalizeDate(date, timezone = null) {
+    if (!date) {
+      return this.getCurrentDate(timezone);
+    }
+    if (date instanceof Date) {
+      return (timezone ? moment.tz(date, timezone) : moment(date)).format('DD-MM-YYYY');
+    }
+
+    const parsed = moment(String(date), ['DD-MM-YYYY', 'YYYY-MM-DD'], true);
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+    return parsed.format('DD-MM-YYYY');
+  }
+
+  // Get today's date in DD-MM-YYYY format, in the timezone (default the mosque's)
+  getCurrentDate(timezone = null) {
+    return moment.tz(this.resolveTimezone(timezone)).format('DD-MM-YYYY');
   }
 
   // Get calculation methods
@@ -335,18 +622,15 @@ class PrayerTimesService {
     };
   }
 
-  // Clear cache
-  clearCache() {
-    this.cache.clear();
+  // Clear cache, including the persistent tier
+  async clearCache() {
+    await this.cache.clear();
     console.log('Prayer times cache cleared');
   }
 
-  // Get cache stats
+  // Get cache stats: sizes, limits and hit/miss rates per kind
   getCacheStats() {
-    return {
-      totalEntries: this.cache.size,
-      entries: Array.from(this.cache.keys())
-    };
+    return this.cache.getStats();
   }
 }
 
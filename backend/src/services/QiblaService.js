@@ -0,0 +1,98 @@
+const { magneticField, MODEL_EPOCH, MODEL_VALID_UNTIL } = require('magvar');
+const PrayerTimesCache = require('./PrayerTimesCache');
+
+// Centre of the Kaaba, Masjid al-Haram
+const KAABA = { latitude: 21.422487, longitude: 39.826206 };
+const EARTH_RADIUS_KM = 6371.0088; // Mean radius
+const KM_PER_MILE = 1.609344;
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+// Degree based trigonometry
+const dtr = (d) => (d * Math.PI) / 180;
+const rtd = (r) => (r * 180) / Math.PI;
+const normalize = (degrees) => ((degrees % 360) + 360) % 360;
+const round = (value, places = 2) => Number(value.toFixed(places));
+
+class QiblaService {
+  constructor() {
+    this.KAABA = KAABA;
+  }
+
+  // Qibla for a position: the great-circle bearing to the Kaaba from true
+  // north, the same bearing from magnetic north for a compass, and the
+  // distance. `altitude` is in metres.
+  getQibla(latitude, longitude, { altitude = 0, date = null } = {}) {
+    const trueBearing = this.getBearing(latitude, longitude);
+    const field = this.getMagneticField(latitude, longitude, altitude, date);
+    const distanceKm = this.getDistance(latitude, longitude);
+
+    return {
+      location: { latitude: Number(latitude), longitude: Number(longitude), altitude: Number(altitude) },
+      kaaba: KAABA,
+      bearing: {
+        true: round(trueBearing),
+        // A compass needle points to magnetic north, so subtract east declination
+        magnetic: round(normalize(trueBearing - field.declination)),
+        compass: this.getCompassPoint(trueBearing)
+      },
+      declination: field.declination,
+      inclination: field.inclination,
+      distance: {
+        km: round(distanceKm, 1),
+        miles: round(distanceKm / KM_PER_MILE, 1)
+      },
+      model: {
+        name: 'WMM2025',
+        validFrom: MODEL_EPOCH,
+        validUntil: MODEL_VALID_UNTIL,
+        decimalYear: field.decimalYear,
+        isValid: field.decimalYear >= MODEL_EPOCH && field.decimalYear < MODEL_VALID_UNTIL
+      }
+    };
+  }
+
+  // The field model is the expensive part and drifts by a fraction of a
+  // degree a year, so today's field is cached by rounded position
+  getMagneticField(latitude, longitude, altitude, date = null) {
+    if (date) {
+      return magneticField(latitude, longitude, altitude / 1000, date);
+    }
+
+    const key = PrayerTimesCache.key('qibla', latitude, longitude, Math.round(altitude));
+    let field = PrayerTimesCache.peek('qibla', key);
+    if (!field) {
+      field = magneticField(latitude, longitude, altitude / 1000, new Date());
+      PrayerTimesCache.put('qibla', key, field);
+    }
+    return field;
+  }
+
+  // Initial great-circle bearing to the Kaaba, in degrees from true north
+  getBearing(latitude, longitude) {
+    const lat1 = dtr(latitude);
+    const lat2 = dtr(KAABA.latitude);
+    const deltaLongitude = dtr(KAABA.longitude - longitude);
+
+    const y = Math.sin(deltaLongitude) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(deltaLongitude);
+    return normalize(rtd(Math.atan2(y, x)));
+  }
+
+  // Haversine distance to the Kaaba in kilometres
+  getDistance(latitude, longitude) {
+    const lat1 = dtr(latitude);
+    const lat2 = dtr(KAABA.latitude);
+    const deltaLatitude = lat2 - lat1;
+    const deltaLongitude = dtr(KAABA.longitude - longitude);
+
+    const a = Math.sin(deltaLatitude / 2) ** 2
+      + Math.cos(lat1) * Math.cos(lat2) * Math.sin(deltaLongitude / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  getCompassPoint(bearing) {
+    return COMPASS_POINTS[Math.round(normalize(bearing) / 22.5) % COMPASS_POINTS.length];
+  }
+}
+
+module.exports = new QiblaService();
@@ -0,0 +1,76 @@
+const moment = require('moment-timezone');
+
+class QuietHoursService {
+  constructor() {
+    this.DEFAULT_TIMEZONE = 'Europe/London';
+    this.MAX_CHAINED_WINDOWS = 14; // Back-to-back windows are merged, up to two weeks
+  }
+
+  // The quiet window a notification in `category` would fall into, as
+  // { start, end } Dates, or null if it can be sent now
+  getQuietWindow(userPreferences, category, at = new Date()) {
+    const { quietHours } = userPreferences;
+    if (!quietHours?.enabled || !quietHours.windows?.length) {
+      return null;
+    }
+    if (quietHours.exemptions?.includes(category)) {
+      return null;
+    }
+
+    const timezone = this.getTimezone(userPreferences);
+    const window = this.findWindow(quietHours.windows, timezone, at);
+    if (!window) {
+      return null;
+    }
+
+    // If another window starts the moment this one ends, keep going
+    for (let i = 0; i < this.MAX_CHAINED_WINDOWS; i++) {
+      const next = this.findWindow(quietHours.windows, timezone, window.end);
+      if (!next || next.end <= window.end) {
+        break;
+      }
+      window.end = next.end;
+    }
+
+    return window;
+  }
+
+  // Find the window covering `at`. A window that started yesterday
+  // and runs past midnight can still be running today.
+  findWindow(windows, timezone, at) {
+    const local = moment.tz(at, timezone);
+
+    for (const dayOffset of [0, -1]) {
+      const day = local.clone().startOf('day').add(dayOffset, 'days');
+
+      for (const window of windows) {
+        if (!window.days.includes(day.day())) {
+          continue;
+        }
+
+        const start = this.atTime(day, window.start, timezone);
+        let end = this.atTime(day, window.end, timezone);
+        if (!end.isAfter(start)) {
+          end = this.atTime(day.clone().add(1, 'day'), window.end, timezone);
+        }
+
+        if (!local.isBefore(start) && local.isBefore(end)) {
+          return { start: start.toDate(), end: end.toDate() };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  atTime(day, time, timezone) {
+    return moment.tz(`${day.format('YYYY-MM-DD')} ${time}`, 'YYYY-MM-DD HH:mm', timezone);
+  }
+
+  getTimezone(userPreferences) {
+    const timezone = userPreferences.location?.timezone;
+    return timezone && moment.tz.zone(timezone) ? timezone : this.DEFAULT_TIMEZONE;
+  }
+}
+
+module.exports = new QuietHoursService();
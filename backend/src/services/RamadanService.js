@@ -0,0 +1,193 @@
+const moment = require('moment-timezone');
+const HijriCalendarService = require('./HijriCalendarService');
+const PrayerTimesService = require('./PrayerTimesService');
+const TimetableService = require('./TimetableService');
+const mosque = require('../config/mosque');
+
+// Opt-in notification types that only fire during Ramadan
+const RAMADAN_ALERTS = ['suhoor', 'iftar', 'taraweeh'];
+
+class RamadanService {
+  constructor() {
+    this.ALERTS = RAMADAN_ALERTS;
+  }
+
+  // The Hijri year of the Ramadan in progress, or of the next one
+  async getCurrentYear(timezone = mosque.timezone) {
+    const { hijri } = await HijriCalendarService.today({ timezone });
+    const year = Number(hijri.year);
+    return hijri.month.number > HijriCalendarService.RAMADAN ? year + 1 : year;
+  }
+
+  // True if the Gregorian date (YYYY-MM-DD) is a fasting day
+  async isRamadan(date) {
+    const { hijri } = await HijriCalendarService.toHijri(date);
+    return hijri.month.number === HijriCalendarService.RAMADAN;
+  }
+
+  // Start, end and progress of a Ramadan
+  async getSummary(year = null, timezone = mosque.timezone) {
+    const hijriYear = year || await this.getCurrentYear(timezone);
+    const month = await HijriCalendarService.getMonth(hijriYear, HijriCalendarService.RAMADAN);
+    const today = moment.tz(timezone).format('YYYY-MM-DD');
+    const todayEntry = month.days.find(day => day.gregorian.iso === today);
+
+    return {
+      year: hijriYear,
+      start: month.days[0].gregorian.iso,
+      end: month.days[month.length - 1].gregorian.iso,
+      length: month.length,
+      moonSighting: month.overridden,
+      isRamadan: Boolean(todayEntry),
+      day: todayEntry ? Number(todayEntry.hijri.day) : null
+    };
+  }
+
+  // Day-by-day Suhoor, prayer, Iftar and Taraweeh times for a Ramadan.
+  // Times are calculated for the location; Taraweeh is the mosque's.
+  async getTimetable({ year = null, latitude = mosque.latitude, longitude = mosque.longitude, method = null, timezone = mosque.timezone } = {}) {
+    const hijriYear = year || await this.getCurrentYear(timezone);
+    const month = await HijriCalendarService.getMonth(hijriYear, HijriCalendarService.RAMADAN);
+    const dates = month.days.map(day => day.gregorian.iso);
+
+    // Taraweeh is prayed the night before each fast
+    const firstEve = moment.utc(dates[0]).subtract(1, 'day').format('YYYY-MM-DD');
+
+    const prayersByDate = new Map();
+    const months = [...new Set([firstEve, ...dates].map(date => date.slice(0, 7)))];
+    for (const yearMonth of months) {
+      const [gregorianYear, gregorianMonth] = yearMonth.split('-').map(Number);
+      const monthly = await PrayerTimesService.getMonthlyPrayerTimes(
+        latitude, longitude, gregorianYear, gregorianMonth, method, timezone
+      );
+      monthly.forEach(day => {
+        prayersByDate.set(moment.utc(day.gregorianDate, 'DD-MM-YYYY').format('YYYY-MM-DD'), day.prayers);
+      });
+    }
+
+    const timetable = await TimetableService.getRange(firstEve, dates[dates.length - 1]);
+    const entriesByDate = new Map(timetable.map(entry => [entry.date, entry]));
+
+    const days = month.days.map((day, index) => {
+      const date = day.gregorian.iso;
+      const prayers = prayersByDate.get(date);
+      const eve = moment.utc(date).subtract(1, 'day').format('YYYY-MM-DD');
+
+      return {
+        day: index + 1,
+        date,
+        weekday: day.gregorian.weekday.en,
+        suhoor: PrayerTimesService.getSuhoorTime(prayers.fajr),
+        fajr: prayers.fajr,
+        sunrise: prayers.sunrise,
+        dhuhr: prayers.dhuhr,
+        asr: prayers.asr,
+        iftar: prayers.maghrib,
+        isha: prayers.isha,
+        taraweeh: this.getTaraweehTime(entriesByDate.get(eve), prayersByDate.get(eve))
+      };
+    });
+
+    return {
+      year: hijriYear,
+      mosque: mosque.name,
+      location: { latitude: Number(latitude), longitude: Number(longitude), timezone },
+      suhoorMarginMinutes: mosque.suhoorMarginMinutes,
+      moonSighting: month.overridden,
+      days
+    };
+  }
+
+  // The timetable's Taraweeh time, else a set time after the Isha jamaah
+  // (or the calculated Isha when the mosque hasn't published that day)
+  getTaraweehTime(timetableEntry, prayers) {
+    if (timetableEntry?.taraweeh) {
+      return timetableEntry.taraweeh;
+    }
+    const isha = timetableEntry ? timetableEntry.isha.jamaah : prayers?.isha;
+    if (!isha) {
+      return null;
+    }
+    return PrayerTimesService.minutesToTime(PrayerTimesService.timeToMinutes(isha) + mosque.taraweehAfterIshaMinutes);
+  }
+
+  // Times for the Ramadan alerts on a user's local day, as
+  // { suhoor: { time, reference }, ... }. 'jamaah' means the time comes
+  // from the mosque timetable and is in the mosque's timezone.
+  async getAlertTimes(date, prayerTimes) {
+    const times = {};
+
+    if (prayerTimes.prayers.suhoor) {
+      times.suhoor = { time: prayerTimes.prayers.suhoor, reference: 'adhan' };
+      times.iftar = { time: prayerTimes.prayers.iftar, reference: 'adhan' };
+    }
+
+    const tomorrow = moment.utc(date).add(1, 'day').format('YYYY-MM-DD');
+    if (await this.isRamadan(tomorrow)) {
+      const entry = await TimetableService.getDay(date);
+      times.taraweeh = {
+        time: this.getTaraweehTime(entry, prayerTimes.prayers),
+        reference: entry ? 'jamaah' : 'adhan'
+      };
+    }
+
+    return times;
+  }
+
+  // A one-page printable timetable
+  toHTML(timetable) {
+    const columns = [
+      ['day', 'Ramadan'], ['date', 'Date'], ['weekday', 'Day'], ['suhoor', 'Suhoor ends'],
+      ['fajr', 'Fajr'], ['sunrise', 'Sunrise'], ['dhuhr', 'Dhuhr'], ['asr', 'Asr'],
+      ['iftar', 'Iftar'], ['isha', 'Isha'], ['taraweeh', 'Taraweeh*']
+    ];
+    const title = `${timetable.mosque} Ramadan ${timetable.year} AH Timetable`;
+
+    const header = columns.map(([, label]) => `<th>${this.escapeHTML(label)}</th>`).join('');
+    const rows = timetable.days.map(day => {
+      const cells = columns.map(([key]) => `<td>${this.escapeHTML(day[key] ?? '-')}</td>`).join('');
+      return `<tr>${cells}</tr>`;
+    }).join('\n');
+
+    return [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${this.escapeHTML(title)}</title>`,
+      '<style>',
+      'body { font-family: sans-serif; margin: 1.5rem; }',
+      'h1 { font-size: 1.4rem; text-align: center; }',
+      'table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }',
+      'th, td { border: 1px solid #999; padding: 0.2rem 0.4rem; text-align: center; }',
+      'th { background: #eee; }',
+      'tr:nth-child(even) td { background: #f7f7f7; }',
+      '.notes { font-size: 0.75rem; margin-top: 0.8rem; }',
+      '@media print { body { margin: 0; } @page { size: A4 portrait; margin: 1cm; } }',
+      '</style>',
+      '</head>',
+      '<body>',
+      `<h1>${this.escapeHTML(title)}</h1>`,
+      `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows}\n</tbody>\n</table>`,
+      '<p class="notes">',
+      `Suhoor ends ${this.escapeHTML(timetable.suhoorMarginMinutes)} minutes before Fajr. `,
+      '*Taraweeh is prayed the night before each fast. ',
+      `Times are for ${this.escapeHTML(timetable.location.timezone)}.`,
+      timetable.moonSighting ? ' Start date confirmed by moon sighting.' : ' Dates are subject to moon sighting.',
+      '</p>',
+      '</body>',
+      '</html>'
+    ].join('\n');
+  }
+
+  escapeHTML(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new RamadanService();
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const PDFDocument = require('pdfkit');
+const PrayerTimesService = require('./PrayerTimesService');
+const TimetableService = require('./TimetableService');
+const HijriCalendarService = require('./HijriCalendarService');
+const JumuahService = require('./JumuahService');
+const LocalizationService = require('./LocalizationService');
+const mosque = require('../config/mosque');
+
+const FORMATS = ['pdf', 'csv'];
+const PRAYERS = ['fajr', 'dhuhr', 'asr', 'maghrib', 'isha'];
+
+// Central Mosque Rochdale brand colours, as used in the apps
+const BRAND = {
+  gold: '#B5A77D',
+  purple: '#564E58',
+  rose: '#904E55',
+  background: '#F2EFE9'
+};
+
+// Arabic script letters, and the Arabic-Indic and Urdu digits
+const ARABIC_LETTERS = /[\u0600-\u065F\u066A-\u06EF\u06FA-\u06FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+const ARABIC_DIGITS = /[\u0660-\u0669\u06F0-\u06F9]/;
+
+// Noto Naskh Arabic (SIL Open Font License, see assets/fonts/OFL.txt) for
+// Arabic and Urdu PDFs. It covers Latin too, for the mosque's name.
+const FONTS_DIR = path.join(__dirname, '..', '..', 'assets', 'fonts');
+const ARABIC_FONT = {
+  regular: path.join(FONTS_DIR, 'NotoNaskhArabic-Regular.ttf'),
+  bold: path.join(FONTS_DIR, 'NotoNaskhArabic-Bold.ttf')
+};
+
+// Monthly timetable for the notice board: calculated adhan times, the
+// mosque's jamaah and Jumu'ah times and Hijri dates, as PDF or CSV
+class TimetableExportService {
+  constructor() {
+    this.FORMATS = FORMATS;
+    this.FONT_PATH = process.env.TIMETABLE_FONT_PATH || null;
+    this.BOLD_FONT_PATH = process.env.TIMETABLE_BOLD_FONT_PATH || this.FONT_PATH;
+    this.LOGO_PATH = process.env.TIMETABLE_LOGO_PATH || null;
+  }
+
+  // One row per day of a Gregorian month at the mosque
+  async getMonth({ year, month, method = null, language = LocalizationService.DEFAULT_LANGUAGE }) {
+    const calculationMethod = method || PrayerTimesService.DEFAULT_METHOD;
+    const calculated = await PrayerTimesService.getMonthlyPrayerTimes(
+      mosque.latitude, mosque.longitude, year, month, calculationMethod, mosque.timezone
+    );
+
+    const first = moment.utc({ year, month: month - 1, day: 1 });
+    const timetable = await TimetableService.getRange(
+      first.format('YYYY-MM-DD'),
+      first.clone().endOf('month').format('YYYY-MM-DD')
+    );
+    const entriesByDate = new Map(timetable.map(entry => [entry.date, entry]));
+
+    const days = [];
+    for (const day of calculated) {
+      const date = moment.utc(day.gregorianDate, 'DD-MM-YYYY');
+      const iso = date.format('YYYY-MM-DD');
+      const entry = entriesByDate.get(iso);
+      const { hijri } = await HijriCalendarService.toHijri(iso);
+      // Each congregation's salah where the mosque has set them up
+      const jumuahSlots = date.day() === 5 ? await JumuahService.getSlots(iso) : [];
+
+      const row = {
+        date: iso,
+        weekday: date.day(),
+        hijri: { day: Number(hijri.day), month: hijri.month.number, year: Number(hijri.year) },
+        sunrise: day.prayers.sunrise,
+        jumuah: jumuahSlots.length
+          ? jumuahSlots.map(slot => slot.salahTime).join(' / ')
+          : (date.day() === 5 && entry?.jummah) || null
+      };
+      PRAYERS.forEach(prayer => {
+        row[prayer] = { adhan: day.prayers[prayer], jamaah: entry ? entry[prayer].jamaah : null };
+      });
+      days.push(row);
+    }
+
+    const lang = LocalizationService.resolveLanguage(language);
+    return {
+      year,
+      month,
+      mosque: mosque.name,
+      timezone: mosque.timezone,
+      method: { id: calculationMethod, name: PrayerTimesService.getCalculationMethods()[calculationMethod] },
+      language: lang,
+      direction: LocalizationService.getDirection(lang),
+      days
+    };
+  }
+
+  // e.g. central-mosque-rochdale-timetable-2026-10.pdf
+  getFilename(data, format) {
+    const slug = data.mosque.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug}-timetable-${data.year}-${String(data.month).padStart(2, '0')}.${format}`;
+  }
+
+  getWeekday(language, weekday, style = 'long') {
+    // 2023-01-01 was a Sunday, matching moment's day() numbering
+    const date = new Date(Date.UTC(2023, 0, 1 + weekday));
+    return new Intl.DateTimeFormat(language, { weekday: style, timeZone: 'UTC' }).format(date);
+  }
+
+  getMonthName(language, month) {
+    return new Intl.DateTimeFormat(language, { month: 'long', timeZone: 'UTC' }).format(new Date(Date.UTC(2000, month - 1, 1)));
+  }
+
+  // English uses the transliterated month names, Arabic and Urdu the Arabic
+  getHijriMonthName(language, month) {
+    const names = HijriCalendarService.HIJRI_MONTHS[month - 1];
+    return language === LocalizationService.DEFAULT_LANGUAGE ? names.en : names.ar;
+  }
+
+  // The Hijri months the export spans, e.g. "Safar – Rabi al-awwal 1448"
+  getHijriSpan(data) {
+    const months = [];
+    data.days.forEach(({ hijri }) => {
+      const last = months[months.length - 1];
+      if (!last || last.month !== hijri.month) {
+        months.push(hijri);
+      }
+    });
+
+    return months.map((hijri, index) => {
+      const name = this.getHijriMonthName(data.language, hijri.month);
+      const next = months[index + 1];
+      return !next || next.year !== hijri.year
+        ? `${name} ${LocalizationService.formatNumber(data.language, hijri.year)}`
+        : name;
+    }).join(' – ');
+  }
+
+  // Spreadsheet-friendly export. Labels and names follow the language, but
+  // dates and times stay in ASCII digits so spreadsheets can read them.
+  toCSV(data) {
+    const { language } = data;
+    const label = (key, params) => LocalizationService.t(language, `export.${key}`, params);
+
+    const columns = [
+      [label('columns.date'), row => row.date],
+      [label('columns.day'), row => this.getWeekday(language, row.weekday)],
+      [label('columns.hijri'), row => `${row.hijri.year}-${String(row.hijri.month).padStart(2, '0')}-${String(row.hijri.day).padStart(2, '0')}`],
+      [label('columns.hijriMonth'), row => this.getHijriMonthName(language, row.hijri.month)]
+    ];
+    PRAYERS.forEach(prayer => {
+      const name = LocalizationService.t(language, `prayers.${prayer}`);
+      columns.push([label('columns.adhan', { prayer: name }), row => row[prayer].adhan]);
+      columns.push([label('columns.jamaah', { prayer: name }), row => row[prayer].jamaah]);
+      if (prayer === 'fajr') {
+        columns.push([label('columns.sunrise'), row => row.sunrise]);
+      }
+    });
+    columns.push([LocalizationService.t(language, 'prayers.jumma'), row => row.jumuah]);
+
+    const lines = [
+      columns.map(([heading]) => heading),
+      ...data.days.map(row => columns.map(([, value]) => value(row)))
+    ].map(cells => cells.map(cell => this.escapeCSV(cell)).join(','));
+
+    // The byte order mark tells Excel the file is UTF-8
+    return `\uFEFF${lines.join('\r\n')}\r\n`;
+  }
+
+  escapeCSV(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Fonts for a language. The built-in PDF fonts only cover Latin text, so
+  // Arabic and Urdu use the bundled Noto Naskh Arabic. TIMETABLE_FONT_PATH
+  // overrides both.
+  getFonts(language) {
+    if (this.FONT_PATH) {
+      return { regular: this.FONT_PATH, bold: this.BOLD_FONT_PATH, builtIn: false };
+    }
+    if (LocalizationService.getDirection(language) === 'rtl') {
+      return { ...ARABIC_FONT, builtIn: false };
+    }
+    return { regular: 'Helvetica', bold: 'Helvetica-Bold', builtIn: true };
+  }
+
+  // Printable A4 page with the mosque branding. Resolves with the PDF bytes.
+  toPDF(data) {
+    const fonts = this.getFonts(data.language);
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({
+        size: 'A4',
+        margin: 30,
+        info: {
+          Title: `${data.mosque} ${data.year}-${String(data.month).padStart(2, '0')}`,
+          Author: data.mosque
+        }
+      });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      try {
+        doc.registerFont('regular', fonts.regular);
+        doc.registerFont('bold', fonts.bold);
+        this.drawPage(doc, data, fonts);
+        doc.end();
+      } catch (error) {
+        reject(error);
+      }
+    });
+  }
+
+  drawPage(doc, data, fonts) {
+    const { language } = data;
+    const rtl = data.direction === 'rtl';
+    const label = (key, params) => LocalizationService.t(language, `export.${key}`, params);
+    const number = (value) => LocalizationService.formatNumber(language, value);
+    // The built-in fonts can't draw the accents in the Hijri month names
+    const text = (value) => (fonts.builtIn ? this.toLatin(value) : value);
+    const write = (value, x, y, width, options = {}) => this.drawText(doc, text(value), x, y, width, { rtl, ...options });
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    let y = doc.page.margins.top;
+
+    // Header band with the logo and mosque name
+    const bandHeight = 74;
+    doc.rect(left, y, width, bandHeight).fill(BRAND.purple);
+    let textLeft = left + 14;
+    let textWidth = width - 28;
+    if (this.LOGO_PATH && fs.existsSync(this.LOGO_PATH)) {
+      const logoSize = bandHeight - 16;
+      doc.image(this.LOGO_PATH, rtl ? left + width - 8 - logoSize : left + 8, y + 8, { fit: [logoSize, logoSize] });
+      textWidth -= logoSize + 8;
+      textLeft += rtl ? 0 : logoSize + 8;
+    }
+    const align = rtl ? 'right' : 'left';
+    doc.font('bold').fontSize(20).fillColor(BRAND.gold);
+    write(data.mosque, textLeft, y + 10, textWidth, { align });
+    doc.font('regular').fontSize(11).fillColor('white');
+    write(`${label('title')} – ${this.getMonthName(language, data.month)} ${number(data.year)}`, textLeft, y + 36, textWidth, { align });
+    doc.fontSize(9);
+    write(this.getHijriSpan(data), textLeft, y + 54, textWidth, { align });
+    y += bandHeight + 10;
+
+    // Columns in reading order, mirrored for right-to-left languages
+    const columns = [
+      { heading: label('columns.date'), width: 24, value: row => number(Number(row.date.slice(8))) },
+      { heading: label('columns.day'), width: 40, value: row => this.getWeekday(language, row.weekday, 'short') },
+      { heading: label('columns.hijri'), width: 28, value: row => number(row.hijri.day), newMonth: true }
+    ];
+    PRAYERS.forEach(prayer => {
+      const heading = LocalizationService.t(language, `prayers.${prayer}`);
+      columns.push({ heading, sub: label('adhan'), value: row => row[prayer].adhan });
+      columns.push({ heading, sub: label('jamaah'), value: row => row[prayer].jamaah, jamaah: true });
+      if (prayer === 'fajr') {
+        columns.push({ heading: label('columns.sunrise'), value: row => row.sunrise });
+      }
+    });
+    // Wide enough for every congregation's time on the busiest Friday
+    const jumuahSpan = Math.max(1, ...data.days.map(row => (row.jumuah ? row.jumuah.split(' / ').length : 0)));
+    columns.push({ heading: LocalizationService.t(language, 'prayers.jumma'), value: row => row.jumuah, jamaah: true, span: jumuahSpan });
+
+    const fixedWidth = columns.reduce((total, column) => total + (column.width || 0), 0);
+    const timeSpans = columns.filter(column => !column.width).reduce((total, column) => total + (column.span || 1), 0);
+    const timeWidth = (width - fixedWidth) / timeSpans;
+    let x = left;
+    (rtl ? [...columns].reverse() : columns).forEach(column => {
+      column.width = column.width || timeWidth * (column.span || 1);
+      column.x = x;
+      x += column.width;
+    });
+
+    // Two header rows: prayer names over their adhan and jamaah columns
+    const headerHeight = 15;
+    doc.rect(left, y, width, headerHeight * 2).fill(BRAND.gold);
+    doc.font('bold').fontSize(8).fillColor('white');
+    columns.forEach((column, index) => {
+      if (column.sub) {
+        if (columns[index - 1]?.heading !== column.heading) {
+          const pair = columns[index + 1];
+          write(column.heading, Math.min(column.x, pair.x), y + 4, column.width + pair.width, { align: 'center' });
+        }
+        write(column.sub, column.x, y + headerHeight + 4, column.width, { align: 'center' });
+      } else {
+        write(column.heading, column.x, y + headerHeight / 2 + 4, column.width, { align: 'center' });
+      }
+    });
+    y += headerHeight * 2;
+
+    // One row per day, with Fridays shaded and new Hijri months marked
+    const footerHeight = 62;
+    const rowHeight = Math.min(18, (doc.page.height - doc.page.margins.bottom - footerHeight - y) / data.days.length);
+    doc.font('regular').fontSize(8);
+    data.days.forEach(row => {
+      if (row.weekday === 5) {
+        doc.rect(left, y, width, rowHeight).fill(BRAND.background);
+      }
+      columns.forEach(column => {
+        if (column.newMonth && row.hijri.day === 1) {
+          doc.rect(column.x, y, column.width, rowHeight).fill(BRAND.gold);
+        }
+        const value = column.value(row);
+        doc.fillColor(column.jamaah ? BRAND.rose : 'black');
+        write(value ? LocalizationService.formatTime(language, value) : '-', column.x, y + (rowHeight - 8) / 2, column.width, { align: 'center' });
+      });
+      doc.moveTo(left, y + rowHeight).lineTo(left + width, y + rowHeight).lineWidth(0.3).stroke(BRAND.gold);
+      y += rowHeight;
+    });
+
+    // Notes
+    y += 8;
+    doc.font('regular').fontSize(7.5).fillColor(BRAND.purple);
+    [
+      label('notes.method', { method: data.method.name }),
+      label('notes.jamaah'),
+      label('notes.hijri'),
+      label('notes.timezone', { timezone: data.timezone })
+    ].forEach(note => {
+      write(note, left, y, width, { align });
+      y += 11;
+    });
+  }
+
+  // pdfkit places glyphs left to right, so a right-to-left line is split
+  // into runs of Arabic script and of everything else, and the runs are
+  // placed from the right. fontkit reverses Arabic script when it shapes
+  // it, Arabic-Indic digits included, so number runs are reversed first.
+  drawText(doc, value, x, y, width, { align = 'left', rtl = false } = {}) {
+    const content = String(value);
+    if (!rtl || (!ARABIC_LETTERS.test(content) && !ARABIC_DIGITS.test(content))) {
+      doc.text(content, x, y, { width, align, lineBreak: false });
+      return;
+    }
+
+    const runs = [];
+    content.split(' ').forEach(word => {
+      const isArabic = ARABIC_LETTERS.test(word);
+      const last = runs[runs.length - 1];
+      if (last && last.isArabic === isArabic) {
+        last.text += ` ${word}`;
+      } else {
+        runs.push({ text: word, isArabic });
+      }
+    });
+    runs.forEach(run => {
+      run.glyphs = !run.isArabic && ARABIC_DIGITS.test(run.text) ? [...run.text].reverse().join('') : run.text;
+      run.width = doc.widthOfString(run.text);
+    });
+
+    const space = doc.widthOfString(' ');
+    const total = runs.reduce((sum, run) => sum + run.width, 0) + space * (runs.length - 1);
+    let right = x + width;
+    if (align === 'center') {
+      right = x + (width + total) / 2;
+    } else if (align === 'left') {
+      right = x + total;
+    }
+
+    runs.forEach(run => {
+      right -= run.width;
+      doc.text(run.glyphs, right, y, { lineBreak: false });
+      right -= space;
+    });
+  }
+
+  // Drop accents and the ʿayn mark for fonts without them
+  toLatin(value) {
+    return String(value)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036F]/g, '')
+      .replace(/[ʿʾ]/g, "'");
+  }
+}
+
+module.exports = new TimetableExportService();
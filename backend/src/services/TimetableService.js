@@ -0,0 +1,56 @@
+const moment = require('moment-timezone');
+const TimetableDay = require('../models/TimetableDay');
+const mosque = require('../config/mosque');
+
+class TimetableService {
+  constructor() {
+    this.PRAYERS = TimetableDay.TIMETABLE_PRAYERS;
+  }
+
+  // Get the mosque's timetable entry for a date (Date, DD-MM-YYYY or YYYY-MM-DD)
+  async getDay(date = null) {
+    return TimetableDay.findByDate(this.toTimetableDate(date));
+  }
+
+  // Get the jamaah times for a date, or null if the mosque hasn't published any
+  async getJamaahTimes(date = null) {
+    const day = await this.getDay(date);
+    return day ? day.getJamaahTimes() : null;
+  }
+
+  // Get entries between two dates (inclusive)
+  async getRange(from, to) {
+    return TimetableDay.findInRange(this.toTimetableDate(from), this.toTimetableDate(to));
+  }
+
+  // Wrap entries in the same shape as the apps' PrayerTimes<year>.json
+  toTimetableJSON(days, year = null) {
+    return {
+      year: year || (days.length ? days[0].year : moment.tz(mosque.timezone).year()),
+      mosque: mosque.name,
+      location: {
+        latitude: mosque.latitude,
+        longitude: mosque.longitude
+      },
+      prayerTimes: days.map(day => day.toTimetableJSON())
+    };
+  }
+
+  // Timetable dates are YYYY-MM-DD in the mosque's timezone
+  toTimetableDate(date) {
+    if (!date) {
+      return moment.tz(mosque.timezone).format('YYYY-MM-DD');
+    }
+    if (date instanceof Date) {
+      return moment.tz(date, mosque.timezone).format('YYYY-MM-DD');
+    }
+
+    const parsed = moment(String(date), ['YYYY-MM-DD', 'DD-MM-YYYY'], true);
+    if (!parsed.isValid()) {
+      throw new Error(`Invalid date: ${date}`);
+    }
+    return parsed.format('YYYY-MM-DD');
+  }
+}
+
+module.exports = new TimetableService();
@@ -0,0 +1,91 @@
+// Sends iOS notifications through Apple Push Notification service.
+// apn is only loaded, and its HTTP/2 connection opened, on the first send.
+class ApnsTransport {
+  constructor() {
+    this.name = 'apns';
+    this.apn = null;
+    this.provider = null;
+  }
+
+  initialize() {
+    if (this.provider) {
+      return this.provider;
+    }
+
+    if (!process.env.APNS_PRIVATE_KEY_PATH) {
+      throw new Error('APNS Provider not initialized');
+    }
+
+    this.apn = require('apn');
+    this.provider = new this.apn.Provider({
+      token: {
+        key: process.env.APNS_PRIVATE_KEY_PATH,
+        keyId: process.env.APNS_KEY_ID,
+        teamId: process.env.APNS_TEAM_ID
+      },
+      production: process.env.APNS_ENVIRONMENT === 'production'
+    });
+    console.log('APNS Provider initialized successfully');
+
+    return this.provider;
+  }
+
+  buildPayload(token, message) {
+    return {
+      topic: process.env.APNS_BUNDLE_ID,
+      aps: {
+        alert: {
+          title: message.title,
+          body: message.body
+        },
+        badge: 1,
+        sound: message.sound || 'default'
+      },
+      type: message.type,
+      prayer: message.prayer || '',
+      eventId: message.eventId || ''
+    };
+  }
+
+  async send(token, message) {
+    try {
+      const provider = this.initialize();
+      const { topic, aps, ...payload } = this.buildPayload(token, message);
+
+      const notification = new this.apn.Notification();
+      notification.alert = aps.alert;
+      notification.badge = aps.badge;
+      notification.sound = aps.sound;
+      notification.topic = topic;
+      notification.payload = payload;
+
+      const result = await provider.send(notification, token);
+      // Rejections carry an APNs reason such as BadDeviceToken;
+      // connection problems carry an error instead
+      const errors = result.failed.map(f => f.response?.reason || f.error?.message || `HTTP ${f.status}`);
+
+      return {
+        success: result.sent.length > 0,
+        sent: result.sent.length,
+        failed: result.failed.length,
+        errors,
+        ...(errors.length && { errorCode: result.failed[0].response?.reason, error: errors[0] })
+      };
+    } catch (error) {
+      console.error('iOS notification error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async shutdown() {
+    if (this.provider) {
+      this.provider.shutdown();
+      this.provider = null;
+    }
+  }
+}
+
+module.exports = new ApnsTransport();
@@ -0,0 +1,82 @@
+const FcmTransport = require('./FcmTransport');
+const ApnsTransport = require('./ApnsTransport');
+
+// Token prefix that makes the capture transport reject a send the way the
+// real service rejects an uninstalled app
+const INVALID_TOKEN_PREFIX = 'invalid-';
+const REJECTIONS = {
+  android: {
+    errorCode: 'messaging/registration-token-not-registered',
+    error: 'Requested entity was not found.'
+  },
+  ios: {
+    errorCode: 'Unregistered',
+    error: 'Unregistered'
+  }
+};
+
+// Records notifications in memory instead of sending them, for local
+// development and tests. Payloads are built exactly as FCM and APNs would
+// receive them.
+class CaptureTransport {
+  constructor() {
+    this.name = 'capture';
+    this.MAX_CAPTURED = 500;
+    this.captured = [];
+    this.sequence = 0;
+  }
+
+  // A transport bound to one platform, with the same interface as FCM/APNs
+  forPlatform(platform) {
+    return {
+      name: this.name,
+      send: (token, message) => this.send(platform, token, message),
+      shutdown: async () => {}
+    };
+  }
+
+  async send(platform, token, message) {
+    const builder = platform === 'android' ? FcmTransport : ApnsTransport;
+    const rejection = token.startsWith(INVALID_TOKEN_PREFIX) ? REJECTIONS[platform] : null;
+
+    this.sequence += 1;
+    const entry = {
+      id: `capture-${this.sequence}`,
+      platform,
+      token,
+      type: message.type,
+      message,
+      payload: builder.buildPayload(token, message),
+      success: !rejection,
+      ...(rejection && { errorCode: rejection.errorCode }),
+      capturedAt: new Date()
+    };
+
+    this.captured.push(entry);
+    if (this.captured.length > this.MAX_CAPTURED) {
+      this.captured.shift();
+    }
+
+    return rejection
+      ? { success: false, ...rejection }
+      : { success: true, messageId: entry.id };
+  }
+
+  // Newest first, optionally filtered by platform, token or message type
+  list({ platform, token, type, limit = 50 } = {}) {
+    return this.captured
+      .filter(entry => (!platform || entry.platform === platform)
+        && (!token || entry.token === token)
+        && (!type || entry.type === type))
+      .slice(-limit)
+      .reverse();
+  }
+
+  clear() {
+    const cleared = this.captured.length;
+    this.captured = [];
+    return cleared;
+  }
+}
+
+module.exports = new CaptureTransport();
@@ -0,0 +1,81 @@
+// Sends Android notifications through Firebase Cloud Messaging.
+// firebase-admin is only loaded and initialised on the first send.
+class FcmTransport {
+  constructor() {
+    this.name = 'fcm';
+    this.admin = null;
+  }
+
+  initialize() {
+    if (this.admin) {
+      return this.admin;
+    }
+
+    const admin = require('firebase-admin');
+    if (!admin.apps.length) {
+      admin.initializeApp({
+        credential: admin.credential.cert({
+          projectId: process.env.FIREBASE_PROJECT_ID,
+          privateKeyId: process.env.FIREBASE_PRIVATE_KEY_ID,
+          privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+          clientEmail: process.env.FIREBASE_CLIENT_EMAIL,
+          clientId: process.env.FIREBASE_CLIENT_ID,
+          authUri: process.env.FIREBASE_AUTH_URI,
+          tokenUri: process.env.FIREBASE_TOKEN_URI
+        })
+      });
+    }
+    console.log('Firebase Admin initialized successfully');
+
+    this.admin = admin;
+    return admin;
+  }
+
+  buildPayload(token, message) {
+    return {
+      notification: {
+        title: message.title,
+        body: message.body
+      },
+      data: {
+        type: message.type,
+        prayer: message.prayer || '',
+        eventId: message.eventId || '',
+        clickAction: message.clickAction || 'FLUTTER_NOTIFICATION_CLICK'
+      },
+      android: {
+        notification: {
+          icon: 'ic_mosque',
+          color: '#4CAF50',
+          sound: message.sound || 'default',
+          channelId: message.channelId || 'prayer_notifications'
+        },
+        priority: 'high'
+      },
+      token
+    };
+  }
+
+  async send(token, message) {
+    try {
+      const admin = this.initialize();
+      const response = await admin.messaging().send(this.buildPayload(token, message));
+      return {
+        success: true,
+        messageId: response,
+        token: token.substring(0, 10) + '...'
+      };
+    } catch (error) {
+      console.error('Android notification error:', error);
+      return {
+        success: false,
+        errorCode: error.code,
+        error: error.message
+      };
+    }
+  }
+
+  async shutdown() {}
+}
+
+module.exports = new FcmTransport();
@@ -0,0 +1,69 @@
+const Event = require('../../src/models/Event');
+
+const buildEvent = async fields => {
+  const event = new Event({ title: 'Hadith circle', category: 'religious', startDate: '2026-01-05', ...fields });
+  // Fills in dayOfWeek the way saving would
+  await event.validate();
+  return event;
+};
+const dates = occurrences => occurrences.map(occurrence => occurrence.date);
+
+describe('Event occurrences', () => {
+  test('a one-off event occurs once, inside the range only', async () => {
+    const event = await buildEvent({ startDate: '2026-01-10' });
+
+    expect(dates(event.getOccurrences('2026-01-01', '2026-01-31'))).toEqual(['2026-01-10']);
+    expect(event.getOccurrences('2026-01-11', '2026-01-31')).toEqual([]);
+  });
+
+  test('a weekly event takes the weekday of its start date', async () => {
+    // 5 January 2026 is a Monday
+    const event = await buildEvent({ recurrence: 'weekly' });
+
+    expect(event.dayOfWeek).toBe('Monday');
+    expect(dates(event.getOccurrences('2026-01-01', '2026-01-31')))
+      .toEqual(['2026-01-05', '2026-01-12', '2026-01-19', '2026-01-26']);
+  });
+
+  test('a weekly event starts on the first matching weekday after its start date', async () => {
+    const event = await buildEvent({ recurrence: 'weekly', dayOfWeek: 'Friday' });
+
+    expect(event.getFirstOccurrenceDate()).toBe('2026-01-09');
+    expect(dates(event.getOccurrences('2026-01-01', '2026-01-20'))).toEqual(['2026-01-09', '2026-01-16']);
+  });
+
+  test('a fortnightly event keeps its cycle whatever the range', async () => {
+    const event = await buildEvent({ recurrence: 'biweekly' });
+
+    expect(dates(event.getOccurrences('2026-01-06', '2026-02-28')))
+      .toEqual(['2026-01-19', '2026-02-02', '2026-02-16']);
+    expect(dates(event.getOccurrences('2026-01-20', '2026-02-02'))).toEqual(['2026-02-02']);
+  });
+
+  test('occurrences stop at the end date', async () => {
+    const event = await buildEvent({ recurrence: 'weekly', endDate: '2026-01-19' });
+
+    expect(dates(event.getOccurrences('2026-01-01', '2026-03-31')))
+      .toEqual(['2026-01-05', '2026-01-12', '2026-01-19']);
+    expect(event.getOccurrences('2026-01-20', '2026-03-31')).toEqual([]);
+  });
+
+  test('nothing occurs before the start date', async () => {
+    const event = await buildEvent({ recurrence: 'weekly', startDate: '2026-03-02' });
+
+    expect(event.getOccurrences('2026-01-01', '2026-02-28')).toEqual([]);
+  });
+
+  test('each occurrence has its own id and the event fields', async () => {
+    const event = await buildEvent({ slug: 'hadith-circle', recurrence: 'weekly', startTime: '19:30' });
+    const [occurrence] = event.getOccurrences('2026-01-05', '2026-01-05');
+
+    expect(occurrence).toMatchObject({
+      occurrenceId: 'hadith-circle:2026-01-05',
+      date: '2026-01-05',
+      id: 'hadith-circle',
+      startTime: '19:30',
+      notificationCategory: 'religious'
+    });
+  });
+});
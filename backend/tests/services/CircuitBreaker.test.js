@@ -0,0 +1,137 @@
+const CircuitBreaker = require('../../src/services/CircuitBreaker');
+
+const { STATES } = CircuitBreaker;
+const RESET_TIMEOUT = 30 * 1000;
+
+const fail = () => Promise.reject(new Error('upstream timed out'));
+const succeed = () => Promise.resolve('ok');
+// Runs a failing call, swallowing the error it rethrows
+const failOnce = breaker => breaker.exec(fail).catch(() => {});
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = Date.parse('2026-10-19T12:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    breaker = new CircuitBreaker('Aladhan', { failureThreshold: 3, resetTimeout: RESET_TIMEOUT });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes results and errors through while closed', async () => {
+    await expect(breaker.exec(succeed)).resolves.toBe('ok');
+    await expect(breaker.exec(fail)).rejects.toThrow('upstream timed out');
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.failures).toBe(1);
+  });
+
+  test('opens at the failure threshold', async () => {
+    await failOnce(breaker);
+    await failOnce(breaker);
+    expect(breaker.state).toBe(STATES.CLOSED);
+
+    await failOnce(breaker);
+    expect(breaker.state).toBe(STATES.OPEN);
+    expect(breaker.getStatus()).toMatchObject({
+      state: STATES.OPEN,
+      failures: 3,
+      lastError: 'upstream timed out',
+      retryAt: new Date(now + RESET_TIMEOUT).toISOString()
+    });
+  });
+
+  test('a success resets the failure count', async () => {
+    await failOnce(breaker);
+    await failOnce(breaker);
+    await breaker.exec(succeed);
+    await failOnce(breaker);
+
+    expect(breaker.state).toBe(STATES.CLOSED);
+    expect(breaker.failures).toBe(1);
+  });
+
+  test('refuses calls while open without trying the service', async () => {
+    for (let i = 0; i < 3; i++) {
+      await failOnce(breaker);
+    }
+    const fn = jest.fn(succeed);
+
+    await expect(breaker.exec(fn)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN', statusCode: 503 });
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  describe('after the reset timeout', () => {
+    beforeEach(async () => {
+      for (let i = 0; i < 3; i++) {
+        await failOnce(breaker);
+      }
+      now += RESET_TIMEOUT;
+    });
+
+    test('reports itself half-open', () => {
+      expect(breaker.isOpen()).toBe(false);
+      expect(breaker.getStatus().state).toBe(STATES.HALF_OPEN);
+    });
+
+    test('lets one trial call through and refuses others meanwhile', async () => {
+      let finishTrial;
+      const trial = breaker.exec(() => new Promise(resolve => { finishTrial = resolve; }));
+
+      await expect(breaker.exec(succeed)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      finishTrial('ok');
+      await expect(trial).resolves.toBe('ok');
+    });
+
+    test('closes again when the trial succeeds', async () => {
+      await expect(breaker.exec(succeed)).resolves.toBe('ok');
+      expect(breaker.getStatus()).toMatchObject({ state: STATES.CLOSED, failures: 0, retryAt: null });
+    });
+
+    test('stays open for another period when the trial fails', async () => {
+      await failOnce(breaker);
+      expect(breaker.state).toBe(STATES.OPEN);
+      await expect(breaker.exec(succeed)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+      now += RESET_TIMEOUT;
+      await expect(breaker.exec(succeed)).resolves.toBe('ok');
+    });
+  });
+
+  describe('with an isFailure predicate', () => {
+    const rejected = () => {
+      const error = new Error('Invalid coordinates');
+      error.statusCode = 400;
+      return Promise.reject(error);
+    };
+
+    beforeEach(() => {
+      breaker = new CircuitBreaker('Aladhan', {
+        failureThreshold: 2,
+        resetTimeout: RESET_TIMEOUT,
+        isFailure: error => !error.statusCode || error.statusCode >= 500
+      });
+    });
+
+    test('rethrows errors that are not failures without counting them', async () => {
+      await expect(breaker.exec(rejected)).rejects.toThrow('Invalid coordinates');
+      await expect(breaker.exec(rejected)).rejects.toThrow('Invalid coordinates');
+      expect(breaker.state).toBe(STATES.CLOSED);
+      expect(breaker.failures).toBe(0);
+    });
+
+    test('treats an answered request as the service being up', async () => {
+      await failOnce(breaker);
+      await breaker.exec(rejected).catch(() => {});
+      await failOnce(breaker);
+
+      expect(breaker.state).toBe(STATES.CLOSED);
+      expect(breaker.failures).toBe(1);
+    });
+  });
+});
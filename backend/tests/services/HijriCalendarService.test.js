@@ -0,0 +1,99 @@
+const moment = require('moment-timezone');
+const HijriMonthStart = require('../../src/models/HijriMonthStart');
+const HijriCalendarService = require('../../src/services/HijriCalendarService');
+
+// ICU's islamic-civil calendar is the same tabular calendar, so it can
+// check every day rather than a handful of known dates
+const civil = new Intl.DateTimeFormat('en-u-ca-islamic-civil', {
+  timeZone: 'UTC',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric'
+});
+const civilHijri = date => {
+  const parts = Object.fromEntries(civil.formatToParts(date).map(({ type, value }) => [type, value]));
+  return { day: Number(parts.day), month: Number(parts.month), year: parseInt(parts.year, 10) };
+};
+
+describe('HijriCalendarService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    HijriCalendarService.clearOverrides();
+  });
+
+  describe('tabularToHijri', () => {
+    test('matches the civil Islamic calendar every day from 2020 to 2030', () => {
+      for (let day = moment.utc('2020-01-01'); day.year() < 2031; day.add(1, 'day')) {
+        expect([day.format('YYYY-MM-DD'), HijriCalendarService.tabularToHijri(day.format('YYYY-MM-DD'))])
+          .toEqual([day.format('YYYY-MM-DD'), civilHijri(day.toDate())]);
+      }
+    });
+
+    test('accepts DD-MM-YYYY', () => {
+      expect(HijriCalendarService.tabularToHijri('11-03-2024')).toEqual({ day: 1, month: 9, year: 1445 });
+    });
+
+    test('agrees with tabularMonthStart', () => {
+      const start = HijriCalendarService.tabularMonthStart(1445, 9);
+      expect(HijriCalendarService.fromDayNumber(start).format('YYYY-MM-DD')).toBe('2024-03-11');
+    });
+  });
+
+  describe('toDayNumber', () => {
+    test('counts days from 1970-01-01', () => {
+      expect(HijriCalendarService.toDayNumber('1970-01-01')).toBe(0);
+      expect(HijriCalendarService.toDayNumber('2024-03-11')).toBe(19793);
+    });
+
+    test('takes a Date as the day at the mosque', () => {
+      // 00:30 on the 19th in London, whatever timezone the server is in
+      expect(HijriCalendarService.toDayNumber(new Date('2026-10-18T23:30:00Z')))
+        .toBe(HijriCalendarService.toDayNumber('2026-10-19'));
+    });
+
+    test('takes a moment as the day in its own timezone', () => {
+      expect(HijriCalendarService.toDayNumber(moment.tz('2026-10-19 00:10', 'Asia/Tokyo')))
+        .toBe(HijriCalendarService.toDayNumber('2026-10-19'));
+    });
+  });
+
+  describe('toHijri', () => {
+    test('follows the tabular calendar without moon-sighting decisions', async () => {
+      jest.spyOn(HijriMonthStart, 'getAll').mockResolvedValue([]);
+
+      const { hijri, moonSighting } = await HijriCalendarService.toHijri('2024-03-11');
+      expect(hijri.day).toBe('01');
+      expect(hijri.month.number).toBe(9);
+      expect(hijri.year).toBe('1445');
+      expect(moonSighting).toBe(false);
+    });
+
+    test('moves the month to the sighted start and keeps the shift for later months', async () => {
+      jest.spyOn(HijriMonthStart, 'getAll').mockResolvedValue([{ year: 1445, month: 9, startDate: '2024-03-12' }]);
+
+      const eve = await HijriCalendarService.toHijri('2024-03-11');
+      expect([eve.hijri.day, eve.hijri.month.number]).toEqual(['30', 8]);
+
+      const first = await HijriCalendarService.toHijri('2024-03-12');
+      expect([first.hijri.day, first.hijri.month.number, first.moonSighting]).toEqual(['01', 9, true]);
+
+      const last = await HijriCalendarService.toHijri('2024-04-10');
+      expect([last.hijri.day, last.hijri.month.number]).toEqual(['30', 9]);
+
+      const shawwal = await HijriCalendarService.toHijri('2024-04-11');
+      expect([shawwal.hijri.day, shawwal.hijri.month.number, shawwal.moonSighting]).toEqual(['01', 10, false]);
+    });
+
+    test('applies the user adjustment', async () => {
+      jest.spyOn(HijriMonthStart, 'getAll').mockResolvedValue([]);
+
+      const { hijri, adjustment } = await HijriCalendarService.toHijri('2024-03-11', { adjustment: -1 });
+      expect([hijri.day, hijri.month.number, adjustment]).toEqual(['29', 8, -1]);
+    });
+
+    test('rejects adjustments beyond two days', async () => {
+      await expect(HijriCalendarService.toHijri('2024-03-11', { adjustment: 3 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
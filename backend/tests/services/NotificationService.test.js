@@ -0,0 +1,236 @@
+const Device = require('../../src/models/Device');
+const NotificationDelivery = require('../../src/models/NotificationDelivery');
+const UserPreferences = require('../../src/models/UserPreferences');
+const DeferredNotification = require('../../src/models/DeferredNotification');
+const QuietHoursService = require('../../src/services/QuietHoursService');
+const CaptureTransport = require('../../src/services/transports/CaptureTransport');
+const NotificationService = require('../../src/services/NotificationService');
+
+const device = (deviceId, platform, token) => ({ deviceId, platform, token });
+const preferencesFor = (userId, fields = {}) => ({
+  userId,
+  notifications: { fajr: { enabled: true }, dhuhr: { enabled: false } },
+  eventNotifications: { enabled: true, categories: { lectures: true, community: false } },
+  preferences: { language: 'en' },
+  deviceTokens: {},
+  ...fields
+});
+const lecture = {
+  _id: 'event-1',
+  title: 'Tafsir class',
+  description: 'Surah al-Kahf',
+  category: 'lecture',
+  notificationCategory: 'lectures',
+  date: '2026-10-23'
+};
+
+describe('NotificationService', () => {
+  let devices;
+  let insertMany;
+
+  beforeAll(() => {
+    NotificationService.useTransport('capture');
+  });
+
+  beforeEach(() => {
+    CaptureTransport.clear();
+    devices = {};
+    jest.spyOn(Device, 'findActiveForUser').mockImplementation(async userId => devices[userId] || []);
+    insertMany = jest.spyOn(NotificationDelivery, 'insertMany').mockResolvedValue([]);
+    jest.spyOn(Device, 'deactivateToken').mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('sendPrayerNotification', () => {
+    test('sends to every device and logs each delivery', async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1'), device('tablet', 'ios', 'apns-token-1')];
+
+      const result = await NotificationService.sendPrayerNotification(preferencesFor('amina'), 'fajr', '05:42');
+
+      expect(result).toMatchObject({ success: true, message: 'Notifications sent' });
+      expect(result.results.map(({ platform, deviceId, success }) => ({ platform, deviceId, success }))).toEqual([
+        { platform: 'android', deviceId: 'phone', success: true },
+        { platform: 'ios', deviceId: 'tablet', success: true }
+      ]);
+      expect(insertMany).toHaveBeenCalledWith([
+        expect.objectContaining({ userId: 'amina', platform: 'android', prayer: 'fajr', tokenSuffix: 'oken-1', success: true }),
+        expect.objectContaining({ userId: 'amina', platform: 'ios', prayer: 'fajr', success: true })
+      ], { ordered: false });
+    });
+
+    test('builds the payloads FCM and APNs would receive', async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1'), device('tablet', 'ios', 'apns-token-1')];
+
+      await NotificationService.sendPrayerNotification(preferencesFor('amina'), 'fajr', '05:42');
+
+      const [android] = CaptureTransport.list({ platform: 'android' });
+      expect(android.payload).toMatchObject({
+        token: 'fcm-token-1',
+        notification: { title: '🌅 Fajr Prayer Time', body: expect.stringContaining('05:42') },
+        data: { type: 'prayer_notification', prayer: 'fajr', clickAction: 'OPEN_PRAYER_TIMES' },
+        android: { notification: { channelId: 'prayer_notifications' } }
+      });
+
+      const [ios] = CaptureTransport.list({ platform: 'ios' });
+      expect(ios.payload).toMatchObject({
+        aps: { alert: { title: '🌅 Fajr Prayer Time' } },
+        type: 'prayer_notification',
+        prayer: 'fajr'
+      });
+    });
+
+    test('reaches a token still kept in the older deviceTokens field', async () => {
+      const preferences = preferencesFor('amina', { deviceTokens: { ios: 'legacy-token' } });
+
+      const result = await NotificationService.sendPrayerNotification(preferences, 'fajr', '05:42');
+
+      expect(result.success).toBe(true);
+      expect(CaptureTransport.list({ token: 'legacy-token' })).toHaveLength(1);
+    });
+
+    test('removes a token the push service rejects and reports the failure', async () => {
+      devices.amina = [device('phone', 'android', 'invalid-fcm-token')];
+
+      const result = await NotificationService.sendPrayerNotification(preferencesFor('amina'), 'fajr', '05:42');
+
+      expect(result).toMatchObject({ success: false, message: 'No device received the notification' });
+      expect(result.results).toEqual([expect.objectContaining({
+        platform: 'android',
+        success: false,
+        errorCode: 'messaging/registration-token-not-registered',
+        tokenRemoved: true
+      })]);
+      expect(Device.deactivateToken).toHaveBeenCalledWith(
+        'amina', 'phone', 'invalid-fcm-token', 'messaging/registration-token-not-registered'
+      );
+    });
+
+    test('unsets a rejected legacy token', async () => {
+      const updateOne = jest.spyOn(UserPreferences, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      const preferences = preferencesFor('amina', { deviceTokens: { ios: 'invalid-legacy' } });
+
+      const result = await NotificationService.sendPrayerNotification(preferences, 'fajr', '05:42');
+
+      expect(result.results[0]).toMatchObject({ errorCode: 'Unregistered', tokenRemoved: true });
+      expect(updateOne).toHaveBeenCalledWith(
+        { userId: 'amina', 'deviceTokens.ios': 'invalid-legacy' },
+        { $unset: { 'deviceTokens.ios': '' } }
+      );
+    });
+
+    test('succeeds when one of several devices receives it', async () => {
+      devices.amina = [device('old-phone', 'android', 'invalid-old'), device('phone', 'android', 'fcm-token-1')];
+
+      const result = await NotificationService.sendPrayerNotification(preferencesFor('amina'), 'fajr', '05:42');
+
+      expect(result.success).toBe(true);
+      expect(result.results.map(r => r.success)).toEqual([false, true]);
+    });
+
+    test('fails when the user has no devices', async () => {
+      const result = await NotificationService.sendPrayerNotification(preferencesFor('amina'), 'fajr', '05:42');
+
+      expect(result).toEqual({ success: false, message: 'No device received the notification', results: [] });
+      expect(insertMany).not.toHaveBeenCalled();
+    });
+
+    test('sends nothing for a prayer the user turned off', async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1')];
+
+      const result = await NotificationService.sendPrayerNotification(preferencesFor('amina'), 'dhuhr', '12:58');
+
+      expect(result).toEqual({ success: false, message: 'Notification disabled for this prayer' });
+      expect(CaptureTransport.list()).toHaveLength(0);
+    });
+
+    test('defers a message that falls in quiet hours', async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1')];
+      const create = jest.spyOn(DeferredNotification, 'create').mockResolvedValue({});
+      const quietUntil = new Date(Date.now() + 60 * 60 * 1000);
+      jest.spyOn(QuietHoursService, 'getQuietWindow').mockReturnValue({ start: new Date(), end: quietUntil });
+      const preferences = preferencesFor('amina', { quietHours: { enabled: true, mode: 'defer' } });
+
+      const result = await NotificationService.sendPrayerNotification(preferences, 'fajr', '05:42', {
+        expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000)
+      });
+
+      expect(result).toMatchObject({ success: true, deferred: true, deliverAt: quietUntil });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'amina', category: 'fajr', deliverAt: quietUntil }));
+      expect(CaptureTransport.list()).toHaveLength(0);
+    });
+  });
+
+  describe('sendEventNotification', () => {
+    test("sends an event in a category the user follows, in the event's category", async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1')];
+
+      const result = await NotificationService.sendEventNotification(preferencesFor('amina'), lecture);
+
+      expect(result).toMatchObject({ success: true, message: 'Event notifications sent' });
+      const [sent] = CaptureTransport.list();
+      expect(sent.payload.data).toMatchObject({ type: 'event_notification', eventId: 'event-1', clickAction: 'OPEN_EVENTS' });
+      expect(sent.payload.notification.body).toBe('Surah al-Kahf. Date: 2026-10-23');
+    });
+
+    test('uses the translation for the user\'s language', async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1')];
+      const translated = { ...lecture, translations: { ur: { title: 'تفسیر کلاس' } } };
+      const preferences = preferencesFor('amina', { preferences: { language: 'ur' } });
+
+      await NotificationService.sendEventNotification(preferences, translated);
+
+      expect(CaptureTransport.list()[0].message.title).toContain('تفسیر کلاس');
+    });
+
+    test('skips categories the user does not follow', async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1')];
+
+      const result = await NotificationService.sendEventNotification(
+        preferencesFor('amina'),
+        { ...lecture, notificationCategory: 'community' }
+      );
+
+      expect(result).toEqual({ success: false, message: 'Event notifications disabled' });
+      expect(CaptureTransport.list()).toHaveLength(0);
+    });
+
+    test('fails when no device receives it', async () => {
+      devices.amina = [device('phone', 'ios', 'invalid-apns')];
+
+      const result = await NotificationService.sendEventNotification(preferencesFor('amina'), lecture);
+
+      expect(result).toMatchObject({ success: false, message: 'No device received the event notification' });
+    });
+  });
+
+  describe('sendBulkNotifications', () => {
+    test('counts who received the message and who did not', async () => {
+      devices.amina = [device('phone', 'android', 'fcm-token-1')];
+      devices.bilal = [device('phone', 'ios', 'invalid-apns')];
+      devices.yusuf = [device('phone', 'ios', 'apns-token-2')];
+      const users = [
+        preferencesFor('amina'),
+        preferencesFor('bilal'),
+        preferencesFor('yusuf'),
+        preferencesFor('zainab'),
+        preferencesFor('hana', { eventNotifications: { enabled: false, categories: {} } })
+      ];
+
+      const result = await NotificationService.sendBulkNotifications(users, lecture);
+
+      expect(result).toMatchObject({ success: true, totalSent: 2, totalFailed: 3 });
+      expect(result.results.map(({ userId, success }) => [userId, success])).toEqual([
+        ['amina', true],
+        ['bilal', false],
+        ['yusuf', true],
+        ['zainab', false],
+        ['hana', false]
+      ]);
+      expect(CaptureTransport.list()).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const PrayerCalculator = require('../../src/services/PrayerCalculator');
+
+const GREENWICH = { latitude: 51.4779, longitude: 0 };
+const ROCHDALE = { latitude: 53.6097, longitude: -2.1561 };
+const MECCA = { latitude: 21.4225, longitude: 39.8262 };
+
+const calculate = ({ latitude, longitude }, date, options = {}) => PrayerCalculator.calculate(latitude, longitude, date, {
+  timezone: 'Europe/London',
+  ...options
+});
+const minutes = timing => {
+  const [hours, mins] = timing.split(' ')[0].split(':').map(Number);
+  return hours * 60 + mins;
+};
+
+describe('PrayerCalculator', () => {
+  test('matches published sunrise, solar noon and sunset at Greenwich', () => {
+    // Published solstice times, to the minute
+    const winter = calculate(GREENWICH, '2026-12-21').timings;
+    expect(Math.abs(minutes(winter.Sunrise) - minutes('08:04'))).toBeLessThanOrEqual(1);
+    expect(Math.abs(minutes(winter.Dhuhr) - minutes('11:58'))).toBeLessThanOrEqual(1);
+    expect(Math.abs(minutes(winter.Sunset) - minutes('15:53'))).toBeLessThanOrEqual(1);
+
+    const summer = calculate(GREENWICH, '2026-06-21').timings;
+    expect(Math.abs(minutes(summer.Sunrise) - minutes('04:43'))).toBeLessThanOrEqual(1);
+    expect(Math.abs(minutes(summer.Sunset) - minutes('21:21'))).toBeLessThanOrEqual(1);
+  });
+
+  test('labels times with the offset in force that day', () => {
+    expect(calculate(ROCHDALE, '2026-01-15').timings.Dhuhr).toMatch(/\(GMT\)$/);
+    expect(calculate(ROCHDALE, '2026-06-21').timings.Dhuhr).toMatch(/\(BST\)$/);
+  });
+
+  test('puts the prayers in order', () => {
+    ['2026-01-15', '2026-03-29', '2026-06-21', '2026-10-25'].forEach(date => {
+      const { timings } = calculate(ROCHDALE, date);
+      const order = ['Fajr', 'Sunrise', 'Dhuhr', 'Asr', 'Maghrib', 'Isha'].map(name => minutes(timings[name]));
+      expect(order).toEqual([...order].sort((a, b) => a - b));
+    });
+  });
+
+  test('keeps Fajr and Isha within the night in a UK summer', () => {
+    const { timings, meta } = calculate(ROCHDALE, '2026-06-21');
+    expect(meta.latitudeAdjustmentMethod).toBe('ANGLE_BASED');
+    expect(minutes(timings.Fajr)).toBeLessThan(minutes(timings.Sunrise));
+    expect(minutes(timings.Isha)).toBeGreaterThan(minutes(timings.Maghrib));
+  });
+
+  test('gives null for times that do not happen under the midnight sun', () => {
+    const { timings } = PrayerCalculator.calculate(70, 20, '2026-06-21', { timezone: 'Europe/Oslo' });
+    expect(timings.Fajr).toBeNull();
+    expect(timings.Sunrise).toBeNull();
+    expect(timings.Maghrib).toBeNull();
+    expect(timings.Isha).toBeNull();
+    expect(timings.Dhuhr).toMatch(/^\d{2}:\d{2} /);
+  });
+
+  test('puts the Hanafi Asr later than the standard one', () => {
+    const standard = calculate(ROCHDALE, '2026-01-15').timings.Asr;
+    const hanafi = calculate(ROCHDALE, '2026-01-15', { school: PrayerCalculator.HANAFI }).timings.Asr;
+    expect(minutes(hanafi)).toBeGreaterThan(minutes(standard));
+  });
+
+  test('uses a fixed Isha interval for Umm al-Qura, longer in Ramadan', () => {
+    const options = { method: 4, timezone: 'Asia/Riyadh' };
+
+    const shaban = PrayerCalculator.calculate(MECCA.latitude, MECCA.longitude, '2026-01-25', options).timings;
+    expect(minutes(shaban.Isha) - minutes(shaban.Maghrib)).toBe(90);
+
+    const ramadan = PrayerCalculator.calculate(MECCA.latitude, MECCA.longitude, '2026-02-25', options).timings;
+    expect(minutes(ramadan.Isha) - minutes(ramadan.Maghrib)).toBe(120);
+  });
+
+  test('falls back to the default method for unknown ids', () => {
+    const { meta } = calculate(ROCHDALE, '2026-01-15', { method: 6 });
+    expect(meta.method.id).toBe(PrayerCalculator.DEFAULT_METHOD);
+  });
+
+  test('returns aladhan-shaped dates', () => {
+    const { date } = calculate(ROCHDALE, '15-01-2026');
+    expect(date.gregorian.date).toBe('15-01-2026');
+    expect(date.gregorian.weekday.en).toBe('Thursday');
+    expect(date.hijri.month.number).toBe(7);
+  });
+
+  test('calculates every day of a month', () => {
+    const days = PrayerCalculator.calculateMonth(ROCHDALE.latitude, ROCHDALE.longitude, 2026, 2, { timezone: 'Europe/London' });
+    expect(days).toHaveLength(28);
+    expect(days[27].date.gregorian.date).toBe('28-02-2026');
+  });
+
+  test('rejects invalid dates', () => {
+    expect(() => calculate(ROCHDALE, '2026-02-30')).toThrow('Invalid date');
+  });
+});
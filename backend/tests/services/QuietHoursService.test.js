@@ -0,0 +1,91 @@
+const moment = require('moment-timezone');
+const QuietHoursService = require('../../src/services/QuietHoursService');
+
+const MONDAY = 1;
+const TUESDAY = 2;
+const SATURDAY = 6;
+
+const london = time => moment.tz(time, 'YYYY-MM-DD HH:mm', 'Europe/London').toDate();
+const preferences = (windows, fields = {}) => ({
+  quietHours: { enabled: true, windows, exemptions: [], ...fields }
+});
+// Monday nights, 22:00 until 06:00 on Tuesday
+const mondayNight = preferences([{ days: [MONDAY], start: '22:00', end: '06:00' }]);
+
+describe('QuietHoursService', () => {
+  describe('getQuietWindow', () => {
+    test('runs a window across midnight into the next day', () => {
+      // 19 October 2026 is a Monday
+      expect(QuietHoursService.getQuietWindow(mondayNight, 'prayer', london('2026-10-19 23:00')))
+        .toEqual({ start: london('2026-10-19 22:00'), end: london('2026-10-20 06:00') });
+    });
+
+    test("finds yesterday's window still running after midnight", () => {
+      expect(QuietHoursService.getQuietWindow(mondayNight, 'prayer', london('2026-10-20 05:59')))
+        .toEqual({ start: london('2026-10-19 22:00'), end: london('2026-10-20 06:00') });
+    });
+
+    test('lets notifications through outside the window', () => {
+      expect(QuietHoursService.getQuietWindow(mondayNight, 'prayer', london('2026-10-19 21:59'))).toBeNull();
+      expect(QuietHoursService.getQuietWindow(mondayNight, 'prayer', london('2026-10-20 06:00'))).toBeNull();
+      expect(QuietHoursService.getQuietWindow(mondayNight, 'prayer', london('2026-10-20 23:00'))).toBeNull();
+    });
+
+    test('keeps the window the same length when the clocks go back', () => {
+      const saturdayNight = preferences([{ days: [SATURDAY], start: '22:00', end: '06:00' }]);
+      const window = QuietHoursService.getQuietWindow(saturdayNight, 'prayer', london('2026-10-25 01:30'));
+
+      expect(window).toEqual({ start: london('2026-10-24 22:00'), end: london('2026-10-25 06:00') });
+      expect(window.end - window.start).toBe(9 * 60 * 60 * 1000);
+    });
+
+    test('merges a window that starts as another ends', () => {
+      const chained = preferences([
+        { days: [MONDAY], start: '22:00', end: '06:00' },
+        { days: [TUESDAY], start: '06:00', end: '09:00' }
+      ]);
+
+      expect(QuietHoursService.getQuietWindow(chained, 'prayer', london('2026-10-19 23:00')))
+        .toEqual({ start: london('2026-10-19 22:00'), end: london('2026-10-20 09:00') });
+    });
+
+    test('stops merging after two weeks of back-to-back windows', () => {
+      const always = preferences([{ days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '00:00' }]);
+      const window = QuietHoursService.getQuietWindow(always, 'prayer', london('2026-10-19 12:00'));
+
+      // Today's window, then fourteen more days
+      expect(window.end).toEqual(london('2026-11-03 00:00'));
+    });
+
+    test('sends exempt categories straight away', () => {
+      const withExemption = preferences(mondayNight.quietHours.windows, { exemptions: ['emergency'] });
+
+      expect(QuietHoursService.getQuietWindow(withExemption, 'emergency', london('2026-10-19 23:00'))).toBeNull();
+      expect(QuietHoursService.getQuietWindow(withExemption, 'prayer', london('2026-10-19 23:00'))).not.toBeNull();
+    });
+
+    test('does nothing when quiet hours are off or have no windows', () => {
+      const disabled = preferences(mondayNight.quietHours.windows, { enabled: false });
+
+      expect(QuietHoursService.getQuietWindow(disabled, 'prayer', london('2026-10-19 23:00'))).toBeNull();
+      expect(QuietHoursService.getQuietWindow(preferences([]), 'prayer', london('2026-10-19 23:00'))).toBeNull();
+      expect(QuietHoursService.getQuietWindow({}, 'prayer', london('2026-10-19 23:00'))).toBeNull();
+    });
+
+    test("reads the window in the user's timezone", () => {
+      const inTokyo = { ...mondayNight, location: { timezone: 'Asia/Tokyo' } };
+      const at = moment.tz('2026-10-19 23:00', 'YYYY-MM-DD HH:mm', 'Asia/Tokyo').toDate();
+
+      expect(QuietHoursService.getQuietWindow(inTokyo, 'prayer', at)).not.toBeNull();
+      expect(QuietHoursService.getQuietWindow(mondayNight, 'prayer', at)).toBeNull();
+    });
+  });
+
+  describe('getTimezone', () => {
+    test('falls back to London for missing or unknown zones', () => {
+      expect(QuietHoursService.getTimezone({})).toBe('Europe/London');
+      expect(QuietHoursService.getTimezone({ location: { timezone: 'Mars/Olympus' } })).toBe('Europe/London');
+      expect(QuietHoursService.getTimezone({ location: { timezone: 'Asia/Tokyo' } })).toBe('Asia/Tokyo');
+    });
+  });
+});